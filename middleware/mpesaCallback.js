@@ -0,0 +1,66 @@
+const { auditRejectedCallback, tokensMatch } = require('../utils/mpesaCallbacks');
+
+// Safaricom's published Daraja callback source IPs
+const SAFARICOM_IPS = [
+    '196.201.214.200',
+    '196.201.214.206',
+    '196.201.213.114',
+    '196.201.214.207',
+    '196.201.214.208',
+    '196.201.213.44',
+    '196.201.212.127',
+    '196.201.212.138',
+    '196.201.212.129',
+    '196.201.212.136',
+    '196.201.212.74',
+    '196.201.212.69'
+];
+
+// MPESA_CALLBACK_IPS overrides the list; only an explicit '*' disables the
+// check, e.g. for a local sandbox behind a tunnel
+const getAllowedIps = () => {
+    if (process.env.MPESA_CALLBACK_IPS) {
+        return process.env.MPESA_CALLBACK_IPS.split(',').map(ip => ip.trim()).filter(Boolean);
+    }
+    return SAFARICOM_IPS;
+};
+
+// Only let allowlisted source IPs reach the M-PESA callback routes
+module.exports = async function(req, res, next) {
+    const allowed = getAllowedIps();
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+
+    if (allowed.includes('*') || allowed.includes(ip)) {
+        return next();
+    }
+
+    await auditRejectedCallback(req, 'Source IP not allowlisted', { ip });
+    res.status(403).json({
+        ResultCode: 1,
+        ResultDesc: 'Rejected'
+    });
+};
+
+// C2B, B2C and reversal URLs carry MPESA_CALLBACK_SECRET as their last path
+// segment (see signedCallbackUrl). Use after the IP check on routes with an
+// optional :token param. Production refuses these callbacks until the
+// secret is configured; the sandbox accepts them without one.
+const callbackSecret = async function(req, res, next) {
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+    if (!secret && process.env.MPESA_ENVIRONMENT !== 'production') {
+        return next();
+    }
+
+    if (tokensMatch(secret, req.params.token)) {
+        return next();
+    }
+
+    await auditRejectedCallback(req, secret ? 'Invalid callback secret' : 'MPESA_CALLBACK_SECRET not configured');
+    res.status(403).json({
+        ResultCode: 1,
+        ResultDesc: 'Rejected'
+    });
+};
+
+module.exports.callbackSecret = callbackSecret;
+module.exports.SAFARICOM_IPS = SAFARICOM_IPS;
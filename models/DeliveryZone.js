@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const deliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        unique: true,
+        trim: true
+    },
+    // Estates/towns in the zone, matched against the delivery address city
+    areas: [{
+        type: String,
+        trim: true
+    }],
+    fee: {
+        type: Number,
+        required: [true, 'Delivery fee is required'],
+        min: [0, 'Delivery fee cannot be negative']
+    },
+    minimumOrder: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum order cannot be negative']
+    },
+    estimatedMinutes: {
+        type: Number,
+        default: 45,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// True if `place` (e.g. the delivery city) is one of the zone's areas
+deliveryZoneSchema.methods.coversArea = function(place) {
+    const wanted = String(place || '').trim().toLowerCase();
+    return Boolean(wanted) && this.areas.some(area => area.toLowerCase() === wanted);
+};
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
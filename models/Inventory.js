@@ -1,5 +1,57 @@
 const mongoose = require('mongoose');
 
+// A pack size the item is bought or counted in, e.g. 1 crate = 24 pcs
+const packSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Pack name is required'],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Pack quantity is required'],
+        validate: {
+            validator: (value) => value > 0,
+            message: 'Pack quantity must be greater than 0'
+        }
+    },
+    unit: {
+        type: String,
+        enum: ['kg', 'g', 'L', 'ml', 'pcs'],
+        required: [true, 'Pack unit is required']
+    }
+}, { _id: false });
+
+// Stock received together, consumed first-expiry-first-out. Quantities are
+// in the item's stock unit and unitCost is per stock unit.
+const batchSchema = new mongoose.Schema({
+    quantity: {
+        type: Number,
+        required: true,
+        min: [0, 'Batch quantity cannot be negative']
+    },
+    receivedQuantity: Number,
+    unitCost: {
+        type: Number,
+        default: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: Date,
+    reference: String,
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+    // The purchase order receipt that delivered the batch
+    receipt: mongoose.Schema.Types.ObjectId,
+    expiryNotifiedAt: Date,
+    expiredNotifiedAt: Date,
+    writtenOffAt: Date
+});
+
 const inventorySchema = new mongoose.Schema({
     name: {
         type: String,
@@ -21,6 +73,17 @@ const inventorySchema = new mongoose.Schema({
         enum: ['kg', 'g', 'L', 'ml', 'pcs', 'boxes'],
         default: 'kg'
     },
+    packs: {
+        type: [packSchema],
+        validate: {
+            validator: function(packs) {
+                const names = packs.map(pack => pack.name.toLowerCase());
+                return new Set(names).size === names.length &&
+                    !names.some(name => ['kg', 'g', 'l', 'ml', 'pcs'].includes(name));
+            },
+            message: 'Pack names must be unique and cannot be kg, g, L, ml or pcs'
+        }
+    },
     unitPrice: {
         type: Number,
         required: [true, 'Unit price is required'],
@@ -41,9 +104,27 @@ const inventorySchema = new mongoose.Schema({
         enum: ['In Stock', 'Low Stock', 'Out of Stock'],
         default: 'In Stock'
     },
+    batches: [batchSchema],
+    // Stock movements out of the item; negative quantities put stock back
     usageHistory: [{
         quantityUsed: Number,
         reason: String,
+        // Expired or spoiled stock thrown away
+        waste: Boolean,
+        // How much of the movement came out of (or went back into) each batch
+        batches: [{
+            _id: false,
+            batch: mongoose.Schema.Types.ObjectId,
+            quantity: Number
+        }],
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        transaction: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction'
+        },
         date: {
             type: Date,
             default: Date.now
@@ -59,16 +140,91 @@ const inventorySchema = new mongoose.Schema({
     }
 });
 
-// Update status based on quantity
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Batches still holding stock, soonest expiry first (undated last)
+inventorySchema.methods.getActiveBatches = function() {
+    const expiry = (batch) => (batch.expiresAt ? batch.expiresAt.getTime() : Infinity);
+    return this.batches
+        .filter(batch => batch.quantity > 0 && !batch.writtenOffAt)
+        .sort((a, b) => expiry(a) - expiry(b) || a.receivedAt - b.receivedAt);
+};
+
+// Stock on hand that no batch accounts for, e.g. counted before batches
+// were recorded or put back after its batch was written off
+inventorySchema.methods.getUntrackedQuantity = function() {
+    const batched = this.getActiveBatches().reduce((sum, batch) => sum + batch.quantity, 0);
+    return Math.max(roundQuantity(this.quantity - batched), 0);
+};
+
+// Take `quantity` out of the batches, first-expiry-first-out. Untracked
+// stock goes first since it predates every batch. Does not change
+// `quantity`; returns [{ batch, quantity }] for the usage entry.
+inventorySchema.methods.consumeBatches = function(quantity) {
+    let remaining = roundQuantity(quantity - this.getUntrackedQuantity());
+    const taken = [];
+
+    for (const batch of this.getActiveBatches()) {
+        if (remaining <= 0) break;
+        const used = Math.min(batch.quantity, remaining);
+        batch.quantity = roundQuantity(batch.quantity - used);
+        remaining = roundQuantity(remaining - used);
+        taken.push({ batch: batch._id, quantity: used });
+    }
+    return taken;
+};
+
+// Put stock taken by consumeBatches back into the batches it came from.
+// Anything whose batch has since been written off stays untracked.
+inventorySchema.methods.returnToBatches = function(taken) {
+    return taken
+        .map(({ batch: batchId, quantity }) => {
+            const batch = this.batches.id(batchId);
+            if (!batch || batch.writtenOffAt || quantity <= 0) return null;
+            batch.quantity = roundQuantity(batch.quantity + quantity);
+            return { batch: batch._id, quantity: -quantity };
+        })
+        .filter(Boolean);
+};
+
+// Record delivered stock as a new batch (quantity already in stock units)
+inventorySchema.methods.addBatch = function({ quantity, unitCost, expiresAt, reference, purchaseOrder, receipt }) {
+    this.batches.push({
+        quantity,
+        receivedQuantity: quantity,
+        unitCost: unitCost !== undefined ? unitCost : this.unitPrice,
+        receivedAt: new Date(),
+        expiresAt: expiresAt || undefined,
+        reference,
+        purchaseOrder,
+        receipt
+    });
+    return this.batches[this.batches.length - 1];
+};
+
+// Keep batches within the stock on hand, e.g. after a stock count lowered it
 inventorySchema.pre('save', function(next) {
-    if (this.quantity <= 0) {
-        this.status = 'Out of Stock';
-    } else if (this.quantity <= this.reorderLevel) {
-        this.status = 'Low Stock';
-    } else {
-        this.status = 'In Stock';
+    const batched = this.getActiveBatches().reduce((sum, batch) => sum + batch.quantity, 0);
+    if (batched > this.quantity) {
+        this.consumeBatches(batched - this.quantity);
     }
     next();
 });
 
+// Stock status for a quantity of this item
+inventorySchema.methods.getStatusFor = function(quantity) {
+    if (quantity <= 0) return 'Out of Stock';
+    if (quantity <= this.reorderLevel) return 'Low Stock';
+    return 'In Stock';
+};
+
+// Update status based on quantity
+inventorySchema.pre('save', function(next) {
+    this.status = this.getStatusFor(this.quantity);
+    next();
+});
+
+inventorySchema.index({ 'usageHistory.order': 1 }, { sparse: true });
+inventorySchema.index({ 'batches.expiresAt': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
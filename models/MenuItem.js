@@ -1,5 +1,95 @@
 const mongoose = require('mongoose');
 
+// Kitchen stations that order items are routed to
+const STATIONS = ['grill', 'fryer', 'bar', 'pastry'];
+
+// Station used when a menu item has none assigned
+const defaultStation = (category) => {
+    if (category === 'Beverage') return 'bar';
+    if (category === 'Dessert') return 'pastry';
+    if (category === 'Side Dish') return 'fryer';
+    return 'grill';
+};
+
+const modifierOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Option name is required'],
+        trim: true
+    },
+    // Added to the item price when chosen (may be negative)
+    priceDelta: {
+        type: Number,
+        default: 0
+    },
+    available: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// A set of choices such as "Size" (quarter/half/full) or "Extras"
+const modifierGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Modifier group name is required'],
+        trim: true
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    minSelections: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum selections cannot be negative']
+    },
+    maxSelections: {
+        type: Number,
+        default: 1,
+        min: [1, 'Maximum selections must be at least 1'],
+        validate: {
+            validator: function(value) {
+                return value >= this.minSelections;
+            },
+            message: 'Maximum selections cannot be less than minimum selections'
+        }
+    },
+    options: {
+        type: [modifierOptionSchema],
+        validate: {
+            validator: function(options) {
+                return options && options.length > 0;
+            },
+            message: 'Modifier group must have at least one option'
+        }
+    }
+});
+
+modifierGroupSchema.pre('validate', function(next) {
+    // A required group needs at least one choice
+    if (this.required && this.minSelections < 1) {
+        this.minSelections = 1;
+    }
+    next();
+});
+
+// Inventory used to make one portion of a menu item
+const recipeIngredientSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Ingredient is required']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Ingredient quantity is required'],
+        min: [0, 'Ingredient quantity cannot be negative']
+    },
+    // Any unit that converts to the ingredient's stock unit, or one of its packs
+    unit: String
+}, { _id: false });
+
 const menuItemSchema = new mongoose.Schema({
     menuId: {
         type: String,
@@ -25,6 +115,16 @@ const menuItemSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    station: {
+        type: String,
+        enum: STATIONS,
+        default: function() {
+            return defaultStation(this.category);
+        }
+    },
+    modifierGroups: [modifierGroupSchema],
+    // Stock taken from inventory for each portion sold
+    recipe: [recipeIngredientSchema],
     preparationTime: {
         type: Number,
         default: 15,
@@ -53,7 +153,65 @@ menuItemSchema.pre('save', async function(next) {
     next();
 });
 
+// Check modifier selections ([{ group, option }] by id or name) against the
+// item's modifier groups. Returns { modifiers, unitPrice } or { error }.
+menuItemSchema.methods.priceSelections = function(selections = []) {
+    if (!Array.isArray(selections)) {
+        return { error: `${this.name}: modifiers must be a list` };
+    }
+    
+    const matches = (doc, value) => String(doc._id) === String(value) || 
+        doc.name.toLowerCase() === String(value).trim().toLowerCase();
+    
+    const modifiers = [];
+    for (const selection of selections) {
+        const group = this.modifierGroups.find(g => matches(g, selection && selection.group));
+        if (!group) {
+            return { error: `${this.name}: unknown modifier group "${selection && selection.group}"` };
+        }
+        
+        const option = group.options.find(o => matches(o, selection.option));
+        if (!option) {
+            return { error: `${this.name}: "${selection.option}" is not an option for ${group.name}` };
+        }
+        if (!option.available) {
+            return { error: `${this.name}: ${option.name} is not available` };
+        }
+        if (modifiers.some(m => m.optionId.equals(option._id))) {
+            return { error: `${this.name}: ${option.name} was selected twice` };
+        }
+        
+        modifiers.push({
+            groupId: group._id,
+            group: group.name,
+            optionId: option._id,
+            option: option.name,
+            priceDelta: option.priceDelta
+        });
+    }
+    
+    for (const group of this.modifierGroups) {
+        const count = modifiers.filter(m => m.groupId.equals(group._id)).length;
+        const min = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+        if (count < min) {
+            return { error: `${this.name}: choose at least ${min} from ${group.name}` };
+        }
+        if (count > group.maxSelections) {
+            return { error: `${this.name}: choose at most ${group.maxSelections} from ${group.name}` };
+        }
+    }
+    
+    const unitPrice = this.price + modifiers.reduce((sum, m) => sum + m.priceDelta, 0);
+    if (unitPrice < 0) {
+        return { error: `${this.name}: selected options make the price negative` };
+    }
+    
+    return { modifiers, unitPrice };
+};
+
 // Drop any existing indexes that might cause issues
 menuItemSchema.index({ menuId: 1 }, { unique: true, sparse: true });
 
-module.exports = mongoose.model('MenuItem', menuItemSchema);
\ No newline at end of file
+module.exports = mongoose.model('MenuItem', menuItemSchema);
+module.exports.STATIONS = STATIONS;
+module.exports.defaultStation = defaultStation;
\ No newline at end of file
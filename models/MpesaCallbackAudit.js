@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Rejected M-PESA callbacks, kept for fraud review
+const mpesaCallbackAuditSchema = new mongoose.Schema({
+    endpoint: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    ip: String,
+    checkoutRequestId: String,
+    body: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+mpesaCallbackAuditSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('MpesaCallbackAudit', mpesaCallbackAuditSchema);
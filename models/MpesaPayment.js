@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const mpesaPaymentSchema = new mongoose.Schema({
+    merchantRequestId: String,
+    checkoutRequestId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [1, 'Amount must be at least 1']
+    },
+    accountReference: String,
+    // Secret in the CallBackURL of this push; callbacks without it are rejected
+    callbackToken: {
+        type: String,
+        select: false
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'Paid', 'Failed'],
+        default: 'Pending'
+    },
+    resultCode: Number,
+    resultDesc: String,
+    mpesaReceipt: String,
+    paidAmount: Number,
+    payerPhone: String,
+    rawRequest: mongoose.Schema.Types.Mixed,
+    rawResponse: mongoose.Schema.Types.Mixed,
+    rawCallback: mongoose.Schema.Types.Mixed,
+    resolvedBy: {
+        type: String,
+        enum: ['callback', 'query', 'timeout']
+    },
+    lastQueriedAt: Date,
+    queryAttempts: {
+        type: Number,
+        default: 0
+    },
+    completedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+mpesaPaymentSchema.index({ phone: 1, createdAt: -1 });
+mpesaPaymentSchema.index({ status: 1, createdAt: -1 });
+
+mpesaPaymentSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('MpesaPayment', mpesaPaymentSchema);
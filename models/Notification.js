@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { publish } = require('../utils/events');
 
 const notificationSchema = new mongoose.Schema({
     title: {
@@ -25,4 +26,9 @@ const notificationSchema = new mongoose.Schema({
     }
 });
 
+// Push new notifications to connected dashboards
+notificationSchema.post('save', function(doc) {
+    publish('notification:created', doc.toObject());
+});
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const { tenderPayments } = require('./paymentSchema');
+const { STATIONS } = require('./MenuItem');
+
+// Modifier option chosen for an order line, priced when the order was placed
+const orderItemModifierSchema = new mongoose.Schema({
+    groupId: mongoose.Schema.Types.ObjectId,
+    group: {
+        type: String,
+        required: true
+    },
+    optionId: mongoose.Schema.Types.ObjectId,
+    option: {
+        type: String,
+        required: true
+    },
+    priceDelta: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
     menuItemId: {
@@ -15,15 +35,110 @@ const orderItemSchema = new mongoose.Schema({
         required: true,
         min: 1
     },
+    // Unit price including modifier price deltas
     price: {
         type: Number,
         required: true,
         min: 0
     },
+    modifiers: [orderItemModifierSchema],
     subtotal: {
         type: Number,
         required: true,
         min: 0
+    },
+    // Kitchen display: where the item is cooked and how far along it is
+    station: {
+        type: String,
+        enum: STATIONS,
+        default: 'grill'
+    },
+    kitchenStatus: {
+        type: String,
+        enum: ['queued', 'firing', 'done'],
+        default: 'queued'
+    },
+    firedAt: Date,
+    doneAt: Date
+});
+
+const refundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: String,
+    method: {
+        type: String,
+        enum: ['M-PESA', 'Cash', 'Card'],
+        required: true
+    },
+    status: {
+        type: String,
+        // Requested: raised by a customer cancellation, awaiting staff
+        enum: ['Requested', 'Pending', 'Completed', 'Failed'],
+        default: 'Pending'
+    },
+    reversal: {
+        conversationId: String,
+        originatorConversationId: String,
+        transactionId: String,
+        resultCode: Number,
+        resultDesc: String
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    completedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Order statuses each status may move to, per order type. Completed and
+// Cancelled are final; Scheduled orders are released to Pending.
+const ORDER_TRANSITIONS = {
+    'dine-in': {
+        'Scheduled': ['Pending', 'Cancelled'],
+        'Pending': ['Confirmed', 'Preparing', 'Cancelled'],
+        'Confirmed': ['Preparing', 'Cancelled'],
+        'Preparing': ['Ready', 'Cancelled'],
+        'Ready': ['Completed']
+    },
+    'takeaway': {
+        'Scheduled': ['Pending', 'Cancelled'],
+        'Pending': ['Confirmed', 'Preparing', 'Cancelled'],
+        'Confirmed': ['Preparing', 'Cancelled'],
+        'Preparing': ['Ready', 'Cancelled'],
+        'Ready': ['Completed']
+    },
+    'delivery': {
+        'Scheduled': ['Pending', 'Cancelled'],
+        'Pending': ['Confirmed', 'Preparing', 'Cancelled'],
+        'Confirmed': ['Preparing', 'Cancelled'],
+        'Preparing': ['Ready', 'Cancelled'],
+        'Ready': ['Out for Delivery'],
+        'Out for Delivery': ['Delivered'],
+        'Delivered': ['Completed']
+    }
+};
+
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    from: String,
+    // Staff user or customer who made the change; empty for system changes
+    changedBy: mongoose.Schema.Types.ObjectId,
+    changedByRole: String,
+    reason: String,
+    changedAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
@@ -45,9 +160,12 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Staff-entered table rounds may have no phone
     customerPhone: {
         type: String,
-        required: true
+        required: function() {
+            return !this.table;
+        }
     },
     customerEmail: String,
     items: {
@@ -82,23 +200,70 @@ const orderSchema = new mongoose.Schema({
         landmark: String,
         instructions: String
     },
+    // Dine-in: the table served, and the open tab the order is billed to
+    table: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Table'
+    },
+    tableNumber: Number,
+    tab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tab'
+    },
+    // Delivery zone and fee charged at checkout, and who took the drop
+    deliveryZone: {
+        zoneId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DeliveryZone'
+        },
+        name: String
+    },
+    deliveryFee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider'
+    },
+    riderName: String,
+    dispatchedAt: Date,
+    deliveredAt: Date,
     paymentMethod: {
         type: String,
-        enum: ['M-PESA', 'Cash', 'Card'],
+        enum: ['M-PESA', 'Cash', 'Card', 'Mixed'],
         required: true
     },
     paymentStatus: {
         type: String,
-        enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
+        enum: ['Pending', 'Paid', 'Failed', 'Partially Refunded', 'Refunded'],
         default: 'Pending'
     },
     mpesaCheckoutId: String,
     mpesaReceipt: String,
+    mpesaAmount: Number,
+    mpesaPhone: String,
+    mpesaResultDesc: String,
+    paidAt: Date,
+    refunds: [refundSchema],
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     orderStatus: {
         type: String,
-        enum: ['Pending', 'Confirmed', 'Preparing', 'Ready', 'Out for Delivery', 'Delivered', 'Completed', 'Cancelled'],
+        enum: ['Scheduled', 'Pending', 'Confirmed', 'Preparing', 'Ready', 'Out for Delivery', 'Delivered', 'Completed', 'Cancelled'],
         default: 'Pending'
     },
+    // Pre-orders: pickup/delivery time, and when the order reached the kitchen
+    scheduledFor: Date,
+    releasedAt: Date,
+    // Recipe ingredients taken from inventory, and put back on cancellation
+    stockDeductedAt: Date,
+    stockRestoredAt: Date,
+    statusHistory: [statusChangeSchema],
     notes: String,
     createdAt: {
         type: Date,
@@ -110,6 +275,8 @@ const orderSchema = new mongoose.Schema({
     }
 });
 
+orderSchema.plugin(tenderPayments);
+
 // Generate order number BEFORE validation
 orderSchema.pre('validate', async function(next) {
     if (!this.orderNumber) {
@@ -130,10 +297,119 @@ orderSchema.pre('save', function(next) {
             item.subtotal = item.quantity * item.price;
         });
         this.subtotal = this.items.reduce((sum, item) => sum + item.subtotal, 0);
-        this.total = this.subtotal;
+        this.total = this.subtotal + (this.deliveryFee || 0);
+    }
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.orderStatus, changedBy: this.customerId, changedByRole: 'customer', reason: 'Order placed' });
     }
+    this.applyPayments();
     this.updatedAt = new Date();
     next();
 });
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+// Statuses this order may move to next
+orderSchema.methods.getAllowedTransitions = function() {
+    const transitions = ORDER_TRANSITIONS[this.orderType] || ORDER_TRANSITIONS.takeaway;
+    return transitions[this.orderStatus] || [];
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+    return this.getAllowedTransitions().includes(status);
+};
+
+// Move to `status` and record it in statusHistory. Callers check
+// canTransitionTo first; an illegal move throws with statusCode 409.
+orderSchema.methods.transitionTo = function(status, { user, role, reason } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change order status from ${this.orderStatus} to ${status}`);
+        error.statusCode = 409;
+        throw error;
+    }
+    
+    this.statusHistory.push({
+        status,
+        from: this.orderStatus,
+        changedBy: user,
+        changedByRole: role,
+        reason
+    });
+    this.orderStatus = status;
+    
+    if (status === 'Out for Delivery') {
+        this.dispatchedAt = new Date();
+    } else if (status === 'Delivered') {
+        this.deliveredAt = new Date();
+    }
+};
+
+// Money actually collected: paid tenders, or the whole total for an order
+// paid in one go before payments[] existed
+orderSchema.methods.getCollectedAmount = function() {
+    if (this.payments && this.payments.length > 0) {
+        return this.getAmountPaid();
+    }
+    return ['Paid', 'Partially Refunded', 'Refunded'].includes(this.paymentStatus) ? this.total : 0;
+};
+
+// Amount still available to refund (pending refunds are already reserved)
+orderSchema.methods.getRefundableAmount = function() {
+    const reserved = (this.refunds || [])
+        .filter(refund => refund.status !== 'Failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    return Math.max(this.getCollectedAmount() - reserved, 0);
+};
+
+// Recalculate refundedAmount and paymentStatus from completed refunds
+orderSchema.methods.applyRefunds = function() {
+    this.refundedAmount = (this.refunds || [])
+        .filter(refund => refund.status === 'Completed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    
+    const collected = this.getCollectedAmount();
+    if (this.refundedAmount >= collected && collected > 0) {
+        this.paymentStatus = 'Refunded';
+    } else if (this.refundedAmount > 0) {
+        this.paymentStatus = 'Partially Refunded';
+    }
+};
+
+// True once every item has been marked done on the kitchen display
+orderSchema.methods.isKitchenDone = function() {
+    return this.items.length > 0 && this.items.every(item => item.kitchenStatus === 'done');
+};
+
+// False for orders placed before items carried a kitchen status: the status
+// they show is only the schema default filled in on load, and no kitchen
+// display will ever mark them done
+orderSchema.methods.isKitchenTracked = function() {
+    return this.items.some(item => !item.$isDefault('kitchenStatus'));
+};
+
+// Move the order along from its items' kitchen states: Preparing once any
+// item is fired, Ready only when all items are done. `changedBy` is
+// { user, role } for statusHistory. Returns true if the order status changed.
+orderSchema.methods.applyKitchenStatus = function(changedBy = {}) {
+    if (!['Pending', 'Confirmed', 'Preparing'].includes(this.orderStatus)) {
+        return false;
+    }
+    
+    const previous = this.orderStatus;
+    const fired = this.items.some(item => item.kitchenStatus !== 'queued');
+    
+    if (fired && this.orderStatus !== 'Preparing') {
+        this.transitionTo('Preparing', { ...changedBy, reason: 'Kitchen started the order' });
+    }
+    if (this.isKitchenDone()) {
+        this.transitionTo('Ready', { ...changedBy, reason: 'All items done' });
+    }
+    return this.orderStatus !== previous;
+};
+
+orderSchema.index({ 'refunds.reversal.conversationId': 1 }, { sparse: true });
+orderSchema.index({ orderStatus: 1, 'items.station': 1 });
+orderSchema.index({ orderStatus: 1, scheduledFor: 1 });
+orderSchema.index({ rider: 1, orderStatus: 1 });
+orderSchema.index({ tab: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Order', orderSchema);
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
\ No newline at end of file
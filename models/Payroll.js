@@ -54,6 +54,27 @@ const payrollSchema = new mongoose.Schema({
         default: 'Pending'
     },
     paymentDate: Date,
+    paymentMethod: {
+        type: String,
+        enum: ['Bank Transfer', 'M-PESA', 'Cash']
+    },
+    disbursement: {
+        status: {
+            type: String,
+            enum: ['Processing', 'Completed', 'Failed', 'Timeout']
+        },
+        phone: String,
+        amount: Number,
+        conversationId: String,
+        originatorConversationId: String,
+        transactionId: String,
+        resultCode: Number,
+        resultDesc: String,
+        requestedAt: Date,
+        completedAt: Date,
+        rawResult: mongoose.Schema.Types.Mixed
+    },
+    paymentError: String,
     notes: String,
     createdAt: {
         type: Date,
@@ -61,4 +82,6 @@ const payrollSchema = new mongoose.Schema({
     }
 });
 
+payrollSchema.index({ 'disbursement.conversationId': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Payroll', payrollSchema);
\ No newline at end of file
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['Draft', 'Sent', 'Partially Received', 'Received', 'Cancelled'];
+
+// One item ordered from the supplier. Quantities and prices are in `unit`,
+// which may be any unit that converts to the item's stock unit.
+const lineSchema = new mongoose.Schema({
+    inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Inventory item is required']
+    },
+    name: String,
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [0, 'Quantity cannot be negative']
+    },
+    unit: String,
+    expectedPrice: {
+        type: Number,
+        default: 0,
+        min: [0, 'Price cannot be negative']
+    },
+    receivedQuantity: {
+        type: Number,
+        default: 0
+    }
+});
+
+// One delivery against the order. Variances compare what arrived with what
+// was still outstanding on the line and with the expected price.
+const receiptSchema = new mongoose.Schema({
+    items: [{
+        line: mongoose.Schema.Types.ObjectId,
+        name: String,
+        quantity: Number,
+        unit: String,
+        unitPrice: Number,
+        expiresAt: Date,
+        quantityVariance: Number,
+        priceVariance: Number
+    }],
+    total: Number,
+    expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+    },
+    paymentMethod: String,
+    notes: String,
+    // Set until the delivery's stock and expense have been booked
+    pending: Boolean,
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Supplier is required']
+    },
+    supplierName: String,
+    items: {
+        type: [lineSchema],
+        validate: [items => items.length > 0, 'A purchase order needs at least one item']
+    },
+    // Sum of quantity x expectedPrice over the lines
+    expectedTotal: {
+        type: Number,
+        default: 0
+    },
+    receipts: [receiptSchema],
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'Draft'
+    },
+    expectedDate: Date,
+    notes: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sentAt: Date,
+    receivedAt: Date,
+    cancelledAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+
+// Quantity of a line still to be delivered, in the line's unit
+purchaseOrderSchema.methods.getOutstanding = function(line) {
+    return Math.max(Math.round((line.quantity - line.receivedQuantity) * 1000) / 1000, 0);
+};
+
+// Generate PO number BEFORE validation
+purchaseOrderSchema.pre('validate', async function(next) {
+    if (!this.poNumber) {
+        const date = new Date();
+        const year = date.getFullYear().toString().slice(-2);
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        const count = await mongoose.model('PurchaseOrder').countDocuments();
+        this.poNumber = `PO${year}${month}${day}${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+});
+
+purchaseOrderSchema.pre('save', function(next) {
+    this.expectedTotal = Math.round(this.items.reduce((sum, line) => sum + line.quantity * line.expectedPrice, 0) * 100) / 100;
+    next();
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+module.exports.STATUSES = STATUSES;
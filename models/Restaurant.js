@@ -25,6 +25,77 @@ const restaurantSchema = new mongoose.Schema({
         type: String,
         default: 'RestoManagerKe'
     },
+    // Minutes after ordering that customers may still edit or cancel
+    orderChangeWindowMinutes: {
+        type: Number,
+        default: 10,
+        min: 0
+    },
+    // "8:00 AM - 10:00 PM" per day, or "Closed"
+    openingHours: {
+        monday: { type: String, default: '8:00 AM - 10:00 PM' },
+        tuesday: { type: String, default: '8:00 AM - 10:00 PM' },
+        wednesday: { type: String, default: '8:00 AM - 10:00 PM' },
+        thursday: { type: String, default: '8:00 AM - 10:00 PM' },
+        friday: { type: String, default: '8:00 AM - 10:00 PM' },
+        saturday: { type: String, default: '9:00 AM - 11:00 PM' },
+        sunday: { type: String, default: '9:00 AM - 11:00 PM' }
+    },
+    timezone: {
+        type: String,
+        default: 'Africa/Nairobi'
+    },
+    // Scheduled orders reach the kitchen this many minutes before pickup
+    scheduledOrderLeadMinutes: {
+        type: Number,
+        default: 30,
+        min: 0
+    },
+    // Kitchen capacity: at most scheduledOrdersPerSlot orders per slot
+    scheduledOrderSlotMinutes: {
+        type: Number,
+        default: 15,
+        min: 5
+    },
+    scheduledOrdersPerSlot: {
+        type: Number,
+        default: 10,
+        min: 1
+    },
+    scheduledOrderMaxDays: {
+        type: Number,
+        default: 7,
+        min: 0
+    },
+    // Network ESC/POS printers, reached over raw TCP (port 9100)
+    printers: {
+        receipt: {
+            host: String,
+            port: { type: Number, default: 9100 }
+        },
+        kitchen: {
+            host: String,
+            port: { type: Number, default: 9100 }
+        }
+    },
+    // Characters per line: 48 for 80mm paper, 32 for 58mm
+    printerColumns: {
+        type: Number,
+        default: 48,
+        min: 24,
+        max: 64
+    },
+    // Stock batches expiring within this many days raise a notification
+    expiryWarningDays: {
+        type: Number,
+        default: 3,
+        min: 0
+    },
+    // Record expired batches as waste automatically in the daily check
+    autoWriteOffExpired: {
+        type: Boolean,
+        default: false
+    },
     updatedAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Delivery rider roster. Each rider is an employee; `user` is the login
+// (role 'rider') they use to see their drops.
+const riderSchema = new mongoose.Schema({
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: [true, 'Employee is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    phone: String,
+    vehicle: {
+        type: String,
+        enum: ['Motorbike', 'Bicycle', 'Car', 'On Foot'],
+        default: 'Motorbike'
+    },
+    plateNumber: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    zones: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Rider', riderSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Scheduled orders booked into one kitchen capacity slot. Bookings are taken
+// with a conditional $inc so two customers cannot both get the last place.
+const scheduleSlotSchema = new mongoose.Schema({
+    start: {
+        type: Date,
+        required: true,
+        unique: true
+    },
+    booked: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+module.exports = mongoose.model('ScheduleSlot', scheduleSlotSchema);
@@ -34,6 +34,12 @@ const supplierSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Payment terms are required']
     },
+    // Days from sending a purchase order to the goods arriving
+    leadTimeDays: {
+        type: Number,
+        default: 2,
+        min: [0, 'Lead time cannot be negative']
+    },
     status: {
         type: String,
         enum: ['Active', 'Inactive'],
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { tenderPayments } = require('./paymentSchema');
+
+// A dine-in bill kept open at a table while rounds of orders are added, and
+// settled once at the end. Payments are taken against the tab, not the
+// individual orders.
+const tabSchema = new mongoose.Schema({
+    tabNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    table: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Table',
+        required: true
+    },
+    tableNumber: {
+        type: Number,
+        required: true
+    },
+    customerName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    guests: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    orders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }],
+    // Sum of the tab's orders that were not cancelled
+    total: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['M-PESA', 'Cash', 'Card', 'Mixed'],
+        default: 'Cash'
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['Pending', 'Paid'],
+        default: 'Pending'
+    },
+    status: {
+        type: String,
+        enum: ['Open', 'Settled', 'Cancelled'],
+        default: 'Open'
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedAt: Date
+});
+
+tabSchema.plugin(tenderPayments);
+
+tabSchema.index({ table: 1, status: 1 });
+
+// Generate tab number BEFORE validation
+tabSchema.pre('validate', async function(next) {
+    if (!this.tabNumber) {
+        const date = new Date();
+        const year = date.getFullYear().toString().slice(-2);
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        const count = await mongoose.model('Tab').countDocuments();
+        this.tabNumber = `TAB${year}${month}${day}${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+});
+
+tabSchema.pre('save', function(next) {
+    this.applyPayments();
+    next();
+});
+
+module.exports = mongoose.model('Tab', tabSchema);
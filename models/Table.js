@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const TABLE_STATUSES = ['free', 'occupied', 'reserved', 'cleaning'];
+
+const tableSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: [true, 'Table number is required'],
+        unique: true,
+        min: [1, 'Table number must be at least 1']
+    },
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [1, 'Capacity must be at least 1']
+    },
+    section: {
+        type: String,
+        trim: true,
+        default: 'Main'
+    },
+    status: {
+        type: String,
+        enum: TABLE_STATUSES,
+        default: 'free'
+    },
+    // Open tab while the table is occupied
+    currentTab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tab'
+    },
+    // Booking the table is held for while reserved
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    statusChangedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tableSchema.pre('save', function(next) {
+    if (this.isModified('status')) {
+        this.statusChangedAt = new Date();
+    }
+    next();
+});
+
+module.exports = mongoose.model('Table', tableSchema);
+module.exports.TABLE_STATUSES = TABLE_STATUSES;
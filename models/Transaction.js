@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
+const { tenderPayments } = require('./paymentSchema');
 
 const transactionItemSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    },
     name: String,
     quantity: Number,
     price: Number,
@@ -36,7 +41,7 @@ const transactionSchema = new mongoose.Schema({
     },
     paymentMethod: {
         type: String,
-        enum: ['M-PESA', 'Cash', 'Card', 'Bank Transfer'],
+        enum: ['M-PESA', 'Cash', 'Card', 'Bank Transfer', 'Mixed'],
         default: 'Cash'
     },
     paymentStatus: {
@@ -45,7 +50,23 @@ const transactionSchema = new mongoose.Schema({
         default: 'Paid'
     },
     mpesaReceipt: String,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // C2B money beyond what the linked order still owed, to be refunded
+    overpayment: {
+        type: Number,
+        default: 0
+    },
+    source: {
+        type: String,
+        enum: ['POS', 'C2B'],
+        default: 'POS'
+    },
     notes: String,
+    // Recipe ingredients taken from inventory for this sale
+    stockDeductedAt: Date,
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -56,6 +77,9 @@ const transactionSchema = new mongoose.Schema({
     }
 });
 
+transactionSchema.plugin(tenderPayments);
+transactionSchema.index({ mpesaReceipt: 1 });
+
 // Generate transactionId before saving
 transactionSchema.pre('save', async function(next) {
     if (!this.transactionId) {
@@ -70,6 +94,7 @@ transactionSchema.pre('save', async function(next) {
     // Calculate totals (NO VAT)
     this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     this.total = this.subtotal; // No VAT
+    this.applyPayments();
     
     next();
 });
@@ -21,7 +21,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'manager', 'cashier', 'staff'],
+        enum: ['admin', 'manager', 'cashier', 'staff', 'rider'],
         default: 'staff'
     },
     phone: {
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// One tender towards a bill. A bill settled with cash and M-PESA has two.
+const paymentSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['M-PESA', 'Cash', 'Card', 'Bank Transfer'],
+        required: [true, 'Payment method is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0, 'Payment amount cannot be negative']
+    },
+    // M-PESA receipt, card slip or bank reference
+    reference: String,
+    mpesaCheckoutId: String,
+    // The bill share this payment is for, when the bill was split
+    split: mongoose.Schema.Types.ObjectId,
+    status: {
+        type: String,
+        enum: ['Pending', 'Paid', 'Failed'],
+        default: 'Paid'
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paidAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One guest's share of a split bill, paid by one or more payments
+const splitSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Share amount cannot be negative']
+    },
+    // Lines assigned to this share when the bill was split by item
+    items: [{
+        line: mongoose.Schema.Types.ObjectId,
+        name: String,
+        quantity: Number,
+        amount: Number
+    }],
+    status: {
+        type: String,
+        enum: ['Unpaid', 'Paid'],
+        default: 'Unpaid'
+    },
+    paidAt: Date
+});
+
+// Plugin for Order, Transaction and Tab: adds payments[] and keeps paymentStatus
+// and paymentMethod in step with it. Documents without payments keep the
+// single paymentMethod/paymentStatus they were created with.
+const tenderPayments = (schema) => {
+    schema.add({ payments: [paymentSchema], splits: [splitSchema] });
+    schema.index({ 'payments.mpesaCheckoutId': 1 }, { sparse: true });
+
+    schema.methods.getAmountPaid = function() {
+        return (this.payments || [])
+            .filter(payment => payment.status === 'Paid')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+    };
+
+    schema.methods.getBalanceDue = function() {
+        return Math.max((this.total || 0) - this.getAmountPaid(), 0);
+    };
+
+    // Paid towards one share of a split bill
+    schema.methods.getSplitPaid = function(split) {
+        return (this.payments || [])
+            .filter(payment => payment.status === 'Paid' && String(payment.split) === String(split._id))
+            .reduce((sum, payment) => sum + payment.amount, 0);
+    };
+
+    schema.methods.applyPayments = function() {
+        if (!this.payments || this.payments.length === 0) {
+            return;
+        }
+
+        (this.splits || []).forEach(split => {
+            if (split.status !== 'Paid' && this.getSplitPaid(split) >= split.amount) {
+                split.status = 'Paid';
+                split.paidAt = new Date();
+            }
+        });
+
+        const methods = [...new Set(this.payments
+            .filter(payment => payment.status === 'Paid')
+            .map(payment => payment.method))];
+
+        if (methods.length > 1) {
+            this.paymentMethod = 'Mixed';
+        } else if (methods.length === 1) {
+            const allowed = this.schema.path('paymentMethod').enumValues;
+            this.paymentMethod = allowed.includes(methods[0]) ? methods[0] : 'Mixed';
+        }
+
+        // Refund statuses are owned by the refund flow
+        if (['Partially Refunded', 'Refunded'].includes(this.paymentStatus)) {
+            return;
+        }
+
+        this.paymentStatus = this.getAmountPaid() >= (this.total || 0) ? 'Paid' : 'Pending';
+    };
+};
+
+module.exports = {
+    paymentSchema,
+    splitSchema,
+    tenderPayments
+};
@@ -11,6 +11,10 @@ const Customer = require('../models/Customer');
 const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
 
+// Orders that still carry revenue (partially refunded ones count net)
+const PAID_STATUSES = ['Paid', 'Partially Refunded'];
+const netOrderTotal = (order) => (order.total || 0) - (order.refundedAmount || 0);
+
 // @route   GET /api/dashboard/stats
 // @desc    Get all dashboard statistics with accurate counts
 // @access  Private
@@ -38,15 +42,17 @@ router.get('/stats', auth, async (req, res) => {
         // TODAY'S REVENUE (from paid orders and transactions)
         const todayPaidOrders = await Order.find({
             createdAt: { $gte: today, $lt: tomorrow },
-            paymentStatus: 'Paid'
+            paymentStatus: { $in: PAID_STATUSES }
         });
         
+        // Transactions linked to an order are already counted via the order
         const todayTransactions = await Transaction.find({
-            createdAt: { $gte: today, $lt: tomorrow }
+            createdAt: { $gte: today, $lt: tomorrow },
+            order: null
         });
         
         const todayRevenue = 
-            todayPaidOrders.reduce((sum, order) => sum + (order.total || 0), 0) +
+            todayPaidOrders.reduce((sum, order) => sum + netOrderTotal(order), 0) +
             todayTransactions.reduce((sum, t) => sum + (t.total || 0), 0);
 
         // TODAY'S EXPENSES
@@ -64,10 +70,10 @@ router.get('/stats', auth, async (req, res) => {
             todayPayroll.reduce((sum, p) => sum + (p.totalPay || 0), 0);
 
         // TOTAL REVENUE (all time)
-        const allOrders = await Order.find({ paymentStatus: 'Paid' });
-        const allTransactions = await Transaction.find();
+        const allOrders = await Order.find({ paymentStatus: { $in: PAID_STATUSES } });
+        const allTransactions = await Transaction.find({ order: null });
         const totalRevenue = 
-            allOrders.reduce((sum, order) => sum + (order.total || 0), 0) +
+            allOrders.reduce((sum, order) => sum + netOrderTotal(order), 0) +
             allTransactions.reduce((sum, t) => sum + (t.total || 0), 0);
 
         // TOTAL EXPENSES
@@ -89,25 +95,27 @@ router.get('/stats', auth, async (req, res) => {
         // MONTHLY REVENUE
         const monthlyOrders = await Order.find({
             createdAt: { $gte: startOfMonth },
-            paymentStatus: 'Paid'
+            paymentStatus: { $in: PAID_STATUSES }
         });
         const monthlyTransactions = await Transaction.find({
-            createdAt: { $gte: startOfMonth }
+            createdAt: { $gte: startOfMonth },
+            order: null
         });
         const monthlyRevenue = 
-            monthlyOrders.reduce((sum, order) => sum + (order.total || 0), 0) +
+            monthlyOrders.reduce((sum, order) => sum + netOrderTotal(order), 0) +
             monthlyTransactions.reduce((sum, t) => sum + (t.total || 0), 0);
 
         // YEARLY REVENUE
         const yearlyOrders = await Order.find({
             createdAt: { $gte: startOfYear },
-            paymentStatus: 'Paid'
+            paymentStatus: { $in: PAID_STATUSES }
         });
         const yearlyTransactions = await Transaction.find({
-            createdAt: { $gte: startOfYear }
+            createdAt: { $gte: startOfYear },
+            order: null
         });
         const yearlyRevenue = 
-            yearlyOrders.reduce((sum, order) => sum + (order.total || 0), 0) +
+            yearlyOrders.reduce((sum, order) => sum + netOrderTotal(order), 0) +
             yearlyTransactions.reduce((sum, t) => sum + (t.total || 0), 0);
 
         // CUSTOMER COUNT
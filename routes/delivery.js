@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const DeliveryZone = require('../models/DeliveryZone');
+const Rider = require('../models/Rider');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { publishOrder } = require('../utils/events');
+
+const DISPATCH_ROLES = ['admin', 'manager', 'cashier'];
+
+// Helper to check for admin/manager
+const isManager = (user) => user.role === 'admin' || user.role === 'manager';
+
+// Helper to format a save error as a 400 message, or null if it is not one
+const validationMessage = (error) => {
+    if (error.code === 11000) {
+        return 'A record with these details already exists';
+    }
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map(e => e.message).join(', ');
+    }
+    return null;
+};
+
+// ============= ZONES =============
+
+// @route   GET /api/delivery/zones
+// @desc    List active delivery zones with fees and minimum orders
+//          (?all=true includes inactive zones for admin/manager)
+// @access  Public (?all=true: Admin/Manager)
+router.get('/zones', (req, res, next) => (req.query.all === 'true' ? auth(req, res, next) : next()), async (req, res) => {
+    try {
+        const all = req.query.all === 'true';
+        if (all && !isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const query = all ? {} : { isActive: true };
+        const zones = await DeliveryZone.find(query).sort({ fee: 1, name: 1 });
+        res.json(zones);
+    } catch (error) {
+        console.error('Get delivery zones error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/delivery/zones
+// @desc    Create delivery zone
+// @access  Private (Admin/Manager)
+router.post('/zones', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { name, areas, fee, minimumOrder, estimatedMinutes, isActive } = req.body;
+        
+        const zone = new DeliveryZone({ name, areas, fee, minimumOrder, estimatedMinutes, isActive });
+        await zone.save();
+        
+        res.status(201).json({
+            message: 'Delivery zone created',
+            zone
+        });
+    } catch (error) {
+        console.error('Create delivery zone error:', error);
+        const message = validationMessage(error);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PUT /api/delivery/zones/:id
+// @desc    Update delivery zone
+// @access  Private (Admin/Manager)
+router.put('/zones/:id', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const zone = await DeliveryZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Delivery zone not found' });
+        }
+        
+        ['name', 'areas', 'fee', 'minimumOrder', 'estimatedMinutes', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                zone[field] = req.body[field];
+            }
+        });
+        await zone.save();
+        
+        res.json({
+            message: 'Delivery zone updated',
+            zone
+        });
+    } catch (error) {
+        console.error('Update delivery zone error:', error);
+        const message = validationMessage(error);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   DELETE /api/delivery/zones/:id
+// @desc    Delete delivery zone (past orders keep the zone name)
+// @access  Private (Admin/Manager)
+router.delete('/zones/:id', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Delivery zone not found' });
+        }
+        
+        await Rider.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+        
+        res.json({ message: 'Delivery zone deleted' });
+    } catch (error) {
+        console.error('Delete delivery zone error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ============= RIDERS =============
+
+// @route   GET /api/delivery/riders
+// @desc    Rider roster with each rider's active drop count
+// @access  Private (Admin/Manager/Cashier)
+router.get('/riders', auth, async (req, res) => {
+    try {
+        if (!DISPATCH_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const query = req.query.all === 'true' ? {} : { isActive: true };
+        const riders = await Rider.find(query)
+            .populate('employee', 'employeeId name phone status')
+            .populate('zones', 'name')
+            .sort({ name: 1 });
+        
+        const activeDrops = await Order.aggregate([
+            { $match: { rider: { $in: riders.map(r => r._id) }, orderStatus: 'Out for Delivery' } },
+            { $group: { _id: '$rider', count: { $sum: 1 } } }
+        ]);
+        const dropsByRider = new Map(activeDrops.map(d => [String(d._id), d.count]));
+        
+        res.json(riders.map(rider => ({
+            ...rider.toObject(),
+            activeDrops: dropsByRider.get(String(rider._id)) || 0
+        })));
+    } catch (error) {
+        console.error('Get riders error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/delivery/riders
+// @desc    Add an employee to the rider roster, optionally linking the
+//          login (role 'rider') they use for the rider view
+// @access  Private (Admin/Manager)
+router.post('/riders', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { employeeId, userId, vehicle, plateNumber, zones } = req.body;
+        
+        const employee = await Employee.findById(employeeId);
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+        if (employee.status !== 'Active') {
+            return res.status(400).json({ message: `${employee.name} is ${employee.status}` });
+        }
+        
+        if (userId) {
+            const user = await User.findById(userId);
+            if (!user || user.role !== 'rider') {
+                return res.status(400).json({ message: 'Linked user must exist and have the rider role' });
+            }
+        }
+        
+        const rider = new Rider({
+            employee: employee._id,
+            user: userId || undefined,
+            name: employee.name,
+            phone: employee.phone,
+            vehicle,
+            plateNumber,
+            zones
+        });
+        await rider.save();
+        
+        res.status(201).json({
+            message: 'Rider added',
+            rider
+        });
+    } catch (error) {
+        console.error('Create rider error:', error);
+        const message = validationMessage(error);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PUT /api/delivery/riders/:id
+// @desc    Update rider (vehicle, zones, login, active)
+// @access  Private (Admin/Manager)
+router.put('/riders/:id', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const rider = await Rider.findById(req.params.id);
+        if (!rider) {
+            return res.status(404).json({ message: 'Rider not found' });
+        }
+        
+        const { userId } = req.body;
+        if (userId) {
+            const user = await User.findById(userId);
+            if (!user || user.role !== 'rider') {
+                return res.status(400).json({ message: 'Linked user must exist and have the rider role' });
+            }
+            rider.user = user._id;
+        }
+        
+        // A rider out on drops keeps them until they are delivered or reassigned
+        if (req.body.isActive === false && rider.isActive) {
+            const activeDrops = await Order.countDocuments({ rider: rider._id, orderStatus: 'Out for Delivery' });
+            if (activeDrops > 0) {
+                return res.status(409).json({ 
+                    message: `${rider.name} has ${activeDrops} order(s) out for delivery - reassign them before deactivating` 
+                });
+            }
+        }
+        
+        ['vehicle', 'plateNumber', 'zones', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                rider[field] = req.body[field];
+            }
+        });
+        await rider.save();
+        
+        res.json({
+            message: 'Rider updated',
+            rider
+        });
+    } catch (error) {
+        console.error('Update rider error:', error);
+        const message = validationMessage(error);
+        if (message) {
+            return res.status(400).json({ message });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ============= DISPATCH =============
+
+// @route   PATCH /api/delivery/orders/:id/assign
+// @desc    Assign a delivery order to a rider. A Ready order is dispatched
+//          (Out for Delivery); an order already out is reassigned.
+// @access  Private (Admin/Manager/Cashier)
+router.patch('/orders/:id/assign', auth, async (req, res) => {
+    try {
+        if (!DISPATCH_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { riderId } = req.body;
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (order.orderType !== 'delivery') {
+            return res.status(400).json({ message: 'Only delivery orders can be assigned to a rider' });
+        }
+        
+        if (!['Ready', 'Out for Delivery'].includes(order.orderStatus)) {
+            return res.status(409).json({ message: `Order is ${order.orderStatus} - only Ready or Out for Delivery orders can be assigned` });
+        }
+        
+        const rider = await Rider.findById(riderId);
+        if (!rider || !rider.isActive) {
+            return res.status(404).json({ message: 'Rider not found' });
+        }
+        
+        const reassigned = order.orderStatus === 'Out for Delivery';
+        if (!reassigned) {
+            order.transitionTo('Out for Delivery', {
+                user: req.user.id,
+                role: req.user.role,
+                reason: `Dispatched with ${rider.name}`
+            });
+        } else {
+            order.statusHistory.push({
+                status: order.orderStatus,
+                from: order.orderStatus,
+                changedBy: req.user.id,
+                changedByRole: req.user.role,
+                reason: `Reassigned from ${order.riderName || 'no rider'} to ${rider.name}`
+            });
+        }
+        
+        order.rider = rider._id;
+        order.riderName = rider.name;
+        await order.save();
+        
+        await Notification.create({
+            title: '🛵 Order Dispatched',
+            message: `Order #${order.orderNumber} for ${order.customerName} is with ${rider.name}`,
+            type: 'info'
+        });
+        
+        publishOrder('order:status', order);
+        
+        res.json({
+            message: reassigned ? `Order reassigned to ${rider.name}` : `Order dispatched with ${rider.name}`,
+            order
+        });
+    } catch (error) {
+        console.error('Assign rider error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ============= RIDER VIEW =============
+
+// Helper to find the rider record for a logged-in rider
+const findCurrentRider = (user) => (user.role === 'rider' ? Rider.findOne({ user: user.id, isActive: true }) : null);
+
+// @route   GET /api/delivery/my-drops
+// @desc    The logged-in rider's active drops, oldest dispatch first
+// @access  Private (Rider)
+router.get('/my-drops', auth, async (req, res) => {
+    try {
+        const rider = await findCurrentRider(req.user);
+        if (!rider) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const orders = await Order.find({ rider: rider._id, orderStatus: 'Out for Delivery' })
+            .select('orderNumber customerName customerPhone deliveryAddress deliveryZone items total paymentStatus paymentMethod notes dispatchedAt')
+            .sort({ dispatchedAt: 1 });
+        
+        res.json({
+            rider: { _id: rider._id, name: rider.name, vehicle: rider.vehicle },
+            drops: orders
+        });
+    } catch (error) {
+        console.error('Get rider drops error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PATCH /api/delivery/my-drops/:id/delivered
+// @desc    Rider marks one of their drops delivered
+// @access  Private (Rider)
+router.patch('/my-drops/:id/delivered', auth, async (req, res) => {
+    try {
+        const rider = await findCurrentRider(req.user);
+        if (!rider) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        if (!order || String(order.rider) !== String(rider._id)) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (!order.canTransitionTo('Delivered')) {
+            return res.status(409).json({ message: `Order is already ${order.orderStatus}` });
+        }
+        
+        order.transitionTo('Delivered', { user: req.user.id, role: 'rider', reason: `Delivered by ${rider.name}` });
+        await order.save();
+        
+        await Notification.create({
+            title: '📦 Order Delivered',
+            message: `Order #${order.orderNumber} was delivered to ${order.customerName} by ${rider.name}`,
+            type: 'success'
+        });
+        
+        publishOrder('order:status', order);
+        
+        res.json({
+            message: 'Order delivered',
+            order
+        });
+    } catch (error) {
+        console.error('Deliver order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { addClient, clientCount } = require('../utils/events');
+
+// @route   GET /api/events/stream
+// @desc    Server-Sent Events stream of order, reservation, inventory and
+//          notification events (?topics=order,inventory to narrow)
+// @access  Private (Staff by role, customers for their own orders)
+router.get('/stream', (req, res) => {
+    // EventSource cannot send headers, so the token may come as ?token=
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+
+    if (!token) {
+        return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    let user;
+    try {
+        user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+    }
+
+    const topics = req.query.topics ? req.query.topics.split(',').map(t => t.trim()) : null;
+    const client = addClient(req, res, { role: user.role, userId: user.id, topics });
+
+    if (!client) {
+        return res.status(403).json({ message: 'Access denied' });
+    }
+
+    console.log(`📡 Event stream opened (${user.role}), ${clientCount()} connected`);
+});
+
+module.exports = router;
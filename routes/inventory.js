@@ -2,8 +2,20 @@ const express = require('express');
 const router = express.Router();
 const Inventory = require('../models/Inventory');
 const Notification = require('../models/Notification');
+const Restaurant = require('../models/Restaurant');
+const { publish } = require('../utils/events');
+const { notifyLowStock, receiveStock, writeOffBatch, expiringBatches } = require('../utils/stock');
+const { writeOffExpired } = require('../utils/expiryMonitor');
+const { toStockUnit, compatibleUnits } = require('../utils/units');
+const { buildPurchaseLines, addToDraftOrder, reorderSuggestions } = require('../utils/purchaseOrders');
 const auth = require('../middleware/auth');
 
+// Helper to read coverDays, where 0 is a valid answer; defaults to 7
+const parseCoverDays = (value) => {
+    const coverDays = parseFloat(value);
+    return value === undefined || value === '' || isNaN(coverDays) ? 7 : Math.max(coverDays, 0);
+};
+
 // @route   GET /api/inventory
 // @desc    Get all inventory items
 // @access  Private
@@ -32,6 +44,146 @@ router.get('/low-stock', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/inventory/reorder-suggestions
+// @desc    What to order from each supplier, from average daily usage over
+//          the last ?days=30 and supplier lead times, covering ?coverDays=7
+// @access  Private
+router.get('/reorder-suggestions', auth, async (req, res) => {
+    try {
+        const days = Math.max(parseInt(req.query.days) || 30, 1);
+        const coverDays = parseCoverDays(req.query.coverDays);
+        
+        const suggestions = await reorderSuggestions({ days, coverDays });
+        
+        res.json({ days, coverDays, suppliers: suggestions });
+    } catch (error) {
+        console.error('Reorder suggestions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/inventory/reorder-suggestions/approve
+// @desc    Turn the current suggestions into draft purchase orders, one per
+//          supplier ({ suppliers?: [id], days?, coverDays?, send? }); with
+//          send the orders are marked as sent straight away
+// @access  Private (Admin/Manager)
+router.post('/reorder-suggestions/approve', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const days = Math.max(parseInt(req.body.days) || 30, 1);
+        const coverDays = parseCoverDays(req.body.coverDays);
+        const only = Array.isArray(req.body.suppliers) ? req.body.suppliers.map(String) : null;
+        
+        const suggestions = (await reorderSuggestions({ days, coverDays }))
+            .filter(group => group.supplier && (!only || only.includes(String(group.supplier._id))));
+        if (suggestions.length === 0) {
+            return res.status(400).json({ message: 'Nothing to reorder' });
+        }
+        
+        const purchaseOrders = [];
+        for (const group of suggestions) {
+            const lines = await buildPurchaseLines(group.items.map(item => ({
+                inventoryItem: item.inventoryItem,
+                quantity: item.suggestedQuantity,
+                unit: item.orderUnit,
+                expectedPrice: item.expectedPrice
+            })));
+            if (lines.error) {
+                return res.status(400).json({ message: lines.error });
+            }
+            
+            const purchaseOrder = await addToDraftOrder(group.supplier, lines.items, {
+                user: req.user.id,
+                notes: 'Raised from reorder suggestions'
+            });
+            if (req.body.send) {
+                purchaseOrder.status = 'Sent';
+                purchaseOrder.sentAt = new Date();
+                await purchaseOrder.save();
+            }
+            purchaseOrders.push(purchaseOrder);
+        }
+        
+        res.status(201).json({
+            message: `${purchaseOrders.length} purchase order${purchaseOrders.length === 1 ? '' : 's'} ${req.body.send ? 'sent' : 'drafted'}`,
+            purchaseOrders
+        });
+    } catch (error) {
+        console.error('Approve reorder suggestions error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/inventory/expiring
+// @desc    Stock batches expiring within ?days (default: the restaurant's
+//          expiryWarningDays), including ones already expired
+// @access  Private
+router.get('/expiring', auth, async (req, res) => {
+    try {
+        const settings = (await Restaurant.findOne()) || new Restaurant();
+        const days = req.query.days !== undefined ? Math.max(parseFloat(req.query.days) || 0, 0) : settings.expiryWarningDays;
+        const now = new Date();
+        
+        const batches = await expiringBatches(new Date(now.getTime() + days * 24 * 60 * 60 * 1000));
+        
+        res.json({
+            days,
+            batches: batches.map(({ item, batch }) => ({
+                inventoryItem: item._id,
+                name: item.name,
+                category: item.category,
+                unit: item.unit,
+                batch: batch._id,
+                quantity: batch.quantity,
+                unitCost: batch.unitCost,
+                value: Math.round(batch.quantity * batch.unitCost * 100) / 100,
+                receivedAt: batch.receivedAt,
+                expiresAt: batch.expiresAt,
+                reference: batch.reference,
+                expired: batch.expiresAt <= now
+            }))
+        });
+    } catch (error) {
+        console.error('Get expiring stock error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/inventory/write-off-expired
+// @desc    Record every expired batch still in stock as waste
+// @access  Private (Admin/Manager)
+router.post('/write-off-expired', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const summary = await writeOffExpired();
+        if (summary.items.length > 0) {
+            await Notification.create({
+                title: '🗑️ Expired Stock Written Off',
+                message: `${summary.items.join(', ')} - KES ${summary.value.toLocaleString()} recorded as waste`,
+                type: 'warning'
+            });
+        }
+        
+        res.json({
+            message: summary.batches > 0 ? `${summary.batches} expired batch${summary.batches === 1 ? '' : 'es'} written off` : 'No expired stock',
+            ...summary
+        });
+    } catch (error) {
+        console.error('Write off expired stock error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/inventory/:id
 // @desc    Get single inventory item
 // @access  Private
@@ -48,12 +200,28 @@ router.get('/:id', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/inventory/:id/units
+// @desc    Units the item's quantities can be entered in
+// @access  Private
+router.get('/:id/units', auth, async (req, res) => {
+    try {
+        const item = await Inventory.findById(req.params.id).select('name unit packs');
+        if (!item) {
+            return res.status(404).json({ message: 'Item not found' });
+        }
+        res.json({ unit: item.unit, packs: item.packs, units: compatibleUnits(item) });
+    } catch (error) {
+        console.error('Get inventory units error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/inventory
 // @desc    Create inventory item
 // @access  Private
 router.post('/', auth, async (req, res) => {
     try {
-        const { name, category, quantity, unit, unitPrice, reorderLevel, supplier } = req.body;
+        const { name, category, quantity, unit, unitPrice, reorderLevel, supplier, packs, expiresAt } = req.body;
         
         // Validate required fields
         if (!name || !quantity || !unitPrice || !reorderLevel) {
@@ -67,8 +235,13 @@ router.post('/', auth, async (req, res) => {
             unit: unit || 'kg',
             unitPrice,
             reorderLevel,
-            supplier: supplier || null
+            supplier: supplier || null,
+            packs: packs || []
         });
+        // Opening stock is the item's first batch
+        if (item.quantity > 0) {
+            item.addBatch({ quantity: item.quantity, expiresAt, reference: 'Opening stock' });
+        }
         
         await item.save();
         
@@ -79,6 +252,13 @@ router.post('/', auth, async (req, res) => {
                 message: `${item.name} is low in stock (${item.quantity} ${item.unit} left)`,
                 type: 'warning'
             });
+            publish('inventory:low-stock', {
+                _id: item._id,
+                name: item.name,
+                quantity: item.quantity,
+                unit: item.unit,
+                reorderLevel: item.reorderLevel
+            });
         }
         
         res.status(201).json({
@@ -100,16 +280,20 @@ router.post('/', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
     try {
-        const item = await Inventory.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
-        
+        const item = await Inventory.findById(req.params.id);
         if (!item) {
             return res.status(404).json({ message: 'Item not found' });
         }
         
+        // Saved rather than updated in place so batches stay within the new
+        // quantity; batches and usage history only change through stock moves
+        ['name', 'category', 'quantity', 'unit', 'unitPrice', 'reorderLevel', 'supplier', 'supplierName', 'packs'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                item[field] = req.body[field];
+            }
+        });
+        await item.save();
+        
         res.json({
             message: 'Inventory item updated',
             item
@@ -125,11 +309,12 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/inventory/:id/use
-// @desc    Record stock usage
+// @desc    Record stock usage ({ quantity, unit?, reason }); unit defaults to
+//          the stock unit and may be any unit that converts to it
 // @access  Private
 router.post('/:id/use', auth, async (req, res) => {
     try {
-        const { quantity, reason } = req.body;
+        const { quantity, unit, reason } = req.body;
         
         if (!quantity || quantity <= 0) {
             return res.status(400).json({ message: 'Valid quantity is required' });
@@ -140,27 +325,27 @@ router.post('/:id/use', auth, async (req, res) => {
             return res.status(404).json({ message: 'Item not found' });
         }
         
-        if (item.quantity < quantity) {
+        const converted = toStockUnit(quantity, unit, item);
+        if (converted.error) {
+            return res.status(400).json({ message: converted.error });
+        }
+        
+        if (item.quantity < converted.quantity) {
             return res.status(400).json({ message: 'Insufficient stock' });
         }
         
-        // Record usage
+        // Record usage, taking the stock that expires first
         item.usageHistory.push({
-            quantityUsed: quantity,
-            reason: reason || 'Stock usage'
+            quantityUsed: converted.quantity,
+            reason: reason || 'Stock usage',
+            batches: item.consumeBatches(converted.quantity)
         });
         
-        item.quantity -= quantity;
+        item.quantity = Math.round((item.quantity - converted.quantity) * 1000) / 1000;
         await item.save();
         
         // Check if now low stock
-        if (item.quantity <= item.reorderLevel) {
-            await Notification.create({
-                title: 'Low Stock Alert',
-                message: `${item.name} is now low in stock (${item.quantity} ${item.unit} left)`,
-                type: 'warning'
-            });
-        }
+        await notifyLowStock(item);
         
         res.json({
             message: 'Usage recorded',
@@ -172,8 +357,91 @@ router.post('/:id/use', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/inventory/:id/restock
+// @desc    Add received stock as a new batch ({ quantity, unit?, unitPrice?,
+//          expiresAt?, reference? }); unitPrice is per the unit given and is
+//          stored per stock unit
+// @access  Private
+router.post('/:id/restock', auth, async (req, res) => {
+    try {
+        const { quantity, unit, unitPrice, expiresAt, reference } = req.body;
+        
+        if (!quantity || quantity <= 0) {
+            return res.status(400).json({ message: 'Valid quantity is required' });
+        }
+        if (unitPrice !== undefined && !(Number(unitPrice) >= 0)) {
+            return res.status(400).json({ message: 'Unit price cannot be negative' });
+        }
+        
+        const item = await Inventory.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ message: 'Item not found' });
+        }
+        
+        if (expiresAt && isNaN(new Date(expiresAt))) {
+            return res.status(400).json({ message: 'expiresAt must be a valid date' });
+        }
+        
+        const received = receiveStock(item, quantity, unit, unitPrice, { expiresAt, reference });
+        if (received.error) {
+            return res.status(400).json({ message: received.error });
+        }
+        await item.save();
+        
+        res.json({
+            message: `Restocked ${received.quantity} ${item.unit}`,
+            item
+        });
+    } catch (error) {
+        console.error('Restock error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/inventory/:id/batches/:batchId/write-off
+// @desc    Record what is left of a batch as waste ({ reason? })
+// @access  Private (Admin/Manager)
+router.post('/:id/batches/:batchId/write-off', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const item = await Inventory.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ message: 'Item not found' });
+        }
+        
+        const batch = item.batches.id(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ message: 'Batch not found' });
+        }
+        if (batch.writtenOffAt || batch.quantity <= 0) {
+            return res.status(400).json({ message: 'Batch has no stock left' });
+        }
+        
+        const { quantity, value } = writeOffBatch(item, batch, req.body.reason);
+        await item.save();
+        await notifyLowStock(item);
+        
+        res.json({
+            message: `${quantity} ${item.unit} of ${item.name} written off (KES ${value.toLocaleString()})`,
+            item
+        });
+    } catch (error) {
+        console.error('Write off batch error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/inventory/:id/reorder
-// @desc    Create reorder request
+// @desc    Create reorder request. When the item has a supplier it is added
+//          to that supplier's draft purchase order ({ quantity?, unit? };
+//          quantity defaults to topping stock up to twice the reorder level).
 // @access  Private
 router.post('/:id/reorder', auth, async (req, res) => {
     try {
@@ -182,21 +450,35 @@ router.post('/:id/reorder', auth, async (req, res) => {
             return res.status(404).json({ message: 'Item not found' });
         }
         
+        let purchaseOrder = null;
+        if (item.supplier) {
+            const quantity = req.body.quantity ||
+                Math.max(Math.round((item.reorderLevel * 2 - item.quantity) * 1000) / 1000, item.reorderLevel, 1);
+            const lines = await buildPurchaseLines([{ inventoryItem: item._id, quantity, unit: req.body.unit }]);
+            if (lines.error) {
+                return res.status(400).json({ message: lines.error });
+            }
+            purchaseOrder = await addToDraftOrder(item.supplier, lines.items, { user: req.user.id });
+        }
+        
         // Create notification for reorder
         await Notification.create({
             title: 'Reorder Request',
-            message: `Reorder requested for ${item.name}. Current stock: ${item.quantity} ${item.unit}`,
+            message: purchaseOrder
+                ? `${item.name} added to draft ${purchaseOrder.poNumber} for ${item.supplier.name}. Current stock: ${item.quantity} ${item.unit}`
+                : `Reorder requested for ${item.name}. Current stock: ${item.quantity} ${item.unit}`,
             type: 'info'
         });
         
         res.json({
-            message: 'Reorder request sent',
+            message: purchaseOrder ? `Added to draft ${purchaseOrder.poNumber}` : 'Reorder request sent',
             item: {
                 name: item.name,
                 quantity: item.quantity,
                 reorderLevel: item.reorderLevel,
                 supplier: item.supplierName
-            }
+            },
+            purchaseOrder
         });
     } catch (error) {
         console.error('Reorder error:', error);
@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const { STATIONS } = require('../models/MenuItem');
+const auth = require('../middleware/auth');
+const { publishOrder } = require('../utils/events');
+const { syncOrderStock } = require('../utils/stock');
+
+const KITCHEN_ROLES = ['admin', 'manager', 'cashier', 'staff'];
+
+// Orders the kitchen is still working on
+const ACTIVE_STATUSES = ['Pending', 'Confirmed', 'Preparing'];
+
+// Helper to build a station ticket from an order
+const toTicket = (order, items) => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    orderType: order.orderType,
+    tableNumber: order.tableNumber,
+    orderStatus: order.orderStatus,
+    customerName: order.customerName,
+    notes: order.notes,
+    scheduledFor: order.scheduledFor,
+    createdAt: order.createdAt,
+    releasedAt: order.releasedAt,
+    items: items.map(item => ({
+        itemId: item._id,
+        name: item.name,
+        quantity: item.quantity,
+        modifiers: (item.modifiers || []).map(m => m.option),
+        station: item.station,
+        kitchenStatus: item.kitchenStatus,
+        firedAt: item.firedAt,
+        doneAt: item.doneAt
+    }))
+});
+
+// @route   GET /api/kitchen/stations
+// @desc    List kitchen stations with their open item counts
+// @access  Private (Staff)
+router.get('/stations', auth, async (req, res) => {
+    try {
+        if (!KITCHEN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const orders = await Order.find({ orderStatus: { $in: ACTIVE_STATUSES } });
+        
+        const stations = STATIONS.map(station => {
+            const items = orders.flatMap(order => order.items.filter(item => item.station === station));
+            return {
+                station,
+                queued: items.filter(item => item.kitchenStatus === 'queued').length,
+                firing: items.filter(item => item.kitchenStatus === 'firing').length
+            };
+        });
+        
+        res.json(stations);
+    } catch (error) {
+        console.error('Get kitchen stations error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   GET /api/kitchen/tickets
+// @desc    Get ticket queue, oldest first (?station=grill, ?includeDone=true)
+// @access  Private (Staff)
+router.get('/tickets', auth, async (req, res) => {
+    try {
+        if (!KITCHEN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { station, includeDone } = req.query;
+        if (station && !STATIONS.includes(station)) {
+            return res.status(400).json({ message: `Station must be one of ${STATIONS.join(', ')}` });
+        }
+        
+        let query = { orderStatus: { $in: ACTIVE_STATUSES } };
+        if (station) {
+            query['items.station'] = station;
+        }
+        
+        const orders = await Order.find(query).sort({ createdAt: 1 });
+        
+        const tickets = [];
+        orders.forEach(order => {
+            const items = order.items.filter(item =>
+                (!station || item.station === station) &&
+                (includeDone === 'true' || item.kitchenStatus !== 'done')
+            );
+            if (items.length > 0) {
+                tickets.push(toTicket(order, items));
+            }
+        });
+        
+        res.json(tickets);
+    } catch (error) {
+        console.error('Get kitchen tickets error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PATCH /api/kitchen/orders/:orderId/items/:itemId
+// @desc    Set an item's kitchen state (queued, firing, done)
+// @access  Private (Staff)
+router.patch('/orders/:orderId/items/:itemId', auth, async (req, res) => {
+    try {
+        if (!KITCHEN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { status } = req.body;
+        if (!['queued', 'firing', 'done'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be queued, firing or done' });
+        }
+        
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (!ACTIVE_STATUSES.includes(order.orderStatus)) {
+            return res.status(400).json({ message: `Order is already ${order.orderStatus}` });
+        }
+        
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Order item not found' });
+        }
+        
+        item.kitchenStatus = status;
+        if (status === 'queued') {
+            item.firedAt = undefined;
+            item.doneAt = undefined;
+        } else if (status === 'firing') {
+            item.firedAt = item.firedAt || new Date();
+            item.doneAt = undefined;
+        } else {
+            item.firedAt = item.firedAt || new Date();
+            item.doneAt = new Date();
+        }
+        
+        const statusChanged = order.applyKitchenStatus({ user: req.user.id, role: req.user.role });
+        await syncOrderStock(order);
+        await order.save();
+        
+        if (statusChanged && order.orderStatus === 'Ready') {
+            await Notification.create({
+                title: '🍽️ Order Ready',
+                message: `Order #${order.orderNumber} for ${order.customerName} is ready`,
+                type: 'success'
+            });
+        }
+        
+        if (statusChanged) {
+            publishOrder('order:status', order);
+        }
+        
+        res.json({
+            message: `${item.name} is ${status}`,
+            orderStatus: order.orderStatus,
+            ticket: toTicket(order, order.items)
+        });
+    } catch (error) {
+        console.error('Update kitchen item error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PATCH /api/kitchen/orders/:orderId/bump
+// @desc    Mark every item of an order (or of one station) done
+// @access  Private (Staff)
+router.patch('/orders/:orderId/bump', auth, async (req, res) => {
+    try {
+        if (!KITCHEN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { station } = req.body;
+        
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (!ACTIVE_STATUSES.includes(order.orderStatus)) {
+            return res.status(400).json({ message: `Order is already ${order.orderStatus}` });
+        }
+        
+        const now = new Date();
+        order.items.forEach(item => {
+            if ((!station || item.station === station) && item.kitchenStatus !== 'done') {
+                item.kitchenStatus = 'done';
+                item.firedAt = item.firedAt || now;
+                item.doneAt = now;
+            }
+        });
+        
+        const statusChanged = order.applyKitchenStatus({ user: req.user.id, role: req.user.role });
+        await syncOrderStock(order);
+        await order.save();
+        
+        if (statusChanged && order.orderStatus === 'Ready') {
+            await Notification.create({
+                title: '🍽️ Order Ready',
+                message: `Order #${order.orderNumber} for ${order.customerName} is ready`,
+                type: 'success'
+            });
+        }
+        
+        if (statusChanged) {
+            publishOrder('order:status', order);
+        }
+        
+        res.json({
+            message: station ? `${station} items done` : 'All items done',
+            orderStatus: order.orderStatus,
+            ticket: toTicket(order, order.items)
+        });
+    } catch (error) {
+        console.error('Bump kitchen order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
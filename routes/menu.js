@@ -1,7 +1,52 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const MenuItem = require('../models/MenuItem');
+const Inventory = require('../models/Inventory');
 const auth = require('../middleware/auth');
+const { toStockUnit, compatibleUnits } = require('../utils/units');
+
+// Helper to check recipe lines ([{ inventoryItem, quantity, unit }]) against
+// inventory. An ingredient's unit defaults to the unit the item is stocked in
+// and may be any unit that converts to it (g for kg stock, one of the item's
+// packs, ...). Returns { recipe } or { error }.
+const checkRecipe = async (recipe) => {
+    if (!Array.isArray(recipe)) {
+        return { error: 'Recipe must be a list of ingredients' };
+    }
+    if (recipe.some(line => !line || !mongoose.isValidObjectId(line.inventoryItem))) {
+        return { error: 'Every ingredient needs a valid inventoryItem' };
+    }
+    
+    const items = await Inventory.find({ _id: { $in: recipe.map(line => line.inventoryItem) } });
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+    
+    const lines = [];
+    for (const line of recipe) {
+        const item = itemsById.get(String(line.inventoryItem));
+        if (!item) {
+            return { error: `Inventory item ${line.inventoryItem} not found` };
+        }
+        if (lines.some(l => String(l.inventoryItem) === String(item._id))) {
+            return { error: `${item.name} is listed more than once` };
+        }
+        
+        const quantity = Number(line.quantity);
+        if (!(quantity > 0)) {
+            return { error: `${item.name}: quantity must be greater than 0` };
+        }
+        
+        const unit = line.unit || item.unit;
+        const converted = toStockUnit(quantity, unit, item);
+        if (converted.error) {
+            return { error: `${converted.error} - use one of ${compatibleUnits(item).join(', ')}` };
+        }
+        
+        lines.push({ inventoryItem: item._id, quantity, unit });
+    }
+    
+    return { recipe: lines };
+};
 
 // @route   GET /api/menu/available
 // @desc    Get available menu items (public)
@@ -9,7 +54,7 @@ const auth = require('../middleware/auth');
 router.get('/available', async (req, res) => {
     try {
         const items = await MenuItem.find({ available: true })
-            .select('name category price description image preparationTime')
+            .select('name category price description image preparationTime modifierGroups')
             .sort({ category: 1, name: 1 });
         
         res.json(items);
@@ -53,13 +98,18 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
     try {
-        const { name, category, price, description, preparationTime, available, image } = req.body;
+        const { name, category, price, description, station, modifierGroups, recipe, preparationTime, available, image } = req.body;
         
         // Validate required fields
         if (!name || !category || !price) {
             return res.status(400).json({ message: 'Name, category, and price are required' });
         }
         
+        const checked = recipe ? await checkRecipe(recipe) : { recipe: [] };
+        if (checked.error) {
+            return res.status(400).json({ message: checked.error });
+        }
+        
         // Check for duplicate name (optional - you might want this)
         const existingItem = await MenuItem.findOne({ name: { $regex: new RegExp('^' + name + '$', 'i') } });
         if (existingItem) {
@@ -71,6 +121,9 @@ router.post('/', auth, async (req, res) => {
             category,
             price,
             description: description || '',
+            station: station || undefined,
+            modifierGroups: modifierGroups || [],
+            recipe: checked.recipe,
             preparationTime: preparationTime || 15,
             available: available !== undefined ? available : true,
             image: image || 'fa-utensils'
@@ -100,26 +153,25 @@ router.post('/', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
     try {
-        const { name, category, price, description, preparationTime, available, image } = req.body;
-        
-        const menuItem = await MenuItem.findByIdAndUpdate(
-            req.params.id,
-            {
-                name,
-                category,
-                price,
-                description,
-                preparationTime,
-                available,
-                image
-            },
-            { new: true, runValidators: true }
-        );
+        const { name, category, price, description, station, modifierGroups, recipe, preparationTime, available, image } = req.body;
         
+        const checked = recipe !== undefined ? await checkRecipe(recipe) : {};
+        if (checked.error) {
+            return res.status(400).json({ message: checked.error });
+        }
+        
+        const menuItem = await MenuItem.findById(req.params.id);
         if (!menuItem) {
             return res.status(404).json({ message: 'Menu item not found' });
         }
         
+        // Saved rather than updated in place so modifier group checks run
+        const updates = { name, category, price, description, station, modifierGroups, recipe: checked.recipe, preparationTime, available, image };
+        Object.entries(updates).forEach(([field, value]) => {
+            if (value !== undefined) menuItem[field] = value;
+        });
+        await menuItem.save();
+        
         res.json({
             message: 'Menu item updated successfully',
             menuItem
@@ -137,6 +189,71 @@ router.put('/:id', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/menu/:id/recipe
+// @desc    Get a menu item's recipe with ingredient stock and the cost of one
+//          portion at current inventory prices
+// @access  Private
+router.get('/:id/recipe', auth, async (req, res) => {
+    try {
+        const menuItem = await MenuItem.findById(req.params.id)
+            .populate('recipe.inventoryItem', 'name unit packs unitPrice quantity status');
+        if (!menuItem) {
+            return res.status(404).json({ message: 'Menu item not found' });
+        }
+        
+        const ingredients = menuItem.recipe.map(line => {
+            const converted = line.inventoryItem ? toStockUnit(line.quantity, line.unit, line.inventoryItem) : {};
+            return {
+                inventoryItem: line.inventoryItem,
+                quantity: line.quantity,
+                unit: line.unit,
+                stockQuantity: converted.quantity,
+                cost: converted.quantity ? converted.quantity * line.inventoryItem.unitPrice : 0,
+                error: converted.error
+            };
+        });
+        const portionCost = ingredients.reduce((sum, line) => sum + line.cost, 0);
+        
+        res.json({
+            menuItem: { _id: menuItem._id, name: menuItem.name, price: menuItem.price },
+            ingredients,
+            portionCost,
+            margin: menuItem.price - portionCost
+        });
+    } catch (error) {
+        console.error('Get recipe error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PUT /api/menu/:id/recipe
+// @desc    Replace a menu item's recipe ({ recipe: [{ inventoryItem, quantity, unit }] })
+// @access  Private
+router.put('/:id/recipe', auth, async (req, res) => {
+    try {
+        const menuItem = await MenuItem.findById(req.params.id);
+        if (!menuItem) {
+            return res.status(404).json({ message: 'Menu item not found' });
+        }
+        
+        const { recipe, error } = await checkRecipe(req.body.recipe || []);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        
+        menuItem.recipe = recipe;
+        await menuItem.save();
+        
+        res.json({
+            message: 'Recipe updated',
+            recipe: menuItem.recipe
+        });
+    } catch (error) {
+        console.error('Update recipe error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // @route   PATCH /api/menu/:id/toggle
 // @desc    Toggle menu item availability
 // @access  Private
@@ -1,37 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-
-// Helper: Get M-PESA access token
-async function getMpesaAccessToken() {
-    try {
-        const consumerKey = process.env.MPESA_CONSUMER_KEY;
-        const consumerSecret = process.env.MPESA_CONSUMER_SECRET;
-        
-        if (!consumerKey || !consumerSecret) {
-            throw new Error('M-PESA consumer key or secret not configured');
-        }
-        
-        const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
-        
-        const url = process.env.MPESA_ENVIRONMENT === 'production'
-            ? 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials'
-            : 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials';
-        
-        const response = await axios.get(url, {
-            headers: { 
-                Authorization: `Basic ${auth}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        console.log('✅ M-PESA Access Token Generated');
-        return response.data.access_token;
-    } catch (error) {
-        console.error('❌ M-PESA Token Error:', error.response?.data || error.message);
-        throw error;
-    }
-}
+const MpesaPayment = require('../models/MpesaPayment');
+const MpesaCallbackAudit = require('../models/MpesaCallbackAudit');
+const auth = require('../middleware/auth');
+const safaricomOnly = require('../middleware/mpesaCallback');
+const { callbackSecret } = require('../middleware/mpesaCallback');
+const {
+    processStkCallback,
+    validateC2bPayment,
+    processC2bConfirmation,
+    processB2cResult,
+    processReversalResult,
+    auditRejectedCallback,
+    verifyStkCallback
+} = require('../utils/mpesaCallbacks');
+const { getMpesaClient } = require('../utils/mpesa');
+const { initiateStkPush } = require('../utils/stkPush');
+const { formatPhoneNumber } = require('../utils/helpers');
 
 // @route   GET /api/mpesa/test
 // @desc    Test M-PESA configuration
@@ -51,7 +36,9 @@ router.get('/test', (req, res) => {
 });
 
 // @route   POST /api/mpesa/stkpush
-// @desc    Initiate STK Push
+// @desc    Initiate STK Push. The push is not linked to any order or
+//          transaction here - orders claim it by mpesaCheckoutId when they
+//          are placed, and staff pay bills through their /payments routes.
 // @access  Public
 router.post('/stkpush', async (req, res) => {
     try {
@@ -68,14 +55,7 @@ router.post('/stkpush', async (req, res) => {
         }
         
         // Format phone number (ensure it starts with 254)
-        let formattedPhone = phone.replace(/\D/g, '');
-        if (formattedPhone.startsWith('0')) {
-            formattedPhone = '254' + formattedPhone.substring(1);
-        } else if (formattedPhone.startsWith('7')) {
-            formattedPhone = '254' + formattedPhone;
-        } else if (!formattedPhone.startsWith('254')) {
-            formattedPhone = '254' + formattedPhone;
-        }
+        const formattedPhone = formatPhoneNumber(String(phone));
         
         // Ensure phone is exactly 12 digits (254 + 9 digits)
         if (formattedPhone.length !== 12) {
@@ -85,10 +65,9 @@ router.post('/stkpush', async (req, res) => {
             });
         }
         
-        // Get access token
-        let accessToken;
+        // Get access token (cached by the client)
         try {
-            accessToken = await getMpesaAccessToken();
+            await getMpesaClient().getAccessToken();
         } catch (tokenError) {
             console.error('Failed to get M-PESA token:', tokenError);
             return res.status(500).json({
@@ -98,76 +77,34 @@ router.post('/stkpush', async (req, res) => {
             });
         }
         
-        // Prepare STK Push request
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        const timestamp = `${year}${month}${day}${hours}${minutes}${seconds}`;
-        
-        const businessShortCode = process.env.MPESA_BUSINESS_SHORTCODE || '174379';
-        const passkey = process.env.MPESA_PASSKEY || 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919';
-        
-        // Generate password (Base64 of BusinessShortCode + Passkey + Timestamp)
-        const password = Buffer.from(businessShortCode + passkey + timestamp).toString('base64');
-        
-        const url = process.env.MPESA_ENVIRONMENT === 'production'
-            ? 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest'
-            : 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest';
-        
-        const stkRequest = {
-            BusinessShortCode: businessShortCode,
-            Password: password,
-            Timestamp: timestamp,
-            TransactionType: 'CustomerPayBillOnline',
-            Amount: Math.round(amount),
-            PartyA: formattedPhone,
-            PartyB: businessShortCode,
-            PhoneNumber: formattedPhone,
-            CallBackURL: process.env.MPESA_CALLBACK_URL || 'https://yourdomain.com/api/mpesa/callback',
-            AccountReference: accountReference || 'RestoKe',
-            TransactionDesc: 'Restaurant Payment'
-        };
-        
-        console.log('📤 Sending STK Push:', stkRequest);
+        const { accepted, data, error } = await initiateStkPush({
+            phone: formattedPhone,
+            amount,
+            accountReference
+        });
         
-        try {
-            const response = await axios.post(url, stkRequest, {
-                headers: { 
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
+        if (accepted) {
+            res.json({
+                success: true,
+                message: 'STK Push sent successfully',
+                data: {
+                    MerchantRequestID: data.MerchantRequestID,
+                    CheckoutRequestID: data.CheckoutRequestID,
+                    ResponseCode: data.ResponseCode,
+                    ResponseDescription: data.ResponseDescription
                 }
             });
-            
-            console.log('📥 M-PESA Response:', response.data);
-            
-            if (response.data.ResponseCode === '0') {
-                res.json({
-                    success: true,
-                    message: 'STK Push sent successfully',
-                    data: {
-                        MerchantRequestID: response.data.MerchantRequestID,
-                        CheckoutRequestID: response.data.CheckoutRequestID,
-                        ResponseCode: response.data.ResponseCode,
-                        ResponseDescription: response.data.ResponseDescription
-                    }
-                });
-            } else {
-                res.status(400).json({
-                    success: false,
-                    message: response.data.ResponseDescription || 'STK Push failed',
-                    data: response.data
-                });
-            }
-        } catch (stkError) {
-            console.error('❌ STK Push Error:', stkError.response?.data || stkError.message);
+        } else if (data) {
+            res.status(400).json({
+                success: false,
+                message: data.ResponseDescription || 'STK Push failed',
+                data
+            });
+        } else {
             res.status(500).json({
                 success: false,
                 message: 'Failed to send STK push. Please try again.',
-                error: stkError.response?.data || stkError.message
+                error
             });
         }
         
@@ -182,11 +119,62 @@ router.post('/stkpush', async (req, res) => {
 });
 
 // @route   POST /api/mpesa/callback
-// @desc    M-PESA Callback URL
-// @access  Public
-router.post('/callback', (req, res) => {
+// @desc    Bare callback URL - STK callbacks must carry their per-push token
+// @access  Public (Safaricom IPs)
+router.post('/callback', safaricomOnly, async (req, res) => {
+    await auditRejectedCallback(req, 'Missing callback token');
+    res.status(403).json({ 
+        ResultCode: 1, 
+        ResultDesc: 'Rejected' 
+    });
+});
+
+// @route   POST /api/mpesa/callback/:token
+// @desc    M-PESA STK Callback URL (token generated per STK push)
+// @access  Public (Safaricom IPs)
+router.post('/callback/:token', safaricomOnly, async (req, res) => {
     console.log('📞 M-PESA Callback received:', JSON.stringify(req.body, null, 2));
     
+    try {
+        const verification = await verifyStkCallback(req.body, req.params.token, {
+            query: (checkoutRequestId) => getMpesaClient().stkQuery(checkoutRequestId)
+        });
+        
+        if (!verification.ok) {
+            await auditRejectedCallback(req, verification.reason, verification.details);
+            
+            // Genuine callbacks we could not confirm yet are left for the poller
+            if (verification.retryable) {
+                return res.json({ ResultCode: 0, ResultDesc: 'Success' });
+            }
+            
+            return res.status(403).json({ 
+                ResultCode: 1, 
+                ResultDesc: 'Rejected' 
+            });
+        }
+        
+        const result = await processStkCallback(req.body);
+        
+        if (result.status === 'invalid') {
+            console.warn('⚠️ M-PESA Callback missing Body.stkCallback');
+        } else if (result.status === 'not_found') {
+            console.warn(`⚠️ No order found for CheckoutRequestID ${result.callback.checkoutRequestId}`);
+        } else {
+            let label = 'unknown bill';
+            if (result.order) label = `order #${result.order.orderNumber}`;
+            else if (result.tab) label = `tab ${result.tab.tabNumber}`;
+            else if (result.transaction) label = `transaction ${result.transaction.transactionId}`;
+            if (result.status === 'duplicate') {
+                console.log(`🔁 Duplicate callback for ${label} ignored`);
+            } else {
+                console.log(`✅ M-PESA payment ${result.status} for ${label}`);
+            }
+        }
+    } catch (error) {
+        console.error('❌ M-PESA Callback Error:', error);
+    }
+    
     // Always respond with success to M-PESA
     res.json({ 
         ResultCode: 0, 
@@ -208,45 +196,13 @@ router.post('/query', async (req, res) => {
             });
         }
         
-        // Get access token
-        const accessToken = await getMpesaAccessToken();
-        
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        const timestamp = `${year}${month}${day}${hours}${minutes}${seconds}`;
-        
-        const businessShortCode = process.env.MPESA_BUSINESS_SHORTCODE || '174379';
-        const passkey = process.env.MPESA_PASSKEY || 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919';
-        const password = Buffer.from(businessShortCode + passkey + timestamp).toString('base64');
-        
-        const url = process.env.MPESA_ENVIRONMENT === 'production'
-            ? 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query'
-            : 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query';
-        
-        const queryRequest = {
-            BusinessShortCode: businessShortCode,
-            Password: password,
-            Timestamp: timestamp,
-            CheckoutRequestID: checkoutRequestId
-        };
-        
-        const response = await axios.post(url, queryRequest, {
-            headers: { 
-                Authorization: `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        const data = await getMpesaClient().stkQuery(checkoutRequestId);
         
-        console.log('📥 M-PESA Query Response:', response.data);
+        console.log('📥 M-PESA Query Response:', data);
         
         res.json({
             success: true,
-            data: response.data
+            data
         });
         
     } catch (error) {
@@ -259,4 +215,282 @@ router.post('/query', async (req, res) => {
     }
 });
 
+// @route   POST /api/mpesa/c2b/register
+// @desc    Register Paybill/Till confirmation and validation URLs with Safaricom
+// @access  Private (Admin/Manager)
+router.post('/c2b/register', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { responseType, confirmationUrl, validationUrl } = req.body;
+        
+        if (responseType && !['Completed', 'Cancelled'].includes(responseType)) {
+            return res.status(400).json({ message: 'responseType must be Completed or Cancelled' });
+        }
+        
+        const data = await getMpesaClient().c2bRegister({ responseType, confirmationUrl, validationUrl });
+        
+        console.log('📥 M-PESA C2B Register Response:', data);
+        
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('❌ M-PESA C2B Register Error:', error.response?.data || error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register C2B URLs',
+            error: error.response?.data || error.message
+        });
+    }
+});
+
+// @route   POST /api/mpesa/c2b/validation/:token
+// @desc    M-PESA C2B Validation URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/c2b/validation/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA C2B Validation received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const { ResultCode, ResultDesc } = await validateC2bPayment(req.body);
+        res.json({ ResultCode, ResultDesc });
+    } catch (error) {
+        console.error('❌ M-PESA C2B Validation Error:', error);
+        
+        // Don't turn away money because of our own error
+        res.json({ 
+            ResultCode: '0', 
+            ResultDesc: 'Accepted' 
+        });
+    }
+});
+
+// @route   POST /api/mpesa/c2b/confirmation/:token
+// @desc    M-PESA C2B Confirmation URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/c2b/confirmation/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA C2B Confirmation received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const result = await processC2bConfirmation(req.body);
+        
+        if (result.status === 'invalid') {
+            console.warn('⚠️ M-PESA C2B Confirmation missing TransID');
+        } else if (result.status === 'duplicate') {
+            console.log(`🔁 Duplicate C2B confirmation ${req.body.TransID} ignored`);
+        } else if (result.status === 'matched' || result.status === 'partial') {
+            console.log(`✅ C2B ${req.body.TransID} ${result.status === 'partial' ? 'part-paid' : 'matched to'} order #${result.order.orderNumber}`);
+        } else if (result.status === 'overpaid') {
+            console.warn(`⚠️ C2B ${req.body.TransID} overpaid order #${result.order.orderNumber} by KES ${result.transaction.overpayment}`);
+        } else {
+            console.log(`✅ C2B ${req.body.TransID} recorded as ${result.transaction.transactionId}`);
+        }
+    } catch (error) {
+        console.error('❌ M-PESA C2B Confirmation Error:', error);
+    }
+    
+    // Always respond with success to M-PESA
+    res.json({ 
+        ResultCode: 0, 
+        ResultDesc: 'Success' 
+    });
+});
+
+// @route   POST /api/mpesa/b2c/result/:token
+// @desc    M-PESA B2C (salary) Result URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/b2c/result/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA B2C Result received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const result = await processB2cResult(req.body);
+        
+        if (result.status === 'invalid' || result.status === 'not_found') {
+            console.warn('⚠️ M-PESA B2C Result did not match any payroll');
+        } else if (result.status === 'duplicate') {
+            console.log(`🔁 Duplicate B2C result for ${result.payroll.employeeName} ignored`);
+        } else {
+            console.log(`✅ Payroll for ${result.payroll.employeeName} disbursement ${result.payroll.disbursement.status}`);
+        }
+    } catch (error) {
+        console.error('❌ M-PESA B2C Result Error:', error);
+    }
+    
+    res.json({ 
+        ResultCode: 0, 
+        ResultDesc: 'Success' 
+    });
+});
+
+// @route   POST /api/mpesa/b2c/timeout/:token
+// @desc    M-PESA B2C (salary) Queue Timeout URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/b2c/timeout/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA B2C Timeout received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        await processB2cResult(req.body, { timeout: true });
+    } catch (error) {
+        console.error('❌ M-PESA B2C Timeout Error:', error);
+    }
+    
+    res.json({ 
+        ResultCode: 0, 
+        ResultDesc: 'Success' 
+    });
+});
+
+// @route   POST /api/mpesa/reversal/result/:token
+// @desc    M-PESA Transaction Reversal Result URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/reversal/result/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA Reversal Result received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const result = await processReversalResult(req.body);
+        
+        if (result.status === 'invalid' || result.status === 'not_found') {
+            console.warn('⚠️ M-PESA Reversal Result did not match any refund');
+        } else if (result.status === 'duplicate') {
+            console.log(`🔁 Duplicate reversal result for order #${result.order.orderNumber} ignored`);
+        } else {
+            console.log(`✅ Refund for order #${result.order.orderNumber} ${result.refund.status}`);
+        }
+    } catch (error) {
+        console.error('❌ M-PESA Reversal Result Error:', error);
+    }
+    
+    res.json({ 
+        ResultCode: 0, 
+        ResultDesc: 'Success' 
+    });
+});
+
+// @route   POST /api/mpesa/reversal/timeout/:token
+// @desc    M-PESA Transaction Reversal Queue Timeout URL
+// @access  Public (Safaricom IPs, callback secret)
+router.post('/reversal/timeout/:token?', safaricomOnly, callbackSecret, async (req, res) => {
+    console.log('📞 M-PESA Reversal Timeout received:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        await processReversalResult(req.body, { timeout: true });
+    } catch (error) {
+        console.error('❌ M-PESA Reversal Timeout Error:', error);
+    }
+    
+    res.json({ 
+        ResultCode: 0, 
+        ResultDesc: 'Success' 
+    });
+});
+
+// @route   GET /api/mpesa/payments
+// @desc    List STK push attempts (filter by status, phone, reference, receipt, date)
+// @access  Private (Admin/Manager/Cashier)
+router.get('/payments', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { status, phone, accountReference, receipt, checkoutRequestId, startDate, endDate, limit = 100 } = req.query;
+        
+        let query = {};
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+        if (phone) {
+            query.phone = { $regex: phone.replace(/\D/g, '').replace(/^0/, '') + '$' };
+        }
+        if (accountReference) {
+            query.accountReference = accountReference;
+        }
+        if (receipt) {
+            query.mpesaReceipt = receipt.toUpperCase();
+        }
+        if (checkoutRequestId) {
+            query.checkoutRequestId = checkoutRequestId;
+        }
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+        
+        const payments = await MpesaPayment.find(query)
+            .select('-rawRequest -rawResponse -rawCallback')
+            .populate('order', 'orderNumber total paymentStatus orderStatus')
+            .populate('transaction', 'transactionId total paymentStatus')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit));
+        
+        res.json(payments);
+    } catch (error) {
+        console.error('Get M-PESA payments error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   GET /api/mpesa/payments/:id
+// @desc    Get a single STK push attempt with raw request, response and callback
+// @access  Private (Admin/Manager/Cashier)
+router.get('/payments/:id', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const payment = await MpesaPayment.findById(req.params.id)
+            .populate('order')
+            .populate('transaction');
+        
+        if (!payment) {
+            return res.status(404).json({ message: 'M-PESA payment not found' });
+        }
+        
+        res.json(payment);
+    } catch (error) {
+        console.error('Get M-PESA payment error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   GET /api/mpesa/callback-audits
+// @desc    List rejected M-PESA callbacks for fraud review
+// @access  Private (Admin/Manager)
+router.get('/callback-audits', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { reason, checkoutRequestId, startDate, endDate, limit = 100 } = req.query;
+        
+        let query = {};
+        if (reason) {
+            query.reason = reason;
+        }
+        if (checkoutRequestId) {
+            query.checkoutRequestId = checkoutRequestId;
+        }
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+        
+        const audits = await MpesaCallbackAudit.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit));
+        
+        res.json(audits);
+    } catch (error) {
+        console.error('Get M-PESA callback audits error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const MenuItem = require('../models/MenuItem');
 const Customer = require('../models/Customer');
+const Restaurant = require('../models/Restaurant');
 const Notification = require('../models/Notification');
+const MpesaPayment = require('../models/MpesaPayment');
+const DeliveryZone = require('../models/DeliveryZone');
+const Table = require('../models/Table');
+const Tab = require('../models/Tab');
 const auth = require('../middleware/auth');
+const { getMpesaClient } = require('../utils/mpesa');
+const { addPayment, paymentSummary } = require('../utils/tenderPayments');
+const { publishOrder } = require('../utils/events');
+const { validateScheduledFor, reserveSlot, releaseSlot } = require('../utils/scheduledOrders');
+const { buildOrderItems } = require('../utils/orderItems');
+const { settleTabIfPaid } = require('../utils/tabs');
+const { billLines, splitBill, clearSplits } = require('../utils/billSplits');
+const { syncOrderStock } = require('../utils/stock');
+
+// Helper to pick the delivery zone for an order - the one the customer chose,
+// or the zone covering the delivery city - and check its minimum order.
+// Returns { zone } or { error }.
+const findDeliveryZone = async (deliveryZoneId, deliveryAddress, subtotal) => {
+    const zones = await DeliveryZone.find({ isActive: true });
+    if (zones.length === 0) {
+        return { error: 'Delivery is not available at the moment' };
+    }
+    
+    const zone = deliveryZoneId
+        ? zones.find(z => String(z._id) === String(deliveryZoneId))
+        : zones.find(z => z.coversArea(deliveryAddress.city));
+    
+    if (!zone) {
+        return { 
+            error: deliveryZoneId 
+                ? 'Delivery zone not found' 
+                : `Sorry, we do not deliver to ${deliveryAddress.city} yet` 
+        };
+    }
+    
+    if (subtotal < zone.minimumOrder) {
+        return { error: `The minimum order for delivery to ${zone.name} is KES ${zone.minimumOrder.toLocaleString()}` };
+    }
+    
+    return { zone };
+};
+
+// Helper to check a customer may still change their order. Returns
+// { statusCode, message } when they may not, otherwise null.
+const checkCustomerChange = async (order, user) => {
+    if (!order || user.role !== 'customer' || String(order.customerId) !== String(user.id)) {
+        return { statusCode: 404, message: 'Order not found' };
+    }
+    
+    if (!['Scheduled', 'Pending', 'Confirmed'].includes(order.orderStatus)) {
+        return { statusCode: 409, message: `Order is already ${order.orderStatus} and can no longer be changed` };
+    }
+    
+    // Scheduled orders stay changeable until they are released to the kitchen
+    if (order.scheduledFor && order.orderStatus !== 'Scheduled') {
+        return { statusCode: 409, message: 'Order has been released to the kitchen and can no longer be changed' };
+    }
+    
+    if (!order.scheduledFor) {
+        const settings = await Restaurant.findOne();
+        const windowMinutes = settings && settings.orderChangeWindowMinutes !== undefined 
+            ? settings.orderChangeWindowMinutes 
+            : 10;
+        const minutesSinceOrder = (Date.now() - order.createdAt.getTime()) / 60000;
+        if (minutesSinceOrder > windowMinutes) {
+            return { statusCode: 409, message: `Orders can only be changed within ${windowMinutes} minutes of ordering` };
+        }
+    }
+    
+    // A push still waiting on the customer's PIN would pay the old amount
+    if (order.payments.some(p => p.status === 'Pending')) {
+        return { statusCode: 409, message: 'A payment is still in progress for this order' };
+    }
+    if (order.mpesaCheckoutId && order.paymentStatus === 'Pending') {
+        const payment = await MpesaPayment.findOne({ checkoutRequestId: order.mpesaCheckoutId });
+        if (payment && payment.status === 'Pending') {
+            return { statusCode: 409, message: 'A payment is still in progress for this order' };
+        }
+    }
+    
+    return null;
+};
 
 // @route   POST /api/orders
 // @desc    Create new order (requires login)
@@ -13,14 +94,7 @@ router.post('/', auth, async (req, res) => {
     try {
         console.log('📦 Creating new order:', JSON.stringify(req.body, null, 2));
         
-        const { items, orderType, paymentMethod, deliveryAddress, notes, mpesaCheckoutId } = req.body;
-        
-        // Validate required fields
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({ 
-                message: 'Order must contain at least one item' 
-            });
-        }
+        const { items, orderType, paymentMethod, deliveryAddress, deliveryZoneId, tableNumber, notes, mpesaCheckoutId, scheduledFor } = req.body;
         
         // Get customer from auth
         const customer = await Customer.findById(req.user.id);
@@ -29,34 +103,19 @@ router.post('/', auth, async (req, res) => {
         }
         
         // Validate and fetch menu items
-        const orderItems = [];
-        for (const item of items) {
-            if (!item.menuItemId || !item.quantity) {
-                return res.status(400).json({ 
-                    message: 'Each item must have menuItemId and quantity' 
-                });
-            }
-            
-            const menuItem = await MenuItem.findById(item.menuItemId);
-            if (!menuItem) {
-                return res.status(400).json({ 
-                    message: `Item with ID ${item.menuItemId} not found` 
-                });
-            }
-            
-            if (!menuItem.available) {
-                return res.status(400).json({ 
-                    message: `${menuItem.name} is not available` 
-                });
+        const { orderItems, error: itemsError } = await buildOrderItems(items);
+        if (itemsError) {
+            return res.status(400).json({ message: itemsError });
+        }
+        
+        // Pre-orders wait outside the kitchen queue until their release time
+        let scheduledTime = null;
+        if (scheduledFor) {
+            const { scheduledFor: validTime, error: scheduleError } = await validateScheduledFor(scheduledFor);
+            if (scheduleError) {
+                return res.status(400).json({ message: scheduleError });
             }
-            
-            orderItems.push({
-                menuItemId: menuItem._id,
-                name: menuItem.name,
-                quantity: item.quantity,
-                price: menuItem.price,
-                subtotal: menuItem.price * item.quantity
-            });
+            scheduledTime = validTime;
         }
         
         // Calculate totals
@@ -75,12 +134,21 @@ router.post('/', auth, async (req, res) => {
             orderType: orderType || 'takeaway',
             paymentMethod: paymentMethod || 'M-PESA',
             paymentStatus: 'Pending',
-            orderStatus: 'Pending',
+            orderStatus: scheduledTime ? 'Scheduled' : 'Pending',
             notes: notes || ''
         };
         
-        // Add M-PESA checkout ID if available
+        if (scheduledTime) {
+            orderData.scheduledFor = scheduledTime;
+        }
+        
+        // Add M-PESA checkout ID if available - only a push no other order
+        // has claimed yet
         if (mpesaCheckoutId) {
+            const unclaimed = await MpesaPayment.exists({ checkoutRequestId: mpesaCheckoutId, order: null });
+            if (!unclaimed) {
+                return res.status(400).json({ message: 'M-PESA payment not found or already used for another order' });
+            }
             orderData.mpesaCheckoutId = mpesaCheckoutId;
         }
         
@@ -92,16 +160,84 @@ router.post('/', auth, async (req, res) => {
                 });
             }
             orderData.deliveryAddress = deliveryAddress;
+            
+            const { zone, error: zoneError } = await findDeliveryZone(deliveryZoneId, deliveryAddress, subtotal);
+            if (zoneError) {
+                return res.status(400).json({ message: zoneError });
+            }
+            orderData.deliveryZone = { zoneId: zone._id, name: zone.name };
+            orderData.deliveryFee = zone.fee;
+            orderData.total = subtotal + zone.fee;
+        }
+        
+        // Dine-in guests ordering from their phone say which table they are at.
+        // The number only tells staff where to serve: the order is paid on
+        // its own and never joins the table's tab, which staff control.
+        if (orderType === 'dine-in' && tableNumber) {
+            const table = await Table.findOne({ number: tableNumber, isActive: true });
+            if (!table) {
+                return res.status(400).json({ message: `Table ${tableNumber} not found` });
+            }
+            orderData.tableNumber = table.number;
         }
         
         console.log('📝 Order data to save:', JSON.stringify(orderData, null, 2));
         
+        // Take the kitchen slot last so a rejected order never holds one
+        if (scheduledTime) {
+            const { error: slotError } = await reserveSlot(scheduledTime);
+            if (slotError) {
+                return res.status(400).json({ message: slotError });
+            }
+        }
+        
         // Create and save order
         const order = new Order(orderData);
-        await order.save();
+        try {
+            await order.save();
+        } catch (error) {
+            if (scheduledTime) await releaseSlot(scheduledTime);
+            throw error;
+        }
         
         console.log('✅ Order saved successfully:', order.orderNumber);
         
+        // Link the STK push attempt - its callback may already have arrived.
+        // The claim is atomic so one paid push can never pay two orders.
+        if (order.mpesaCheckoutId) {
+            const payment = await MpesaPayment.findOneAndUpdate(
+                { checkoutRequestId: order.mpesaCheckoutId, order: null },
+                { order: order._id },
+                { new: true }
+            );
+            
+            if (!payment) {
+                order.mpesaCheckoutId = undefined;
+                await order.save();
+            } else if (payment.status === 'Paid') {
+                order.mpesaReceipt = payment.mpesaReceipt;
+                order.mpesaAmount = payment.paidAmount;
+                order.mpesaPhone = payment.payerPhone;
+                order.mpesaResultDesc = payment.resultDesc;
+                
+                if (payment.paidAmount >= order.total) {
+                    order.paymentStatus = 'Paid';
+                    order.paidAt = payment.completedAt;
+                } else {
+                    // Short payment: keep it as a tender so the balance stays due
+                    order.payments.push({
+                        method: 'M-PESA',
+                        amount: payment.paidAmount,
+                        reference: payment.mpesaReceipt,
+                        mpesaCheckoutId: payment.checkoutRequestId,
+                        status: 'Paid',
+                        paidAt: payment.completedAt
+                    });
+                }
+                await order.save();
+            }
+        }
+        
         // Update customer stats
         customer.totalOrders = (customer.totalOrders || 0) + 1;
         customer.totalSpent = (customer.totalSpent || 0) + order.total;
@@ -111,11 +247,13 @@ router.post('/', auth, async (req, res) => {
         // Create notification for dashboard with detailed items
         const itemsList = order.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
         await Notification.create({
-            title: '🆕 New Order',
-            message: `Order #${order.orderNumber} from ${order.customerName}\nItems: ${itemsList}\nTotal: KES ${order.total.toLocaleString()}`,
+            title: order.scheduledFor ? '📅 New Scheduled Order' : '🆕 New Order',
+            message: `Order #${order.orderNumber} from ${order.customerName}\nItems: ${itemsList}\nTotal: KES ${order.total.toLocaleString()}${order.scheduledFor ? `\nFor: ${order.scheduledFor.toLocaleString('en-KE')}` : ''}`,
             type: 'success'
         });
         
+        publishOrder('order:created', order);
+        
         // Send success response
         res.status(201).json({
             message: 'Order created successfully',
@@ -125,9 +263,12 @@ router.post('/', auth, async (req, res) => {
                 total: order.total,
                 status: order.orderStatus,
                 items: order.items,
+                scheduledFor: order.scheduledFor,
                 createdAt: order.createdAt,
                 orderType: order.orderType,
-                deliveryAddress: order.deliveryAddress
+                deliveryAddress: order.deliveryAddress,
+                deliveryZone: order.deliveryZone,
+                deliveryFee: order.deliveryFee
             }
         });
         
@@ -169,6 +310,156 @@ router.get('/my-orders', auth, async (req, res) => {
     }
 });
 
+// @route   PATCH /api/orders/:id
+// @desc    Customer edits items and/or notes of their order while it is
+//          Scheduled, or Pending/Confirmed and inside the change window
+// @access  Private (Customer)
+router.patch('/:id', auth, async (req, res) => {
+    try {
+        const { items, notes } = req.body;
+        
+        if (items === undefined && notes === undefined) {
+            return res.status(400).json({ message: 'Nothing to update - send items and/or notes' });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        const blocked = await checkCustomerChange(order, req.user);
+        if (blocked) {
+            return res.status(blocked.statusCode).json({ message: blocked.message });
+        }
+        
+        const previousTotal = order.total;
+        
+        if (items !== undefined) {
+            // Money already taken was for the old basket
+            if (order.getAmountPaid() > 0 || order.paymentStatus === 'Paid') {
+                return res.status(409).json({ message: 'Paid orders cannot be edited. Cancel the order instead.' });
+            }
+            // The kitchen has already taken the ingredients for the old basket
+            if (order.stockDeductedAt) {
+                return res.status(409).json({ message: 'The kitchen has started on this order. Cancel the order instead.' });
+            }
+            
+            const { orderItems, error: itemsError } = await buildOrderItems(items);
+            if (itemsError) {
+                return res.status(400).json({ message: itemsError });
+            }
+            
+            // The zone's minimum order still applies to the new basket
+            if (order.deliveryZone && order.deliveryZone.zoneId) {
+                const zone = await DeliveryZone.findById(order.deliveryZone.zoneId);
+                const newSubtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+                if (zone && newSubtotal < zone.minimumOrder) {
+                    return res.status(400).json({ 
+                        message: `The minimum order for delivery to ${zone.name} is KES ${zone.minimumOrder.toLocaleString()}` 
+                    });
+                }
+            }
+            
+            order.items = orderItems;
+        }
+        
+        if (notes !== undefined) {
+            order.notes = notes;
+        }
+        
+        // pre('save') recalculates subtotal and total from the items
+        await order.save();
+        
+        if (order.total !== previousTotal) {
+            await Customer.findByIdAndUpdate(order.customerId, { $inc: { totalSpent: order.total - previousTotal } });
+        }
+        
+        const itemsList = order.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
+        await Notification.create({
+            title: '✏️ Order Modified',
+            message: `Order #${order.orderNumber} was changed by ${order.customerName}\nItems: ${itemsList}\nTotal: KES ${order.total.toLocaleString()}${order.notes ? `\nNotes: ${order.notes}` : ''}`,
+            type: 'info'
+        });
+        
+        publishOrder('order:updated', order);
+        
+        res.json({
+            message: 'Order updated',
+            order
+        });
+    } catch (error) {
+        console.error('Modify order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Customer cancels their order while it is Scheduled, or
+//          Pending/Confirmed and inside the change window. Paid M-PESA amounts get a refund request.
+// @access  Private (Customer)
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        
+        const order = await Order.findById(req.params.id);
+        
+        const blocked = await checkCustomerChange(order, req.user);
+        if (blocked) {
+            return res.status(blocked.statusCode).json({ message: blocked.message });
+        }
+        
+        order.transitionTo('Cancelled', { 
+            user: req.user.id, 
+            role: 'customer', 
+            reason: reason || 'Cancelled by customer' 
+        });
+        
+        // Refund whatever reached us over M-PESA, pending staff approval
+        let refund = null;
+        const mpesaPaid = order.payments.length > 0
+            ? order.payments
+                .filter(p => p.method === 'M-PESA' && p.status === 'Paid')
+                .reduce((sum, p) => sum + p.amount, 0)
+            : (order.paymentStatus === 'Paid' && order.paymentMethod === 'M-PESA' ? order.total : 0);
+        const refundAmount = Math.min(mpesaPaid, order.getRefundableAmount());
+        
+        if (refundAmount > 0) {
+            order.refunds.push({
+                amount: refundAmount,
+                reason: `Customer cancelled order${reason ? `: ${reason}` : ''}`,
+                method: 'M-PESA',
+                status: 'Requested'
+            });
+            refund = order.refunds[order.refunds.length - 1];
+        }
+        
+        await syncOrderStock(order);
+        await order.save();
+        
+        if (order.scheduledFor) {
+            await releaseSlot(order.scheduledFor);
+        }
+        
+        await Customer.findByIdAndUpdate(order.customerId, { $inc: { totalSpent: -order.total } });
+        
+        await Notification.create({
+            title: '❌ Order Cancelled by Customer',
+            message: `Order #${order.orderNumber} was cancelled by ${order.customerName}${reason ? `\nReason: ${reason}` : ''}${refund ? `\nM-PESA refund of KES ${refund.amount.toLocaleString()} awaiting approval` : ''}`,
+            type: 'warning'
+        });
+        
+        publishOrder('order:status', order);
+        
+        res.json({
+            message: refund 
+                ? 'Order cancelled. Your M-PESA refund has been requested.' 
+                : 'Order cancelled',
+            order,
+            refund
+        });
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // @route   GET /api/orders/track/:orderNumber
 // @desc    Track order by number (requires phone verification)
 // @access  Public
@@ -193,11 +484,18 @@ router.get('/track/:orderNumber', async (req, res) => {
             orderNumber: order.orderNumber,
             customerName: order.customerName,
             orderStatus: order.orderStatus,
+            scheduledFor: order.scheduledFor,
+            statusHistory: order.statusHistory.map(change => ({
+                status: change.status,
+                changedAt: change.changedAt
+            })),
             createdAt: order.createdAt,
             total: order.total,
             items: order.items,
             orderType: order.orderType,
-            deliveryAddress: order.deliveryAddress
+            deliveryAddress: order.deliveryAddress,
+            deliveryFee: order.deliveryFee,
+            riderName: order.riderName
         });
     } catch (error) {
         console.error('Track order error:', error);
@@ -254,7 +552,8 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PATCH /api/orders/:id/status
-// @desc    Update order status (admin only)
+// @desc    Update order status (admin only). Only transitions allowed for the
+//          order type are accepted; each change is kept in statusHistory.
 // @access  Private (Admin/Manager)
 router.patch('/:id/status', auth, async (req, res) => {
     try {
@@ -262,9 +561,9 @@ router.patch('/:id/status', auth, async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
         
-        const { status } = req.body;
+        const { status, reason } = req.body;
         
-        const validStatuses = ['Pending', 'Confirmed', 'Preparing', 'Ready', 'Out for Delivery', 'Delivered', 'Completed', 'Cancelled'];
+        const validStatuses = ['Scheduled', 'Pending', 'Confirmed', 'Preparing', 'Ready', 'Out for Delivery', 'Delivered', 'Completed', 'Cancelled'];
         if (!validStatuses.includes(status)) {
             return res.status(400).json({ message: 'Invalid status' });
         }
@@ -274,9 +573,49 @@ router.patch('/:id/status', auth, async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
         
-        order.orderStatus = status;
+        if (!order.canTransitionTo(status)) {
+            const allowed = order.getAllowedTransitions();
+            return res.status(409).json({ 
+                message: `Cannot change a ${order.orderType} order from ${order.orderStatus} to ${status}`,
+                currentStatus: order.orderStatus,
+                allowedStatuses: allowed
+            });
+        }
+        
+        // Dispatch goes through rider assignment so every drop has a rider
+        if (status === 'Out for Delivery' && !order.rider) {
+            return res.status(400).json({ message: 'Assign a rider to dispatch this order' });
+        }
+        
+        // The kitchen display decides when food is ready, except for orders
+        // placed before it tracked items
+        if (status === 'Ready' && order.isKitchenTracked() && !order.isKitchenDone()) {
+            const remaining = order.items.filter(item => item.kitchenStatus !== 'done').length;
+            return res.status(400).json({ 
+                message: `Order cannot be Ready until all items are done (${remaining} remaining)` 
+            });
+        }
+        
+        order.transitionTo(status, { user: req.user.id, role: req.user.role, reason });
+        if (status === 'Pending' && order.scheduledFor && !order.releasedAt) {
+            order.releasedAt = new Date();
+        }
+        await syncOrderStock(order);
         await order.save();
         
+        if (status === 'Cancelled' && order.scheduledFor) {
+            await releaseSlot(order.scheduledFor);
+        }
+        
+        // A cancelled round no longer counts towards its table's tab, which
+        // may leave the tab fully paid
+        if (status === 'Cancelled' && order.tab) {
+            const tab = await Tab.findById(order.tab);
+            if (tab) {
+                await settleTabIfPaid(tab, { user: req.user.id, role: req.user.role });
+            }
+        }
+        
         // Create notification
         const itemsList = order.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
         await Notification.create({
@@ -285,6 +624,8 @@ router.patch('/:id/status', auth, async (req, res) => {
             type: 'info'
         });
         
+        publishOrder('order:status', order);
+        
         res.json({
             message: 'Order status updated',
             order
@@ -316,6 +657,13 @@ router.patch('/:id/payment', auth, async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
         
+        // With tenders recorded the status follows them on every save
+        if (order.payments.length > 0) {
+            return res.status(409).json({ 
+                message: 'This order is paid by recorded tenders - add or correct payments via /api/orders/:id/payments instead' 
+            });
+        }
+        
         order.paymentStatus = paymentStatus;
         if (mpesaReceipt) {
             order.mpesaReceipt = mpesaReceipt;
@@ -329,6 +677,8 @@ router.patch('/:id/payment', auth, async (req, res) => {
             type: paymentStatus === 'Paid' ? 'success' : 'warning'
         });
         
+        publishOrder('order:payment', order);
+        
         res.json({
             message: 'Payment status updated',
             order
@@ -339,4 +689,282 @@ router.patch('/:id/payment', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/orders/:id/payments
+// @desc    Get payments recorded against an order, the lines it can be split
+//          by and the balance due
+// @access  Private (Admin/Manager/Cashier)
+router.get('/:id/payments', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        res.json({
+            ...paymentSummary(order),
+            lines: billLines([order])
+        });
+    } catch (error) {
+        console.error('Get order payments error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/orders/:id/split
+// @desc    Split an order into shares paid separately: evenly ({ mode: 'even',
+//          parts }), by item ({ mode: 'items', shares: [{ label, items:
+//          [{ line, quantity }] }] }) or by amount ({ mode: 'custom',
+//          shares: [{ label, amount }] })
+// @access  Private (Admin/Manager/Cashier)
+router.post('/:id/split', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (order.tab) {
+            return res.status(400).json({ message: `Order #${order.orderNumber} is on a table tab - split the tab instead` });
+        }
+        
+        if (order.orderStatus === 'Cancelled') {
+            return res.status(400).json({ message: 'Cannot split a cancelled order' });
+        }
+        
+        const { error, statusCode } = splitBill(order, billLines([order]), req.body);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        await order.save();
+        
+        res.json({
+            message: `Order split into ${order.splits.length} shares`,
+            ...paymentSummary(order)
+        });
+    } catch (error) {
+        console.error('Split order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   DELETE /api/orders/:id/split
+// @desc    Remove an order's split before any share has been paid
+// @access  Private (Admin/Manager/Cashier)
+router.delete('/:id/split', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const { error, statusCode } = clearSplits(order);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        await order.save();
+        
+        res.json({
+            message: 'Split removed',
+            ...paymentSummary(order)
+        });
+    } catch (error) {
+        console.error('Remove order split error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/orders/:id/payments
+// @desc    Record one tender (cash, card, M-PESA) towards an order, or towards
+//          one share of a split order (splitId)
+// @access  Private (Admin/Manager/Cashier)
+router.post('/:id/payments', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { method, amount, reference, phone, splitId } = req.body;
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        if (order.orderStatus === 'Cancelled') {
+            return res.status(400).json({ message: 'Cannot take payment for a cancelled order' });
+        }
+        
+        const result = await addPayment(
+            order,
+            { method, amount, reference, phone, splitId, receivedBy: req.user.id },
+            { orderId: order._id, accountReference: order.orderNumber }
+        );
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+        
+        await order.save();
+        
+        if (order.paymentStatus === 'Paid') {
+            await Notification.create({
+                title: '💰 Payment Received',
+                message: `Order #${order.orderNumber} fully paid (${order.paymentMethod})\nTotal: KES ${order.total.toLocaleString()}`,
+                type: 'success'
+            });
+        }
+        
+        res.status(201).json({
+            message: result.payment.status === 'Pending' 
+                ? 'STK push sent. Payment will be confirmed by M-PESA.' 
+                : 'Payment recorded',
+            payment: result.payment,
+            change: result.change,
+            ...paymentSummary(order)
+        });
+    } catch (error) {
+        console.error('Add order payment error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/orders/:id/refund
+// @desc    Refund a paid, or cancelled part-paid, order in full or in part (M-PESA
+//          orders are reversed via Daraja). Send refundId to approve a customer's refund request.
+// @access  Private (Admin/Manager)
+router.post('/:id/refund', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { amount, refundId } = req.body;
+        
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        // A cancelled order may have been part paid before it was cancelled
+        const refundableOrder = ['Paid', 'Partially Refunded'].includes(order.paymentStatus)
+            || (order.orderStatus === 'Cancelled' && order.getCollectedAmount() > 0);
+        if (!refundableOrder) {
+            return res.status(400).json({ message: 'Only paid orders can be refunded' });
+        }
+        
+        // Approving a customer's refund request uses its amount and method
+        let requested = null;
+        if (refundId) {
+            requested = order.refunds.id(refundId);
+            if (!requested || requested.status !== 'Requested') {
+                return res.status(404).json({ message: 'Refund request not found' });
+            }
+        }
+        
+        const reason = req.body.reason || (requested && requested.reason);
+        const refundable = order.getRefundableAmount() + (requested ? requested.amount : 0);
+        const refundAmount = requested ? requested.amount : amount !== undefined ? Number(amount) : refundable;
+        
+        if (!refundAmount || refundAmount <= 0) {
+            return res.status(400).json({ message: 'Refund amount must be greater than 0' });
+        }
+        
+        if (refundAmount > refundable) {
+            return res.status(400).json({ 
+                message: `Refund amount exceeds refundable balance of KES ${refundable.toLocaleString()}` 
+            });
+        }
+        
+        // Mixed-tender orders need to say which tender is being refunded
+        const method = (requested && requested.method) || req.body.method || (order.paymentMethod !== 'Mixed' ? order.paymentMethod : null);
+        if (!['M-PESA', 'Cash', 'Card'].includes(method)) {
+            return res.status(400).json({ message: 'Refund method (M-PESA, Cash or Card) is required' });
+        }
+        
+        const refund = {
+            amount: refundAmount,
+            reason: reason || '',
+            method,
+            createdBy: req.user.id
+        };
+        
+        if (method === 'M-PESA') {
+            const mpesaPayment = order.payments.find(p => p.method === 'M-PESA' && p.status === 'Paid' && p.reference);
+            const receipt = order.mpesaReceipt || (mpesaPayment && mpesaPayment.reference);
+            if (!receipt) {
+                return res.status(400).json({ message: 'Order has no M-PESA receipt to reverse' });
+            }
+            
+            try {
+                const data = await getMpesaClient().reversal({
+                    transactionId: receipt,
+                    amount: refundAmount,
+                    remarks: `Refund for order ${order.orderNumber}`,
+                    occasion: reason
+                });
+                
+                console.log('📥 M-PESA Reversal Response:', data);
+                
+                if (data.ResponseCode !== '0') {
+                    throw new Error(data.ResponseDescription || 'Reversal request rejected');
+                }
+                
+                refund.status = 'Pending';
+                refund.reversal = {
+                    conversationId: data.ConversationID,
+                    originatorConversationId: data.OriginatorConversationID
+                };
+            } catch (reversalError) {
+                console.error('❌ M-PESA Reversal Error:', reversalError.response?.data || reversalError.message);
+                return res.status(502).json({
+                    message: 'Failed to request M-PESA reversal',
+                    error: reversalError.response?.data || reversalError.message
+                });
+            }
+        } else {
+            refund.status = 'Completed';
+            refund.completedAt = new Date();
+        }
+        
+        if (requested) {
+            requested.set(refund);
+        } else {
+            order.refunds.push(refund);
+        }
+        order.applyRefunds();
+        await order.save();
+        
+        await Notification.create({
+            title: refund.status === 'Completed' ? '↩️ Refund Issued' : '↩️ Refund Requested',
+            message: `KES ${refundAmount.toLocaleString()} ${refund.status === 'Completed' ? 'refunded' : 'reversal requested'} for order #${order.orderNumber} (${method})${reason ? `\nReason: ${reason}` : ''}`,
+            type: 'info'
+        });
+        
+        res.status(refund.status === 'Completed' ? 201 : 202).json({
+            message: refund.status === 'Completed' 
+                ? 'Refund recorded' 
+                : 'M-PESA reversal requested. Refund completes when Safaricom confirms.',
+            refund: requested || order.refunds[order.refunds.length - 1],
+            order
+        });
+    } catch (error) {
+        console.error('Refund order error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
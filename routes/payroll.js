@@ -3,6 +3,53 @@ const router = express.Router();
 const Payroll = require('../models/Payroll');
 const Employee = require('../models/Employee');
 const auth = require('../middleware/auth');
+const { getMpesaClient } = require('../utils/mpesa');
+
+// Disbursements whose outcome is not known yet. A queue timeout does not
+// mean the money was not sent, so it blocks retries until the late result
+// callback or a manual confirmation settles it.
+const UNRESOLVED_DISBURSEMENTS = ['Processing', 'Timeout'];
+
+// Helper: Send a salary to the employee's phone through M-PESA B2C.
+// The payroll stays Pending until the result callback reports success.
+async function disburseSalary(payroll, employee) {
+    payroll.paymentMethod = 'M-PESA';
+    payroll.paymentError = undefined;
+    payroll.disbursement = {
+        status: 'Processing',
+        phone: employee.phone,
+        amount: payroll.totalPay,
+        requestedAt: new Date()
+    };
+    
+    try {
+        const data = await getMpesaClient().b2c({
+            phone: employee.phone,
+            amount: payroll.totalPay,
+            remarks: `Salary ${payroll.payPeriod}`,
+            occasion: payroll.employeeId
+        });
+        
+        console.log('📥 M-PESA B2C Response:', data);
+        
+        if (data.ResponseCode !== '0') {
+            throw new Error(data.ResponseDescription || 'B2C request rejected');
+        }
+        
+        payroll.disbursement.conversationId = data.ConversationID;
+        payroll.disbursement.originatorConversationId = data.OriginatorConversationID;
+    } catch (error) {
+        const reason = error.response?.data?.errorMessage || error.message;
+        console.error('❌ M-PESA B2C Error:', error.response?.data || error.message);
+        payroll.disbursement.status = 'Failed';
+        payroll.disbursement.resultDesc = reason;
+        payroll.disbursement.completedAt = new Date();
+        payroll.paymentError = reason;
+    }
+    
+    await payroll.save();
+    return payroll;
+}
 
 // @route   GET /api/payroll
 // @desc    Get all payroll records
@@ -192,10 +239,11 @@ router.post('/process-all', auth, async (req, res) => {
 });
 
 // @route   PATCH /api/payroll/:id/pay
-// @desc    Mark payroll as paid
+// @desc    Mark payroll as paid, or disburse via M-PESA B2C with { disburse: true }
 // @access  Private
 router.patch('/:id/pay', auth, async (req, res) => {
     try {
+        const { disburse } = req.body;
         const payroll = await Payroll.findById(req.params.id);
         
         if (!payroll) {
@@ -206,6 +254,39 @@ router.patch('/:id/pay', auth, async (req, res) => {
             return res.status(400).json({ message: 'Payroll already paid' });
         }
         
+        if (payroll.disbursement && payroll.disbursement.status === 'Processing') {
+            return res.status(400).json({ message: 'M-PESA disbursement already in progress' });
+        }
+        
+        if (payroll.disbursement && payroll.disbursement.status === 'Timeout') {
+            return res.status(409).json({ message: 'The last M-PESA disbursement timed out - confirm whether it was received before paying again' });
+        }
+        
+        if (disburse) {
+            const employee = await Employee.findOne({ employeeId: payroll.employeeId });
+            if (!employee) {
+                return res.status(404).json({ message: 'Employee not found' });
+            }
+            
+            if (employee.paymentMethod !== 'M-PESA') {
+                return res.status(400).json({ message: `${employee.name} is paid by ${employee.paymentMethod}, not M-PESA` });
+            }
+            
+            await disburseSalary(payroll, employee);
+            
+            if (payroll.disbursement.status === 'Failed') {
+                return res.status(502).json({
+                    message: `M-PESA disbursement failed: ${payroll.paymentError}`,
+                    payroll
+                });
+            }
+            
+            return res.status(202).json({
+                message: 'M-PESA disbursement initiated. Payroll will be marked paid once confirmed.',
+                payroll
+            });
+        }
+        
         payroll.status = 'Paid';
         payroll.paymentDate = new Date();
         await payroll.save();
@@ -220,22 +301,120 @@ router.patch('/:id/pay', auth, async (req, res) => {
     }
 });
 
+// @route   PATCH /api/payroll/:id/disbursement
+// @desc    Settle a timed-out M-PESA disbursement after checking the M-PESA
+//          statement ({ received: true, transactionId } or { received: false })
+// @access  Private (Admin/Manager)
+router.patch('/:id/disbursement', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { received, transactionId } = req.body;
+        if (typeof received !== 'boolean') {
+            return res.status(400).json({ message: 'received must be true or false' });
+        }
+        if (received && !transactionId) {
+            return res.status(400).json({ message: 'M-PESA transaction ID is required' });
+        }
+        
+        const payroll = await Payroll.findById(req.params.id);
+        if (!payroll) {
+            return res.status(404).json({ message: 'Payroll record not found' });
+        }
+        
+        if (!payroll.disbursement || payroll.disbursement.status !== 'Timeout') {
+            return res.status(409).json({ message: 'Only timed-out disbursements can be settled by hand' });
+        }
+        
+        payroll.disbursement.completedAt = new Date();
+        payroll.disbursement.resultDesc = `Confirmed by hand: ${received ? 'received' : 'not received'}`;
+        if (received) {
+            payroll.status = 'Paid';
+            payroll.paymentDate = new Date();
+            payroll.paymentError = undefined;
+            payroll.disbursement.status = 'Completed';
+            payroll.disbursement.transactionId = String(transactionId).trim().toUpperCase();
+        } else {
+            payroll.disbursement.status = 'Failed';
+            payroll.paymentError = 'M-PESA B2C request timed out and was not received';
+        }
+        payroll.markModified('disbursement');
+        await payroll.save();
+        
+        res.json({
+            message: received ? 'Disbursement confirmed and payroll marked paid' : 'Disbursement marked failed - it can be sent again',
+            payroll
+        });
+    } catch (error) {
+        console.error('Settle disbursement error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/payroll/pay-all
-// @desc    Pay all pending salaries
+// @desc    Pay all pending salaries ({ disburse: true } sends M-PESA employees' pay via B2C)
 // @access  Private
 router.post('/pay-all', auth, async (req, res) => {
     try {
-        const result = await Payroll.updateMany(
-            { status: 'Pending' },
-            { 
-                status: 'Paid',
-                paymentDate: new Date()
+        const { disburse } = req.body;
+        const pendingQuery = {
+            status: 'Pending',
+            'disbursement.status': { $nin: UNRESOLVED_DISBURSEMENTS }
+        };
+        
+        if (!disburse) {
+            const result = await Payroll.updateMany(
+                pendingQuery,
+                { 
+                    status: 'Paid',
+                    paymentDate: new Date()
+                }
+            );
+            
+            return res.json({
+                message: `Paid ${result.modifiedCount} pending salaries`,
+                count: result.modifiedCount
+            });
+        }
+        
+        const payrolls = await Payroll.find(pendingQuery);
+        const results = {
+            paid: 0,
+            disbursing: 0,
+            failed: 0,
+            errors: []
+        };
+        
+        for (const payroll of payrolls) {
+            const employee = await Employee.findOne({ employeeId: payroll.employeeId });
+            
+            if (employee && employee.paymentMethod === 'M-PESA') {
+                await disburseSalary(payroll, employee);
+                if (payroll.disbursement.status === 'Failed') {
+                    results.failed++;
+                    results.errors.push({
+                        employee: payroll.employeeName,
+                        error: payroll.paymentError
+                    });
+                } else {
+                    results.disbursing++;
+                }
+                continue;
             }
-        );
+            
+            payroll.status = 'Paid';
+            payroll.paymentDate = new Date();
+            payroll.paymentMethod = employee ? employee.paymentMethod : payroll.paymentMethod;
+            await payroll.save();
+            results.paid++;
+        }
         
         res.json({
-            message: `Paid ${result.modifiedCount} pending salaries`,
-            count: result.modifiedCount
+            message: `Paid ${results.paid} salaries, ${results.disbursing} M-PESA disbursements in progress, ${results.failed} failed`,
+            count: results.paid,
+            results
         });
     } catch (error) {
         console.error('Pay all error:', error);
@@ -258,6 +437,10 @@ router.delete('/:id', auth, async (req, res) => {
             return res.status(400).json({ message: 'Cannot delete paid payroll' });
         }
         
+        if (payroll.disbursement && UNRESOLVED_DISBURSEMENTS.includes(payroll.disbursement.status)) {
+            return res.status(400).json({ message: 'Cannot delete payroll with an M-PESA disbursement in progress' });
+        }
+        
         await payroll.deleteOne();
         res.json({ message: 'Payroll record deleted' });
     } catch (error) {
@@ -291,7 +474,9 @@ router.get('/:id/payslip', auth, async (req, res) => {
                 deductions: payroll.deductions,
                 totalPay: payroll.totalPay,
                 status: payroll.status,
-                paymentDate: payroll.paymentDate
+                paymentDate: payroll.paymentDate,
+                paymentMethod: payroll.paymentMethod,
+                mpesaReceipt: payroll.disbursement ? payroll.disbursement.transactionId : undefined
             }
         });
     } catch (error) {
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Tab = require('../models/Tab');
+const Restaurant = require('../models/Restaurant');
+const { STATIONS } = require('../models/MenuItem');
+const auth = require('../middleware/auth');
+const { orderReceipt, transactionReceipt, tabReceipt, renderReceipt, renderKitchenTicket } = require('../utils/receipts');
+const { sendToPrinter, getPrinter } = require('../utils/printer');
+
+const PRINT_ROLES = ['admin', 'manager', 'cashier', 'staff'];
+
+// Restaurant settings, or the schema defaults when none are saved yet
+const getSettings = async () => (await Restaurant.findOne()) || new Restaurant();
+
+// Helper to load what a receipt is printed from: an order, a POS transaction
+// or a table tab. Returns { receipt } or { statusCode, error }.
+const loadReceipt = async (kind, id) => {
+    if (kind === 'order') {
+        const order = await Order.findById(id);
+        return order ? { receipt: orderReceipt(order) } : { statusCode: 404, error: 'Order not found' };
+    }
+    if (kind === 'transaction') {
+        const transaction = await Transaction.findById(id);
+        return transaction ? { receipt: transactionReceipt(transaction) } : { statusCode: 404, error: 'Transaction not found' };
+    }
+    if (kind === 'tab') {
+        const tab = await Tab.findById(id);
+        if (!tab) {
+            return { statusCode: 404, error: 'Tab not found' };
+        }
+        const orders = await Order.find({ _id: { $in: tab.orders } }).sort({ createdAt: 1 });
+        return { receipt: tabReceipt(tab, orders) };
+    }
+    return { statusCode: 400, error: 'Receipts can be printed for an order, transaction or tab' };
+};
+
+// Helper to send ESC/POS bytes as a file download
+const sendBytes = (res, bytes, filename) => {
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': bytes.length
+    });
+    res.send(bytes);
+};
+
+// @route   GET /api/print/receipts/:kind/:id
+// @desc    Download a customer receipt (kind: order, transaction or tab) as
+//          ESC/POS bytes for an 80mm/58mm thermal printer
+// @access  Private (Staff)
+router.get('/receipts/:kind/:id', auth, async (req, res) => {
+    try {
+        if (!PRINT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { receipt, statusCode, error } = await loadReceipt(req.params.kind, req.params.id);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        const settings = await getSettings();
+        const bytes = renderReceipt(receipt, settings, { copy: req.query.copy });
+        
+        sendBytes(res, bytes, `receipt-${receipt.number}.bin`);
+    } catch (error) {
+        console.error('Download receipt error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/print/receipts/:kind/:id
+// @desc    Print a customer receipt on the receipt printer set in restaurant
+//          settings (raw TCP, port 9100)
+// @access  Private (Staff)
+router.post('/receipts/:kind/:id', auth, async (req, res) => {
+    try {
+        if (!PRINT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { receipt, statusCode, error } = await loadReceipt(req.params.kind, req.params.id);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        const settings = await getSettings();
+        const printer = getPrinter(settings, 'receipt');
+        if (!printer) {
+            return res.status(400).json({ message: 'No receipt printer is configured - download the receipt instead' });
+        }
+        
+        const bytes = renderReceipt(receipt, settings, { copy: req.body.copy });
+        
+        try {
+            await sendToPrinter(bytes, printer);
+        } catch (printError) {
+            console.error('Receipt printer error:', printError.message);
+            return res.status(502).json({ message: printError.message });
+        }
+        
+        res.json({
+            message: `Receipt ${receipt.number} sent to printer`,
+            printer: `${printer.host}:${printer.port}`,
+            bytes: bytes.length
+        });
+    } catch (error) {
+        console.error('Print receipt error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   GET /api/print/kitchen-tickets/:orderId
+// @desc    Download a kitchen ticket as ESC/POS bytes (?station=grill for
+//          one station's items)
+// @access  Private (Staff)
+router.get('/kitchen-tickets/:orderId', auth, async (req, res) => {
+    try {
+        if (!PRINT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { station } = req.query;
+        if (station && !STATIONS.includes(station)) {
+            return res.status(400).json({ message: `Station must be one of ${STATIONS.join(', ')}` });
+        }
+        
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const settings = await getSettings();
+        const bytes = renderKitchenTicket(order, settings, { station });
+        
+        sendBytes(res, bytes, `ticket-${order.orderNumber}${station ? `-${station}` : ''}.bin`);
+    } catch (error) {
+        console.error('Download kitchen ticket error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/print/kitchen-tickets/:orderId
+// @desc    Print a kitchen ticket on the kitchen printer set in restaurant
+//          settings ({ station } for one station's items)
+// @access  Private (Staff)
+router.post('/kitchen-tickets/:orderId', auth, async (req, res) => {
+    try {
+        if (!PRINT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { station } = req.body;
+        if (station && !STATIONS.includes(station)) {
+            return res.status(400).json({ message: `Station must be one of ${STATIONS.join(', ')}` });
+        }
+        
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        
+        const settings = await getSettings();
+        const printer = getPrinter(settings, 'kitchen');
+        if (!printer) {
+            return res.status(400).json({ message: 'No kitchen printer is configured - download the ticket instead' });
+        }
+        
+        const bytes = renderKitchenTicket(order, settings, { station });
+        
+        try {
+            await sendToPrinter(bytes, printer);
+        } catch (printError) {
+            console.error('Kitchen printer error:', printError.message);
+            return res.status(502).json({ message: printError.message });
+        }
+        
+        res.json({
+            message: `Ticket for order #${order.orderNumber} sent to the kitchen printer`,
+            printer: `${printer.host}:${printer.port}`,
+            bytes: bytes.length
+        });
+    } catch (error) {
+        console.error('Print kitchen ticket error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const auth = require('../middleware/auth');
+const { STATUSES } = require('../models/PurchaseOrder');
+const { buildPurchaseLines, receiveGoods } = require('../utils/purchaseOrders');
+
+// Helper to add each line's outstanding quantity to a purchase order
+const withOutstanding = (purchaseOrder) => ({
+    ...purchaseOrder.toObject(),
+    items: purchaseOrder.items.map(line => ({
+        ...line.toObject(),
+        outstanding: purchaseOrder.getOutstanding(line)
+    }))
+});
+
+// @route   GET /api/purchase-orders
+// @desc    List purchase orders (?status=Sent&supplier=<id>)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const { status, supplier, limit = 100 } = req.query;
+        
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(', ')}` });
+        }
+        
+        const query = {};
+        if (status) query.status = status;
+        if (supplier) query.supplier = supplier;
+        
+        const purchaseOrders = await PurchaseOrder.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit));
+        
+        res.json(purchaseOrders.map(withOutstanding));
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get a purchase order with its deliveries
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+            .populate('supplier', 'name contactPerson phone email paymentTerms')
+            .populate('items.inventoryItem', 'name unit quantity');
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        res.json(withOutstanding(purchaseOrder));
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create a draft purchase order
+//          ({ supplier, items: [{ inventoryItem, quantity, unit?, expectedPrice? }], expectedDate?, notes? })
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { supplier: supplierId, items, expectedDate, notes } = req.body;
+        
+        if (!mongoose.isValidObjectId(supplierId)) {
+            return res.status(400).json({ message: 'Supplier is required' });
+        }
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+        
+        const lines = await buildPurchaseLines(items);
+        if (lines.error) {
+            return res.status(400).json({ message: lines.error });
+        }
+        
+        const purchaseOrder = new PurchaseOrder({
+            supplier: supplier._id,
+            supplierName: supplier.name,
+            items: lines.items,
+            expectedDate: expectedDate || undefined,
+            notes: notes || '',
+            createdBy: req.user.id
+        });
+        await purchaseOrder.save();
+        
+        res.status(201).json({
+            message: `Purchase order ${purchaseOrder.poNumber} created`,
+            purchaseOrder: withOutstanding(purchaseOrder)
+        });
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Edit a draft's items, expected date or notes
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (purchaseOrder.status !== 'Draft') {
+            return res.status(409).json({ message: 'Only draft purchase orders can be edited' });
+        }
+        
+        const { items, expectedDate, notes } = req.body;
+        if (items !== undefined) {
+            const lines = await buildPurchaseLines(items);
+            if (lines.error) {
+                return res.status(400).json({ message: lines.error });
+            }
+            purchaseOrder.items = lines.items;
+        }
+        if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate || undefined;
+        if (notes !== undefined) purchaseOrder.notes = notes;
+        await purchaseOrder.save();
+        
+        res.json({
+            message: 'Purchase order updated',
+            purchaseOrder: withOutstanding(purchaseOrder)
+        });
+    } catch (error) {
+        console.error('Update purchase order error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/send
+// @desc    Mark a draft as sent to the supplier
+// @access  Private
+router.post('/:id/send', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (purchaseOrder.status !== 'Draft') {
+            return res.status(409).json({ message: `Purchase order is already ${purchaseOrder.status.toLowerCase()}` });
+        }
+        
+        purchaseOrder.status = 'Sent';
+        purchaseOrder.sentAt = new Date();
+        await purchaseOrder.save();
+        
+        res.json({
+            message: `${purchaseOrder.poNumber} sent to ${purchaseOrder.supplierName}`,
+            purchaseOrder: withOutstanding(purchaseOrder)
+        });
+    } catch (error) {
+        console.error('Send purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Record goods received ({ items?: [{ line, quantity, unitPrice?, expiresAt? }],
+//          close?, createExpense?, paymentMethod?, notes? }). Without items
+//          everything outstanding is received at the expected prices.
+// @access  Private
+router.post('/:id/receive', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        
+        const { items, close, createExpense, paymentMethod, notes } = req.body;
+        const result = await receiveGoods(purchaseOrder, {
+            items,
+            close: Boolean(close),
+            createExpense: Boolean(createExpense),
+            paymentMethod,
+            notes,
+            user: req.user.id
+        });
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+        
+        res.json({
+            message: purchaseOrder.status === 'Received'
+                ? `${purchaseOrder.poNumber} fully received`
+                : `Delivery recorded on ${purchaseOrder.poNumber}`,
+            receipt: result.receipt,
+            purchaseOrder: withOutstanding(purchaseOrder)
+        });
+    } catch (error) {
+        console.error('Receive purchase order error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/cancel
+// @desc    Cancel a purchase order nothing has been received on
+// @access  Private
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (!['Draft', 'Sent'].includes(purchaseOrder.status)) {
+            return res.status(409).json({
+                message: purchaseOrder.status === 'Partially Received'
+                    ? 'Goods have been received - receive with close to finish this order instead'
+                    : `Purchase order is already ${purchaseOrder.status.toLowerCase()}`
+            });
+        }
+        
+        purchaseOrder.status = 'Cancelled';
+        purchaseOrder.cancelledAt = new Date();
+        await purchaseOrder.save();
+        
+        res.json({
+            message: `${purchaseOrder.poNumber} cancelled`,
+            purchaseOrder: withOutstanding(purchaseOrder)
+        });
+    } catch (error) {
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
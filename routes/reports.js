@@ -7,7 +7,10 @@ const Payroll = require('../models/Payroll');
 const Transaction = require('../models/Transaction');
 const Reservation = require('../models/Reservation');
 const Customer = require('../models/Customer');
+const Tab = require('../models/Tab');
+const MpesaPayment = require('../models/MpesaPayment');
 const auth = require('../middleware/auth');
+const { parseStatement, reconcileStatement } = require('../utils/mpesaStatement');
 
 // Helper to get date range
 const getDateRange = (startDate, endDate) => {
@@ -20,6 +23,63 @@ const getDateRange = (startDate, endDate) => {
     return { start, end };
 };
 
+// Helper to split a bill's value across the tenders that actually paid it,
+// net of completed refunds. Bills without payments[] use their paymentMethod.
+const tenderMix = (doc) => {
+    const mix = {};
+    const paid = (doc.payments || []).filter(p => p.status === 'Paid');
+    
+    if (paid.length > 0) {
+        paid.forEach(p => {
+            mix[p.method] = (mix[p.method] || 0) + p.amount;
+        });
+    } else {
+        const method = doc.paymentMethod || 'Unknown';
+        mix[method] = doc.total || 0;
+    }
+    
+    (doc.refunds || []).filter(r => r.status === 'Completed').forEach(r => {
+        mix[r.method] = (mix[r.method] || 0) - r.amount;
+    });
+    
+    return mix;
+};
+
+// Helper to list the M-PESA money a bill should have received: one entry per
+// paid M-PESA tender, or the bill's own receipt for single-tender bills
+const mpesaSales = (doc, type) => {
+    const base = {
+        type,
+        id: doc._id,
+        number: { order: doc.orderNumber, transaction: doc.transactionId, tab: doc.tabNumber }[type],
+        customerName: doc.customerName || (doc.tableNumber ? `Table ${doc.tableNumber}` : undefined),
+        paymentStatus: doc.paymentStatus
+    };
+    
+    const tenders = (doc.payments || []).filter(p => p.method === 'M-PESA' && p.status === 'Paid');
+    if (tenders.length > 0) {
+        return tenders.map(p => ({
+            ...base,
+            receipt: p.reference ? p.reference.toUpperCase() : null,
+            checkoutRequestId: p.mpesaCheckoutId,
+            amount: p.amount,
+            date: p.paidAt || doc.createdAt
+        }));
+    }
+    
+    if (doc.mpesaReceipt || doc.paymentMethod === 'M-PESA') {
+        return [{
+            ...base,
+            receipt: doc.mpesaReceipt ? doc.mpesaReceipt.toUpperCase() : null,
+            checkoutRequestId: doc.mpesaCheckoutId,
+            amount: doc.mpesaAmount || doc.total || 0,
+            date: doc.paidAt || doc.createdAt
+        }];
+    }
+    
+    return [];
+};
+
 // @route   GET /api/reports/sales
 // @desc    Generate sales report
 // @access  Private
@@ -43,43 +103,108 @@ router.get('/sales', auth, async (req, res) => {
             totalOrders: orders.length,
             totalTransactions: transactions.length,
             totalRevenue: 0,
+            totalRefunds: 0,
+            refundedOrders: 0,
             paidOrders: 0,
             pendingOrders: 0,
+            // Paybill/Till money received beyond what the order owed
+            overpayments: { count: 0, amount: 0 },
             byPaymentMethod: {},
             byOrderType: {},
+            byModifier: {},
             daily: {}
         };
         
         // Process orders
         orders.forEach(order => {
-            summary.totalRevenue += order.total || 0;
+            const refunded = order.refundedAmount || 0;
+            if (refunded > 0) {
+                summary.totalRefunds += refunded;
+                summary.refundedOrders++;
+            }
             
-            if (order.paymentStatus === 'Paid') summary.paidOrders++;
+            const paid = ['Paid', 'Partially Refunded', 'Refunded'].includes(order.paymentStatus);
+            if (paid) summary.paidOrders++;
             else summary.pendingOrders++;
             
-            const method = order.paymentMethod || 'Unknown';
-            summary.byPaymentMethod[method] = (summary.byPaymentMethod[method] || 0) + order.total;
+            // Revenue is money actually collected, net of refunds. Table
+            // rounds count once their tab is settled; the tab's tenders are
+            // added to the payment methods below.
+            let collected = 0;
+            if (order.tab) {
+                collected = paid ? (order.total || 0) - refunded : 0;
+            } else {
+                const unpaid = order.payments.length === 0 && !paid;
+                const mix = unpaid ? {} : tenderMix(order);
+                collected = Object.values(mix).reduce((sum, amount) => sum + amount, 0);
+                Object.entries(mix).forEach(([method, amount]) => {
+                    summary.byPaymentMethod[method] = (summary.byPaymentMethod[method] || 0) + amount;
+                });
+            }
+            summary.totalRevenue += collected;
             
             const type = order.orderType || 'Unknown';
             summary.byOrderType[type] = (summary.byOrderType[type] || 0) + 1;
             
+            // Modifier uptake, e.g. "Size: Half" sold 12 times for KES 2,400 extra
+            if (order.orderStatus !== 'Cancelled') {
+                order.items.forEach(item => {
+                    (item.modifiers || []).forEach(m => {
+                        const key = `${m.group}: ${m.option}`;
+                        if (!summary.byModifier[key]) {
+                            summary.byModifier[key] = { count: 0, revenue: 0 };
+                        }
+                        summary.byModifier[key].count += item.quantity;
+                        summary.byModifier[key].revenue += (m.priceDelta || 0) * item.quantity;
+                    });
+                });
+            }
+            
             const day = order.createdAt.toISOString().split('T')[0];
             if (!summary.daily[day]) {
                 summary.daily[day] = { orders: 0, revenue: 0 };
             }
             summary.daily[day].orders++;
-            summary.daily[day].revenue += order.total;
+            summary.daily[day].revenue += collected;
+        });
+        
+        // Tenders taken on the tabs of this period's table rounds
+        const tabIds = [...new Set(orders.filter(o => o.tab).map(o => String(o.tab)))];
+        const tabs = tabIds.length > 0 ? await Tab.find({ _id: { $in: tabIds }, status: 'Settled' }) : [];
+        tabs.forEach(tab => {
+            Object.entries(tenderMix(tab)).forEach(([method, amount]) => {
+                summary.byPaymentMethod[method] = (summary.byPaymentMethod[method] || 0) + amount;
+            });
         });
         
         // Process transactions
         transactions.forEach(t => {
-            summary.totalRevenue += t.total || 0;
+            // Payments for an order are already counted via the order,
+            // apart from anything paid beyond what the order owed
+            if (t.order) {
+                if (t.overpayment > 0) {
+                    summary.overpayments.count++;
+                    summary.overpayments.amount += t.overpayment;
+                }
+                return;
+            }
+            
+            // Only money actually taken counts: split-tender sales by their
+            // paid tenders, single-tender sales once they are paid
+            const unpaid = t.payments.length === 0 && ['Pending', 'Failed'].includes(t.paymentStatus);
+            const mix = unpaid ? {} : tenderMix(t);
+            const collected = Object.values(mix).reduce((sum, amount) => sum + amount, 0);
+            summary.totalRevenue += collected;
+            
+            Object.entries(mix).forEach(([method, amount]) => {
+                summary.byPaymentMethod[method] = (summary.byPaymentMethod[method] || 0) + amount;
+            });
             
             const day = t.createdAt.toISOString().split('T')[0];
             if (!summary.daily[day]) {
                 summary.daily[day] = { orders: 0, revenue: 0 };
             }
-            summary.daily[day].revenue += t.total;
+            summary.daily[day].revenue += collected;
         });
         
         res.json({
@@ -292,7 +417,7 @@ router.get('/general', auth, async (req, res) => {
         });
         
         // Calculate totals
-        const totalRevenue = orders.reduce((sum, o) => sum + (o.total || 0), 0);
+        const totalRevenue = orders.reduce((sum, o) => sum + (o.total || 0) - (o.refundedAmount || 0), 0);
         const totalExpenses = expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
         const profit = totalRevenue - totalExpenses;
         
@@ -331,4 +456,177 @@ router.get('/general', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/reports/deliveries
+// @desc    Delivery times per rider and per zone for orders delivered in range:
+//          out time (dispatch to door) and total time (order to door)
+// @access  Private (Admin/Manager)
+router.get('/deliveries', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { startDate, endDate } = req.query;
+        const { start, end } = getDateRange(startDate, endDate);
+        
+        const orders = await Order.find({
+            orderType: 'delivery',
+            deliveredAt: { $gte: start, $lte: end }
+        }).select('orderNumber riderName rider deliveryZone deliveryFee createdAt releasedAt dispatchedAt deliveredAt');
+        
+        const minutesBetween = (from, to) => (to.getTime() - from.getTime()) / 60000;
+        
+        const emptyStats = () => ({ deliveries: 0, fees: 0, outMinutes: 0, totalMinutes: 0, dispatched: 0 });
+        const addOrder = (stats, order) => {
+            stats.deliveries++;
+            stats.fees += order.deliveryFee || 0;
+            stats.totalMinutes += minutesBetween(order.releasedAt || order.createdAt, order.deliveredAt);
+            if (order.dispatchedAt) {
+                stats.outMinutes += minutesBetween(order.dispatchedAt, order.deliveredAt);
+                stats.dispatched++;
+            }
+        };
+        const finish = (stats) => ({
+            deliveries: stats.deliveries,
+            fees: stats.fees,
+            avgOutMinutes: stats.dispatched ? Math.round(stats.outMinutes / stats.dispatched) : null,
+            avgTotalMinutes: stats.deliveries ? Math.round(stats.totalMinutes / stats.deliveries) : null
+        });
+        
+        const overall = emptyStats();
+        const byRider = {};
+        const byZone = {};
+        
+        orders.forEach(order => {
+            const rider = order.riderName || 'Unassigned';
+            const zone = (order.deliveryZone && order.deliveryZone.name) || 'No zone';
+            
+            if (!byRider[rider]) byRider[rider] = emptyStats();
+            if (!byZone[zone]) byZone[zone] = emptyStats();
+            
+            addOrder(overall, order);
+            addOrder(byRider[rider], order);
+            addOrder(byZone[zone], order);
+        });
+        
+        res.json({
+            period: { start, end },
+            summary: finish(overall),
+            byRider: Object.entries(byRider).map(([rider, stats]) => ({ rider, ...finish(stats) })),
+            byZone: Object.entries(byZone).map(([zone, stats]) => ({ zone, ...finish(stats) }))
+        });
+    } catch (error) {
+        console.error('Delivery report error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/reports/mpesa-reconciliation
+// @desc    Reconcile an M-PESA statement CSV against orders and transactions
+//          (send the CSV as text/csv, or as JSON { csv, startDate, endDate })
+// @access  Private (Admin/Manager)
+router.post('/mpesa-reconciliation', auth, express.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: '10mb' }), async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+        if (!csv) {
+            return res.status(400).json({ message: 'Upload the M-PESA statement CSV' });
+        }
+        
+        const { rows, error } = parseStatement(csv);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        
+        // Period defaults to the days the statement covers
+        const startDate = req.query.startDate || (req.body && req.body.startDate);
+        const endDate = req.query.endDate || (req.body && req.body.endDate);
+        const statementDates = rows.map(r => r.completedAt).filter(Boolean).sort((a, b) => a - b);
+        const { start, end } = getDateRange(
+            startDate || statementDates[0],
+            endDate || statementDates[statementDates.length - 1]
+        );
+        
+        const receipts = [...new Set(rows.map(r => r.receipt))];
+        const paidStatuses = ['Paid', 'Partially Refunded', 'Refunded'];
+        
+        // Bills carrying a statement receipt, plus every M-PESA sale in the period
+        const orders = await Order.find({
+            $or: [
+                { mpesaReceipt: { $in: receipts } },
+                { 'payments.reference': { $in: receipts } },
+                {
+                    createdAt: { $gte: start, $lte: end },
+                    paymentStatus: { $in: paidStatuses },
+                    // Table rounds are paid on their tab
+                    tab: { $exists: false },
+                    $or: [
+                        { paymentMethod: { $in: ['M-PESA', 'Mixed'] } },
+                        { 'payments.method': 'M-PESA' }
+                    ]
+                }
+            ]
+        }).sort({ createdAt: 1 });
+        
+        const transactions = await Transaction.find({
+            $or: [
+                { mpesaReceipt: { $in: receipts } },
+                { 'payments.reference': { $in: receipts } },
+                {
+                    createdAt: { $gte: start, $lte: end },
+                    paymentStatus: { $in: paidStatuses },
+                    $or: [
+                        { paymentMethod: { $in: ['M-PESA', 'Mixed'] } },
+                        { 'payments.method': 'M-PESA' }
+                    ]
+                }
+            ]
+        }).sort({ createdAt: 1 });
+        
+        const tabs = await Tab.find({
+            $or: [
+                { 'payments.reference': { $in: receipts } },
+                { openedAt: { $gte: start, $lte: end }, 'payments.method': 'M-PESA' }
+            ]
+        }).sort({ openedAt: 1 });
+        
+        const sales = orders.flatMap(o => mpesaSales(o, 'order'))
+            .concat(tabs.flatMap(tab => mpesaSales(tab, 'tab')));
+        const orderReceipts = new Set(sales.map(s => s.receipt).filter(Boolean));
+        
+        transactions.forEach(t => {
+            mpesaSales(t, 'transaction').forEach(sale => {
+                // C2B payments for an order carry the same receipt as the order
+                if (t.order && sale.receipt && orderReceipts.has(sale.receipt)) return;
+                sales.push(sale);
+            });
+        });
+        
+        // STK pushes settled from stkpushquery never get a receipt number -
+        // Safaricom only sends it in the callback - so flag them rather than
+        // leaving them to look like sales that were never paid
+        const queried = await MpesaPayment.find({
+            checkoutRequestId: { $in: sales.filter(s => !s.receipt && s.checkoutRequestId).map(s => s.checkoutRequestId) },
+            resolvedBy: 'query'
+        }).select('checkoutRequestId');
+        const queriedIds = new Set(queried.map(p => p.checkoutRequestId));
+        sales.forEach(sale => {
+            if (queriedIds.has(sale.checkoutRequestId)) sale.confirmedByQuery = true;
+        });
+        
+        const report = reconcileStatement(rows, sales);
+        
+        res.json({
+            period: { start, end },
+            ...report
+        });
+    } catch (error) {
+        console.error('M-PESA reconciliation error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const Reservation = require('../models/Reservation');
 const Notification = require('../models/Notification');
+const { publish } = require('../utils/events');
 const auth = require('../middleware/auth'); // Admin auth
 
 // @route   POST /api/reservations
@@ -90,6 +91,15 @@ router.post('/', async (req, res) => {
             type: 'info'
         });
         
+        publish('reservation:created', {
+            _id: reservation._id,
+            name: reservation.name,
+            guests: reservation.guests,
+            date: reservation.date,
+            time: reservation.time,
+            status: reservation.status
+        });
+        
         // Format phone for display
         let displayPhone = formattedPhone;
         if (displayPhone.startsWith('254')) {
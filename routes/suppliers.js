@@ -37,7 +37,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
     try {
-        const { name, contactPerson, phone, email, address, products, paymentTerms } = req.body;
+        const { name, contactPerson, phone, email, address, products, paymentTerms, leadTimeDays } = req.body;
         
         // Validate required fields
         if (!name || !contactPerson || !phone || !email || !products || !paymentTerms) {
@@ -51,7 +51,8 @@ router.post('/', auth, async (req, res) => {
             email,
             address: address || '',
             products,
-            paymentTerms
+            paymentTerms,
+            leadTimeDays
         });
         
         await supplier.save();
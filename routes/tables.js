@@ -0,0 +1,616 @@
+const express = require('express');
+const router = express.Router();
+const Table = require('../models/Table');
+const Tab = require('../models/Tab');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { TABLE_STATUSES } = require('../models/Table');
+const { buildOrderItems } = require('../utils/orderItems');
+const { addPayment, paymentSummary } = require('../utils/tenderPayments');
+const { refreshTabTotal, settleTabIfPaid } = require('../utils/tabs');
+const { billLines, hasPayments, splitBill, clearSplits } = require('../utils/billSplits');
+const { publishOrder, publishTable } = require('../utils/events');
+
+const FLOOR_ROLES = ['admin', 'manager', 'cashier', 'staff'];
+const PAYMENT_ROLES = ['admin', 'manager', 'cashier'];
+
+// Helper to check for admin/manager
+const isManager = (user) => user.role === 'admin' || user.role === 'manager';
+
+// Helper to return the table's open tab, opening one (and seating the
+// table) when there is none. Returns { tab } or { statusCode, error }.
+const openTab = async (table, { customerName, guests, user }) => {
+    if (table.currentTab) {
+        const current = await Tab.findById(table.currentTab);
+        if (current && current.status === 'Open') {
+            return { tab: current, opened: false };
+        }
+    }
+    
+    if (table.status === 'cleaning') {
+        return { statusCode: 409, error: `Table ${table.number} is being cleaned` };
+    }
+    
+    const tab = new Tab({
+        table: table._id,
+        tableNumber: table.number,
+        customerName: customerName || '',
+        guests: guests || 1,
+        openedBy: user
+    });
+    await tab.save();
+    
+    table.currentTab = tab._id;
+    table.status = 'occupied';
+    table.reservation = undefined;
+    await table.save();
+    publishTable(table);
+    
+    return { tab, opened: true };
+};
+
+// ============= FLOOR PLAN =============
+
+// @route   GET /api/tables/floor-plan
+// @desc    Every table grouped by section with its status, open tab and
+//          held reservation, plus counts for the dashboard
+// @access  Private (Staff)
+router.get('/floor-plan', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const tables = await Table.find({ isActive: true })
+            .populate('currentTab')
+            .populate('reservation', 'name guests date time status')
+            .sort({ section: 1, number: 1 });
+        
+        const summary = { tables: tables.length, seats: 0, guests: 0, openTabsTotal: 0 };
+        TABLE_STATUSES.forEach(status => {
+            summary[status] = 0;
+        });
+        
+        const sections = {};
+        tables.forEach(table => {
+            const tab = table.currentTab && table.currentTab.status === 'Open' ? table.currentTab : null;
+            
+            summary[table.status]++;
+            summary.seats += table.capacity;
+            if (tab) {
+                summary.guests += tab.guests;
+                summary.openTabsTotal += tab.total;
+            }
+            
+            if (!sections[table.section]) {
+                sections[table.section] = [];
+            }
+            sections[table.section].push({
+                _id: table._id,
+                number: table.number,
+                capacity: table.capacity,
+                status: table.status,
+                statusChangedAt: table.statusChangedAt,
+                tab: tab ? {
+                    _id: tab._id,
+                    tabNumber: tab.tabNumber,
+                    customerName: tab.customerName,
+                    guests: tab.guests,
+                    rounds: tab.orders.length,
+                    total: tab.total,
+                    amountPaid: tab.getAmountPaid(),
+                    openedAt: tab.openedAt
+                } : null,
+                reservation: table.status === 'reserved' ? table.reservation : null
+            });
+        });
+        
+        res.json({
+            summary,
+            sections: Object.entries(sections).map(([section, sectionTables]) => ({ section, tables: sectionTables }))
+        });
+    } catch (error) {
+        console.error('Get floor plan error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ============= TABS =============
+
+// @route   GET /api/tables/tabs/:tabId
+// @desc    Tab with its rounds of orders, the lines it can be split by and
+//          the balance due
+// @access  Private (Staff)
+router.get('/tabs/:tabId', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const tab = await Tab.findById(req.params.tabId);
+        if (!tab) {
+            return res.status(404).json({ message: 'Tab not found' });
+        }
+        
+        const orders = await refreshTabTotal(tab);
+        if (tab.isModified('total') || tab.isModified('splits')) {
+            await tab.save();
+        }
+        
+        res.json({
+            tab,
+            orders,
+            lines: billLines(orders),
+            ...paymentSummary(tab)
+        });
+    } catch (error) {
+        console.error('Get tab error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables/tabs/:tabId/split
+// @desc    Split a tab into shares paid separately: evenly ({ mode: 'even',
+//          parts }), by item ({ mode: 'items', shares: [{ label, items:
+//          [{ line, quantity }] }] }) or by amount ({ mode: 'custom',
+//          shares: [{ label, amount }] }). Replaces any earlier split.
+// @access  Private (Admin/Manager/Cashier)
+router.post('/tabs/:tabId/split', auth, async (req, res) => {
+    try {
+        if (!PAYMENT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const tab = await Tab.findById(req.params.tabId);
+        if (!tab) {
+            return res.status(404).json({ message: 'Tab not found' });
+        }
+        
+        if (tab.status !== 'Open') {
+            return res.status(400).json({ message: `Tab is already ${tab.status}` });
+        }
+        
+        const orders = await refreshTabTotal(tab);
+        const { error, statusCode } = splitBill(tab, billLines(orders), req.body);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        await tab.save();
+        
+        res.json({
+            message: `Tab split into ${tab.splits.length} shares`,
+            ...paymentSummary(tab)
+        });
+    } catch (error) {
+        console.error('Split tab error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   DELETE /api/tables/tabs/:tabId/split
+// @desc    Remove a tab's split before any share has been paid
+// @access  Private (Admin/Manager/Cashier)
+router.delete('/tabs/:tabId/split', auth, async (req, res) => {
+    try {
+        if (!PAYMENT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const tab = await Tab.findById(req.params.tabId);
+        if (!tab) {
+            return res.status(404).json({ message: 'Tab not found' });
+        }
+        
+        const { error, statusCode } = clearSplits(tab);
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        await tab.save();
+        
+        res.json({
+            message: 'Split removed',
+            ...paymentSummary(tab)
+        });
+    } catch (error) {
+        console.error('Remove tab split error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables/tabs/:tabId/payments
+// @desc    Record one tender towards a tab, or towards one share of a split
+//          tab (splitId). The tab is settled, its orders marked paid and the
+//          table sent to cleaning once fully paid.
+// @access  Private (Admin/Manager/Cashier)
+router.post('/tabs/:tabId/payments', auth, async (req, res) => {
+    try {
+        if (!PAYMENT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { method, amount, reference, phone, splitId } = req.body;
+        
+        const tab = await Tab.findById(req.params.tabId);
+        if (!tab) {
+            return res.status(404).json({ message: 'Tab not found' });
+        }
+        
+        if (tab.status !== 'Open') {
+            return res.status(400).json({ message: `Tab is already ${tab.status}` });
+        }
+        
+        await refreshTabTotal(tab);
+        if (tab.total <= 0) {
+            return res.status(400).json({ message: 'Tab has no orders to pay for' });
+        }
+        
+        const result = await addPayment(
+            tab,
+            { method, amount, reference, phone, splitId, receivedBy: req.user.id },
+            { accountReference: tab.tabNumber }
+        );
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+        
+        await tab.save();
+        const settled = await settleTabIfPaid(tab, { user: req.user.id, role: req.user.role });
+        
+        res.status(201).json({
+            message: settled
+                ? 'Tab settled'
+                : result.payment.status === 'Pending' ? 'STK push sent. Waiting for customer PIN.' : 'Payment recorded',
+            payment: result.payment,
+            change: result.change,
+            tabStatus: tab.status,
+            ...paymentSummary(tab)
+        });
+    } catch (error) {
+        console.error('Add tab payment error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables/tabs/:tabId/cancel
+// @desc    Close a tab nobody was charged for (no rounds, or all cancelled)
+//          and free the table
+// @access  Private (Admin/Manager/Cashier)
+router.post('/tabs/:tabId/cancel', auth, async (req, res) => {
+    try {
+        if (!PAYMENT_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const tab = await Tab.findById(req.params.tabId);
+        if (!tab) {
+            return res.status(404).json({ message: 'Tab not found' });
+        }
+        
+        if (tab.status !== 'Open') {
+            return res.status(400).json({ message: `Tab is already ${tab.status}` });
+        }
+        
+        await refreshTabTotal(tab);
+        if (tab.total > 0 || tab.payments.some(p => p.status !== 'Failed')) {
+            return res.status(409).json({ message: 'Tab has orders or payments - settle it instead' });
+        }
+        
+        tab.status = 'Cancelled';
+        tab.closedAt = new Date();
+        tab.closedBy = req.user.id;
+        await tab.save();
+        
+        const table = await Table.findById(tab.table);
+        if (table && String(table.currentTab) === String(tab._id)) {
+            table.currentTab = undefined;
+            table.status = 'free';
+            await table.save();
+            publishTable(table);
+        }
+        
+        res.json({
+            message: 'Tab cancelled',
+            tab
+        });
+    } catch (error) {
+        console.error('Cancel tab error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ============= TABLES =============
+
+// @route   GET /api/tables
+// @desc    Get all tables (?all=true includes inactive tables)
+// @access  Private (Staff)
+router.get('/', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const query = req.query.all === 'true' ? {} : { isActive: true };
+        const tables = await Table.find(query).sort({ number: 1 });
+        res.json(tables);
+    } catch (error) {
+        console.error('Get tables error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables
+// @desc    Create table
+// @access  Private (Admin/Manager)
+router.post('/', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { number, capacity, section } = req.body;
+        
+        const table = new Table({ number, capacity, section });
+        await table.save();
+        
+        publishTable(table);
+        
+        res.status(201).json({
+            message: 'Table created',
+            table
+        });
+    } catch (error) {
+        console.error('Create table error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A table with this number already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PUT /api/tables/:id
+// @desc    Update table number, capacity, section or active flag
+// @access  Private (Admin/Manager)
+router.put('/:id', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const table = await Table.findById(req.params.id);
+        if (!table) {
+            return res.status(404).json({ message: 'Table not found' });
+        }
+        
+        if (req.body.isActive === false && table.currentTab) {
+            return res.status(409).json({ message: 'Table has an open tab' });
+        }
+        
+        ['number', 'capacity', 'section', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                table[field] = req.body[field];
+            }
+        });
+        await table.save();
+        
+        publishTable(table);
+        
+        res.json({
+            message: 'Table updated',
+            table
+        });
+    } catch (error) {
+        console.error('Update table error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A table with this number already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   DELETE /api/tables/:id
+// @desc    Delete table (not while a tab is open)
+// @access  Private (Admin/Manager)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!isManager(req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const table = await Table.findById(req.params.id);
+        if (!table) {
+            return res.status(404).json({ message: 'Table not found' });
+        }
+        
+        if (table.currentTab) {
+            return res.status(409).json({ message: 'Table has an open tab' });
+        }
+        
+        await table.deleteOne();
+        
+        res.json({ message: 'Table deleted' });
+    } catch (error) {
+        console.error('Delete table error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   PATCH /api/tables/:id/status
+// @desc    Set table status (free, occupied, reserved, cleaning). Reserving
+//          may hold the table for a reservation (reservationId).
+// @access  Private (Staff)
+router.patch('/:id/status', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { status, reservationId } = req.body;
+        if (!TABLE_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of ${TABLE_STATUSES.join(', ')}` });
+        }
+        
+        const table = await Table.findById(req.params.id);
+        if (!table) {
+            return res.status(404).json({ message: 'Table not found' });
+        }
+        
+        // The tab decides when an occupied table is done
+        if (table.currentTab && status !== 'occupied') {
+            return res.status(409).json({ message: 'Table has an open tab - settle or cancel it first' });
+        }
+        
+        table.reservation = undefined;
+        if (status === 'reserved' && reservationId) {
+            const reservation = await Reservation.findById(reservationId);
+            if (!reservation) {
+                return res.status(404).json({ message: 'Reservation not found' });
+            }
+            table.reservation = reservation._id;
+        }
+        
+        table.status = status;
+        await table.save();
+        
+        publishTable(table);
+        
+        res.json({
+            message: `Table ${table.number} is ${status}`,
+            table
+        });
+    } catch (error) {
+        console.error('Update table status error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables/:id/tabs
+// @desc    Seat guests and open a tab on the table
+// @access  Private (Staff)
+router.post('/:id/tabs', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { customerName, guests } = req.body;
+        
+        const table = await Table.findById(req.params.id);
+        if (!table || !table.isActive) {
+            return res.status(404).json({ message: 'Table not found' });
+        }
+        
+        const { tab, opened, statusCode, error } = await openTab(table, { customerName, guests, user: req.user.id });
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        if (!opened) {
+            return res.status(409).json({ message: `Table ${table.number} already has an open tab`, tab });
+        }
+        
+        res.status(201).json({
+            message: `Tab opened on table ${table.number}`,
+            tab
+        });
+    } catch (error) {
+        console.error('Open tab error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @route   POST /api/tables/:id/orders
+// @desc    Add a round of items to the table's tab (opening one if needed).
+//          Each round is a dine-in order that goes to the kitchen.
+// @access  Private (Staff)
+router.post('/:id/orders', auth, async (req, res) => {
+    try {
+        if (!FLOOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { items, notes, customerName, guests } = req.body;
+        
+        const table = await Table.findById(req.params.id);
+        if (!table || !table.isActive) {
+            return res.status(404).json({ message: 'Table not found' });
+        }
+        
+        const { orderItems, error: itemsError } = await buildOrderItems(items);
+        if (itemsError) {
+            return res.status(400).json({ message: itemsError });
+        }
+        
+        const { tab, statusCode, error } = await openTab(table, { customerName, guests, user: req.user.id });
+        if (error) {
+            return res.status(statusCode).json({ message: error });
+        }
+        
+        // Shares already being paid cannot grow, so the round would go unbilled
+        if (tab.splits.length > 0 && hasPayments(tab)) {
+            return res.status(409).json({ 
+                message: `Tab ${tab.tabNumber} is split and partly paid - settle it before adding rounds` 
+            });
+        }
+        
+        const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+        const order = new Order({
+            userId: req.user.id,
+            customerName: tab.customerName || `Table ${table.number}`,
+            items: orderItems,
+            subtotal,
+            total: subtotal,
+            orderType: 'dine-in',
+            table: table._id,
+            tableNumber: table.number,
+            tab: tab._id,
+            // Settled on the tab; set from the tab's tenders when it closes
+            paymentMethod: 'Cash',
+            paymentStatus: 'Pending',
+            orderStatus: 'Pending',
+            notes: notes || '',
+            statusHistory: [{ status: 'Pending', changedBy: req.user.id, changedByRole: req.user.role, reason: `Round ${tab.orders.length + 1} on tab ${tab.tabNumber}` }]
+        });
+        await order.save();
+        
+        tab.orders.push(order._id);
+        await refreshTabTotal(tab);
+        await tab.save();
+        
+        const itemsList = order.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
+        await Notification.create({
+            title: '🍽️ Table Order',
+            message: `Table ${table.number} - order #${order.orderNumber} (round ${tab.orders.length})\nItems: ${itemsList}\nTab total: KES ${tab.total.toLocaleString()}`,
+            type: 'info'
+        });
+        
+        publishOrder('order:created', order);
+        publishTable(table);
+        
+        res.status(201).json({
+            message: `Round ${tab.orders.length} sent to the kitchen`,
+            order,
+            tab
+        });
+    } catch (error) {
+        console.error('Add table order error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const { addPayment, paymentSummary } = require('../utils/tenderPayments');
+const { deductTransactionStock } = require('../utils/stock');
 
 // @route   GET /api/transactions
 // @desc    Get all transactions
@@ -42,7 +44,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
     try {
-        const { customerName, customerPhone, items, paymentMethod, notes } = req.body;
+        const { customerName, customerPhone, items, paymentMethod, payments, notes } = req.body;
         
         // Validate items
         if (!items || items.length === 0) {
@@ -56,7 +58,14 @@ router.post('/', auth, async (req, res) => {
         const transaction = new Transaction({
             customerName: customerName || 'Walk-in Customer',
             customerPhone,
-            items,
+            // menuItemId links a line to its recipe for stock deduction
+            items: items.map(item => ({
+                menuItem: item.menuItem || item.menuItemId || undefined,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price,
+                subtotal: item.price * item.quantity
+            })),
             subtotal,
             total,
             paymentMethod: paymentMethod || 'Cash',
@@ -64,11 +73,40 @@ router.post('/', auth, async (req, res) => {
             createdBy: req.user.id
         });
         
+        // Split tender: the bill is Paid only once the payments cover it
+        let change = 0;
+        if (Array.isArray(payments)) {
+            transaction.paymentStatus = 'Pending';
+            for (const entry of payments) {
+                // STK pushes need a saved transaction to settle against
+                if (entry.method === 'M-PESA' && !entry.reference) {
+                    return res.status(400).json({ 
+                        message: 'Record M-PESA receipts here, or send STK pushes via POST /api/transactions/:id/payments' 
+                    });
+                }
+                const result = await addPayment(
+                    transaction,
+                    { ...entry, receivedBy: req.user.id },
+                    { transactionId: transaction._id }
+                );
+                if (result.error) {
+                    return res.status(result.statusCode).json({ message: result.error });
+                }
+                change += result.change;
+            }
+        }
+        
         await transaction.save();
         
+        if (await deductTransactionStock(transaction)) {
+            await transaction.save();
+        }
+        
         res.status(201).json({
             message: 'Transaction recorded successfully',
-            transaction
+            transaction,
+            balanceDue: transaction.getBalanceDue(),
+            change
         });
     } catch (error) {
         console.error('Create transaction error:', error);
@@ -80,6 +118,68 @@ router.post('/', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/transactions/:id/payments
+// @desc    Get payments recorded against a transaction and the balance due
+// @access  Private (Admin/Manager/Cashier)
+router.get('/:id/payments', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const transaction = await Transaction.findById(req.params.id);
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+        res.json(paymentSummary(transaction));
+    } catch (error) {
+        console.error('Get transaction payments error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/transactions/:id/payments
+// @desc    Record one tender (cash, card, M-PESA) towards a transaction
+// @access  Private (Admin/Manager/Cashier)
+router.post('/:id/payments', auth, async (req, res) => {
+    try {
+        if (!['admin', 'manager', 'cashier'].includes(req.user.role)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        
+        const { method, amount, reference, phone } = req.body;
+        
+        const transaction = await Transaction.findById(req.params.id);
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+        
+        const result = await addPayment(
+            transaction,
+            { method, amount, reference, phone, receivedBy: req.user.id },
+            { transactionId: transaction._id, accountReference: transaction.transactionId }
+        );
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ message: result.error });
+        }
+        
+        await transaction.save();
+        
+        res.status(201).json({
+            message: result.payment.status === 'Pending' 
+                ? 'STK push sent. Payment will be confirmed by M-PESA.' 
+                : 'Payment recorded',
+            payment: result.payment,
+            change: result.change,
+            ...paymentSummary(transaction)
+        });
+    } catch (error) {
+        console.error('Add transaction payment error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/transactions/recent/:limit
 // @desc    Get recent transactions
 // @access  Private
@@ -55,6 +55,15 @@ app.use(cors({
 }));
 
 app.options('*', cors());
+
+// Behind a reverse proxy req.ip must come from X-Forwarded-For for the
+// M-PESA callback IP allowlist to see Safaricom's address. Opt in with
+// TRUST_PROXY (hop count, 'true', or proxy addresses) - trusting the header
+// without a proxy in front lets any client pick its own IP.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -123,6 +132,13 @@ require('./models/Transaction');
 require('./models/Notification');
 require('./models/Restaurant');
 require('./models/Customer');
+require('./models/MpesaPayment');
+require('./models/MpesaCallbackAudit');
+require('./models/DeliveryZone');
+require('./models/Rider');
+require('./models/Table');
+require('./models/Tab');
+require('./models/PurchaseOrder');
 
 // ============= ROUTES =============
 const authRoutes = require('./routes/auth');
@@ -143,6 +159,12 @@ const reportsRoutes = require('./routes/reports');
 const healthRoutes = require('./routes/health');
 const customerRoutes = require('./routes/customers');
 const customerAuthRoutes = require('./routes/customer-auth');
+const kitchenRoutes = require('./routes/kitchen');
+const eventRoutes = require('./routes/events');
+const deliveryRoutes = require('./routes/delivery');
+const tableRoutes = require('./routes/tables');
+const printRoutes = require('./routes/print');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
 
 // ============= USE ROUTES =============
 app.use('/api/auth', authRoutes);
@@ -163,6 +185,20 @@ app.use('/api/reports', reportsRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/health', healthRoutes);
 app.use('/api/customer/auth', customerAuthRoutes);
+app.use('/api/kitchen', kitchenRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/print', printRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+
+// ============= BACKGROUND JOBS =============
+const { createStkPoller } = require('./utils/stkPoller');
+const stkPoller = createStkPoller();
+const { createScheduledOrderReleaser } = require('./utils/scheduledOrders');
+const scheduledOrderReleaser = createScheduledOrderReleaser();
+const { createExpiryMonitor } = require('./utils/expiryMonitor');
+const expiryMonitor = createExpiryMonitor();
 
 // ============= TEST ENDPOINT =============
 app.get('/api/test', (req, res) => {
@@ -190,6 +226,20 @@ app.get('/', (req, res) => {
     res.sendFile(filePath);
 });
 
+// Kitchen Display
+app.get('/kitchen', (req, res) => {
+    const filePath = path.join(__dirname, 'public', 'kitchen.html');
+    console.log(`📄 Serving kitchen display from: ${filePath}`);
+    res.sendFile(filePath);
+});
+
+// Rider View
+app.get('/rider', (req, res) => {
+    const filePath = path.join(__dirname, 'public', 'rider.html');
+    console.log(`📄 Serving rider view from: ${filePath}`);
+    res.sendFile(filePath);
+});
+
 // Test Page
 app.get('/test', (req, res) => {
     const filePath = path.join(__dirname, 'public', 'test.html');
@@ -224,6 +274,12 @@ app.get('/api', (req, res) => {
             dashboard: '/api/dashboard',
             reports: '/api/reports',
             customers: '/api/customers',
+            kitchen: '/api/kitchen',
+            events: '/api/events/stream',
+            delivery: '/api/delivery',
+            tables: '/api/tables',
+            print: '/api/print',
+            purchaseOrders: '/api/purchase-orders',
             health: '/health'
         }
     });
@@ -323,6 +379,24 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`💳 M-PESA: ${process.env.MPESA_ENVIRONMENT || 'sandbox'} mode`);
     console.log(`🔒 Rate Limiting: Disabled`);
     
+    // Resolve STK pushes whose callback never arrived
+    if (process.env.MPESA_POLLER_ENABLED !== 'false') {
+        stkPoller.start();
+        console.log(`🔎 STK Poller: every ${process.env.MPESA_POLL_INTERVAL_SECONDS || 60}s`);
+    }
+    
+    // Move scheduled orders into the kitchen queue ahead of pickup
+    if (process.env.SCHEDULED_RELEASE_ENABLED !== 'false') {
+        scheduledOrderReleaser.start();
+        console.log(`⏰ Scheduled Order Release: every ${process.env.SCHEDULED_RELEASE_INTERVAL_SECONDS || 60}s`);
+    }
+    
+    // Warn about stock batches nearing expiry
+    if (process.env.EXPIRY_CHECK_ENABLED !== 'false') {
+        expiryMonitor.start();
+        console.log(`⏳ Stock Expiry Check: every ${process.env.EXPIRY_CHECK_INTERVAL_HOURS || 24}h`);
+    }
+    
     // Check if public folder exists
     const fs = require('fs');
     const publicPath = path.join(__dirname, 'public');
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Tab = require('../models/Tab');
+const { calculateSplits, fitSplits } = require('../utils/billSplits');
+
+const TABLE_ID = '64b0000000000000000000d1';
+
+const sum = (splits) => Math.round(splits.reduce((total, split) => total + split.amount * 100, 0)) / 100;
+
+test('an even split hands the odd cents to the first shares', () => {
+    const { splits } = calculateSplits(1000, [], { mode: 'even', parts: 3 });
+
+    assert.deepStrictEqual(splits.map(split => split.amount), [333.34, 333.33, 333.33]);
+    assert.strictEqual(sum(splits), 1000);
+});
+
+test('an item split puts per-unit rounding on the last share', () => {
+    const lines = [
+        { line: 'a', name: 'Tusker Lager', quantity: 3, amount: 1000 },
+        { line: 'b', name: 'Chips', quantity: 1, amount: 250 }
+    ];
+
+    const { splits } = calculateSplits(1250, lines, {
+        mode: 'items',
+        shares: [
+            { items: [{ line: 'a', quantity: 1 }] },
+            { items: [{ line: 'a', quantity: 1 }] },
+            { items: [{ line: 'a', quantity: 1 }, { line: 'b' }] }
+        ]
+    });
+
+    assert.deepStrictEqual(splits.map(split => split.amount), [333.33, 333.33, 583.34]);
+    assert.strictEqual(sum(splits), 1250);
+});
+
+test('custom shares must add up to the bill', () => {
+    const lines = [];
+
+    assert.strictEqual(
+        calculateSplits(1000, lines, { mode: 'custom', shares: [{ amount: 333.33 }, { amount: 666.67 }] }).error,
+        undefined
+    );
+    assert.match(
+        calculateSplits(1000, lines, { mode: 'custom', shares: [{ amount: 333.33 }, { amount: 666.66 }] }).error,
+        /add up to KES 999.99/
+    );
+});
+
+// A tab split three ways where the first guest has paid their share
+const makeSplitTab = (fields) => {
+    const tab = new Tab({
+        table: TABLE_ID,
+        tableNumber: 4,
+        total: 3000,
+        splits: [
+            { label: 'Guest 1', amount: 1000, status: 'Paid' },
+            { label: 'Guest 2', amount: 1000 },
+            { label: 'Guest 3', amount: 1000 }
+        ],
+        ...fields
+    });
+    tab.payments.push({ method: 'Cash', amount: 1000, split: tab.splits[0]._id });
+    return tab;
+};
+
+test('a cancelled round comes off the shares still to pay', () => {
+    const tab = makeSplitTab();
+    tab.total = 2450.01;
+
+    fitSplits(tab);
+
+    assert.deepStrictEqual(tab.splits.map(split => split.amount), [1000, 725, 725.01]);
+});
+
+test('a split that can no longer be met is dropped for one balance', () => {
+    const tab = makeSplitTab();
+    tab.payments.push({ method: 'M-PESA', amount: 600, reference: 'NLJ7RT61SV', split: tab.splits[1]._id });
+    tab.total = 2000;
+
+    fitSplits(tab);
+
+    assert.strictEqual(tab.splits.length, 0);
+    assert.strictEqual(tab.getBalanceDue(), 400);
+});
@@ -0,0 +1,53 @@
+const { mock } = require('node:test');
+const Order = require('../../models/Order');
+const Transaction = require('../../models/Transaction');
+const Tab = require('../../models/Tab');
+const Notification = require('../../models/Notification');
+
+// Just enough of MongoDB's query language for the filters the M-PESA
+// reconciliation uses: equality, $in, $ne and one level of array paths
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const [head, tail] = path.split('.');
+    const values = tail ? doc.get(head).map(entry => entry[tail]) : [doc.get(head)];
+    if (condition && condition.$in) return values.some(value => condition.$in.includes(value));
+    if (condition && condition.$ne) return !values.some(value => String(value) === String(condition.$ne));
+    return values.some(value => String(value) === String(condition));
+});
+
+// Keep orders in memory instead of MongoDB. Returns { orders, notifications }
+// for the test to fill and inspect; undo with mock.restoreAll().
+const stubOrderStore = () => {
+    const store = { orders: [], notifications: [] };
+
+    mock.method(Transaction, 'findOne', async () => null);
+    mock.method(Tab, 'findOne', async () => null);
+    mock.method(Notification, 'create', async (notification) => store.notifications.push(notification));
+    mock.method(Order, 'findOne', async (filter) => store.orders.find(order => matches(order, filter)) || null);
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        const order = store.orders.find(candidate => matches(candidate, filter));
+        if (!order) return null;
+        order.set(update.$set);
+        if (update.$push) order.payments.push(update.$push.payments);
+        return order;
+    });
+
+    return store;
+};
+
+// An unsaved M-PESA order for 1500 waiting on `checkoutRequestId`
+const makeOrder = (checkoutRequestId, fields = {}) => new Order({
+    customerName: 'Jane Wanjiku',
+    customerPhone: '254708374149',
+    items: [{ menuItemId: '64b000000000000000000001', name: 'Nyama Choma', quantity: 1, price: 1500, subtotal: 1500 }],
+    subtotal: 1500,
+    total: 1500,
+    paymentMethod: 'M-PESA',
+    mpesaCheckoutId: checkoutRequestId,
+    ...fields
+});
+
+module.exports = {
+    matches,
+    stubOrderStore,
+    makeOrder
+};
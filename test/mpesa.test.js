@@ -0,0 +1,193 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { MpesaClient, PATHS, generateTimestamp } = require('../utils/mpesa');
+
+// A local stand-in for Daraja. Each request is recorded; `routes` maps a
+// path to (body, req) => [status, json].
+let server;
+let baseUrl;
+let requests;
+let routes;
+let tokensIssued;
+
+const readJson = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw ? JSON.parse(raw) : undefined));
+});
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        const body = await readJson(req);
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+        const handler = routes[req.url];
+        const [status, data] = handler ? handler(body, req) : [404, { errorMessage: 'Not found' }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+beforeEach(() => {
+    // The client logs every token and error; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    requests = [];
+    tokensIssued = 0;
+    routes = {
+        [PATHS.oauth]: () => {
+            tokensIssued++;
+            return [200, { access_token: `token-${tokensIssued}`, expires_in: '3599' }];
+        },
+        [PATHS.stkPush]: () => [200, {
+            MerchantRequestID: '29115-34620561-1',
+            CheckoutRequestID: 'ws_CO_191220191020363925',
+            ResponseCode: '0',
+            ResponseDescription: 'Success. Request accepted for processing',
+            CustomerMessage: 'Success. Request accepted for processing'
+        }],
+        [PATHS.stkQuery]: () => [200, {
+            ResponseCode: '0',
+            MerchantRequestID: '29115-34620561-1',
+            CheckoutRequestID: 'ws_CO_191220191020363925',
+            ResultCode: '0',
+            ResultDesc: 'The service request is processed successfully.'
+        }]
+    };
+});
+
+const createClient = (options = {}) => new MpesaClient({
+    consumerKey: 'key',
+    consumerSecret: 'secret',
+    shortCode: '174379',
+    passkey: 'passkey',
+    baseUrl,
+    ...options
+});
+
+test('fetches an OAuth token with basic auth and reuses it', async () => {
+    const client = createClient();
+
+    const [first, second] = await Promise.all([client.getAccessToken(), client.getAccessToken()]);
+    const third = await client.getAccessToken();
+
+    assert.strictEqual(first, 'token-1');
+    assert.strictEqual(second, 'token-1');
+    assert.strictEqual(third, 'token-1');
+    assert.strictEqual(tokensIssued, 1);
+    assert.strictEqual(requests[0].method, 'GET');
+    assert.strictEqual(requests[0].headers.authorization, `Basic ${Buffer.from('key:secret').toString('base64')}`);
+});
+
+test('fetches a new token once the cached one is about to expire', async () => {
+    let clock = new Date('2024-03-01T12:00:00Z');
+    const client = createClient({ now: () => clock });
+
+    await client.getAccessToken();
+    clock = new Date(clock.getTime() + (3599 - 61) * 1000);
+    assert.strictEqual(await client.getAccessToken(), 'token-1');
+
+    clock = new Date(clock.getTime() + 2 * 1000);
+    assert.strictEqual(await client.getAccessToken(), 'token-2');
+});
+
+test('rejects without calling Daraja when credentials are missing', async () => {
+    const client = createClient();
+    client.consumerSecret = undefined;
+
+    await assert.rejects(client.getAccessToken(), /consumer key or secret not configured/);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('sends a signed STK push with the bearer token', async () => {
+    const clock = new Date('2024-03-01T12:00:00Z');
+    const client = createClient({ now: () => clock });
+
+    const data = await client.stkPush({
+        phone: '0708374149',
+        amount: 1499.6,
+        accountReference: 'ORD2403010001',
+        callbackUrl: 'https://example.com/api/mpesa/callback/abc'
+    });
+
+    const push = requests.find(r => r.url === PATHS.stkPush);
+    const timestamp = generateTimestamp(clock);
+    assert.strictEqual(data.CheckoutRequestID, 'ws_CO_191220191020363925');
+    assert.strictEqual(push.headers.authorization, 'Bearer token-1');
+    assert.deepStrictEqual(push.body, {
+        BusinessShortCode: '174379',
+        Password: Buffer.from(`174379passkey${timestamp}`).toString('base64'),
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: 1500,
+        PartyA: '254708374149',
+        PartyB: '174379',
+        PhoneNumber: '254708374149',
+        CallBackURL: 'https://example.com/api/mpesa/callback/abc',
+        AccountReference: 'ORD2403010001',
+        TransactionDesc: 'Restaurant Payment'
+    });
+});
+
+test('queries an STK push by CheckoutRequestID', async () => {
+    const client = createClient();
+
+    const data = await client.stkQuery('ws_CO_191220191020363925');
+
+    const query = requests.find(r => r.url === PATHS.stkQuery);
+    assert.strictEqual(query.body.CheckoutRequestID, 'ws_CO_191220191020363925');
+    assert.strictEqual(query.body.BusinessShortCode, '174379');
+    assert.strictEqual(data.ResultCode, '0');
+});
+
+test('drops the cached token when Daraja answers 401', async () => {
+    const client = createClient();
+    routes[PATHS.stkQuery] = () => [401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' }];
+
+    await assert.rejects(client.stkQuery('ws_CO_1'), (error) => error.response.status === 401);
+    assert.strictEqual(client.token, null);
+
+    routes[PATHS.stkQuery] = () => [200, { ResultCode: '0' }];
+    await client.stkQuery('ws_CO_1');
+    assert.strictEqual(tokensIssued, 2);
+});
+
+test('surfaces Daraja error bodies on other failures', async () => {
+    const client = createClient();
+    routes[PATHS.stkPush] = () => [400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid PhoneNumber' }];
+
+    await assert.rejects(
+        client.stkPush({ phone: '254700000000', amount: 10 }),
+        (error) => error.response.data.errorCode === '400.002.02'
+    );
+    assert.strictEqual(client.token, 'token-1');
+});
+
+test('sends B2C and reversal requests with the initiator credentials', async () => {
+    const client = createClient({ initiatorName: 'testapi', securityCredential: 'cred', b2cShortCode: '600000' });
+    routes[PATHS.b2c] = () => [200, { ConversationID: 'AG_1', OriginatorConversationID: '1-1', ResponseCode: '0' }];
+    routes[PATHS.reversal] = () => [200, { ConversationID: 'AG_2', OriginatorConversationID: '2-2', ResponseCode: '0' }];
+
+    await client.b2c({ phone: '0708374149', amount: 25000.4, resultUrl: 'https://example.com/b2c/result', queueTimeOutUrl: 'https://example.com/b2c/timeout' });
+    await client.reversal({ transactionId: 'NLJ7RT61SV', amount: 1500, resultUrl: 'https://example.com/r', queueTimeOutUrl: 'https://example.com/t' });
+
+    const b2c = requests.find(r => r.url === PATHS.b2c).body;
+    assert.strictEqual(b2c.InitiatorName, 'testapi');
+    assert.strictEqual(b2c.SecurityCredential, 'cred');
+    assert.strictEqual(b2c.CommandID, 'SalaryPayment');
+    assert.strictEqual(b2c.Amount, 25000);
+    assert.strictEqual(b2c.PartyA, '600000');
+    assert.strictEqual(b2c.PartyB, '254708374149');
+
+    const reversal = requests.find(r => r.url === PATHS.reversal).body;
+    assert.strictEqual(reversal.CommandID, 'TransactionReversal');
+    assert.strictEqual(reversal.TransactionID, 'NLJ7RT61SV');
+    assert.strictEqual(reversal.ReceiverParty, '174379');
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const MpesaCallbackAudit = require('../models/MpesaCallbackAudit');
+const safaricomOnly = require('../middleware/mpesaCallback');
+const { callbackSecret, SAFARICOM_IPS } = require('../middleware/mpesaCallback');
+
+const ENV_KEYS = ['MPESA_CALLBACK_IPS', 'MPESA_CALLBACK_SECRET', 'MPESA_ENVIRONMENT'];
+let savedEnv;
+let audits;
+
+// Run a middleware; resolves with 'next' or the JSON status it answered with
+const run = async (middleware, { ip = '203.0.113.9', token } = {}) => {
+    const req = { ip, params: { token }, body: {}, baseUrl: '/api/mpesa', route: { path: '/c2b/confirmation/:token?' } };
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    await middleware(req, res, () => {
+        outcome = 'next';
+    });
+    return outcome;
+};
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    audits = [];
+    mock.method(console, 'warn', () => {});
+    mock.method(MpesaCallbackAudit, 'create', async (audit) => audits.push(audit));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+});
+
+test('enforces the Safaricom IP list in the sandbox too', async () => {
+    process.env.MPESA_ENVIRONMENT = 'sandbox';
+
+    assert.strictEqual(await run(safaricomOnly), 403);
+    assert.strictEqual(audits[0].reason, 'Source IP not allowlisted');
+    assert.strictEqual(await run(safaricomOnly, { ip: `::ffff:${SAFARICOM_IPS[0]}` }), 'next');
+});
+
+test('only an explicit * opens the IP check', async () => {
+    process.env.MPESA_CALLBACK_IPS = '*';
+
+    assert.strictEqual(await run(safaricomOnly), 'next');
+});
+
+test('requires the callback secret once it is configured', async () => {
+    process.env.MPESA_CALLBACK_SECRET = 's3cret';
+
+    assert.strictEqual(await run(callbackSecret), 403);
+    assert.strictEqual(await run(callbackSecret, { token: 'wrong!' }), 403);
+    assert.strictEqual(audits[0].reason, 'Invalid callback secret');
+    assert.strictEqual(await run(callbackSecret, { token: 's3cret' }), 'next');
+});
+
+test('refuses production callbacks until a secret is configured', async () => {
+    process.env.MPESA_ENVIRONMENT = 'production';
+
+    assert.strictEqual(await run(callbackSecret), 403);
+    assert.strictEqual(audits[0].reason, 'MPESA_CALLBACK_SECRET not configured');
+
+    process.env.MPESA_ENVIRONMENT = 'sandbox';
+    assert.strictEqual(await run(callbackSecret), 'next');
+});
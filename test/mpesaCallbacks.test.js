@@ -0,0 +1,195 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const MpesaPayment = require('../models/MpesaPayment');
+const Transaction = require('../models/Transaction');
+const Payroll = require('../models/Payroll');
+const { processStkCallback, processC2bConfirmation, processB2cResult } = require('../utils/mpesaCallbacks');
+const { stubOrderStore, makeOrder: makeOrderFor } = require('./helpers/stubs');
+const successCallback = require('./fixtures/stk-callback-success.json');
+const cancelledCallback = require('./fixtures/stk-callback-cancelled.json');
+
+const CHECKOUT_ID = successCallback.Body.stkCallback.CheckoutRequestID;
+
+const makeOrder = (fields) => makeOrderFor(CHECKOUT_ID, fields);
+
+let orders;
+let notifications;
+
+beforeEach(() => {
+    mock.restoreAll();
+    ({ orders, notifications } = stubOrderStore());
+    mock.method(MpesaPayment, 'findOneAndUpdate', async () => ({ checkoutRequestId: CHECKOUT_ID, amount: 1500 }));
+    mock.method(Transaction.prototype, 'save', async function() {
+        return this;
+    });
+});
+
+const c2bConfirmation = (amount, reference = 'ORD2403010001') => ({
+    TransactionType: 'Pay Bill',
+    TransID: 'RKTQDM7W6S',
+    TransTime: '20240301120000',
+    TransAmount: String(amount),
+    BusinessShortCode: '600638',
+    BillRefNumber: reference,
+    MSISDN: '254708374149',
+    FirstName: 'Jane'
+});
+
+test('recorded success callback marks a fully covered order Paid', async () => {
+    const order = makeOrder();
+    orders.push(order);
+
+    const result = await processStkCallback(successCallback);
+
+    assert.strictEqual(result.status, 'paid');
+    assert.strictEqual(order.paymentStatus, 'Paid');
+    assert.strictEqual(order.mpesaReceipt, 'NLJ7RT61SV');
+    assert.strictEqual(order.mpesaAmount, 1500);
+    assert.strictEqual(order.payments.length, 0);
+    assert.strictEqual(notifications[0].type, 'success');
+});
+
+test('success callback for less than the order total records a partial payment', async () => {
+    const order = makeOrder({ total: 2000, subtotal: 2000 });
+    orders.push(order);
+
+    const result = await processStkCallback(successCallback);
+
+    assert.strictEqual(result.status, 'partial');
+    assert.strictEqual(order.paymentStatus, 'Pending');
+    assert.strictEqual(order.paidAt, undefined);
+    assert.strictEqual(order.payments.length, 1);
+    assert.strictEqual(order.payments[0].amount, 1500);
+    assert.strictEqual(order.payments[0].reference, 'NLJ7RT61SV');
+    assert.strictEqual(order.getBalanceDue(), 500);
+    assert.strictEqual(notifications[0].title, '⚠️ M-PESA Underpayment');
+});
+
+test('callback covering the balance left after another tender marks the order Paid', async () => {
+    const order = makeOrder({
+        total: 2000,
+        subtotal: 2000,
+        payments: [{ method: 'Cash', amount: 500 }]
+    });
+    orders.push(order);
+
+    const result = await processStkCallback(successCallback);
+
+    assert.strictEqual(result.status, 'paid');
+    assert.strictEqual(order.paymentStatus, 'Paid');
+    assert.strictEqual(order.getAmountPaid(), 2000);
+});
+
+test('replayed success callback does not record the payment twice', async () => {
+    const order = makeOrder({ total: 2000, subtotal: 2000 });
+    orders.push(order);
+
+    await processStkCallback(successCallback);
+    const replay = await processStkCallback(successCallback);
+
+    assert.strictEqual(replay.status, 'duplicate');
+    assert.strictEqual(order.payments.length, 1);
+    assert.strictEqual(order.getAmountPaid(), 1500);
+});
+
+test('recorded cancelled callback marks the order Failed', async () => {
+    const order = makeOrder();
+    orders.push(order);
+
+    const result = await processStkCallback(cancelledCallback);
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(order.paymentStatus, 'Failed');
+    assert.strictEqual(order.mpesaResultDesc, 'Request cancelled by user');
+});
+
+test('C2B payment covering the order total marks it Paid', async () => {
+    const order = makeOrder({ orderNumber: 'ORD2403010001', mpesaCheckoutId: undefined });
+    orders.push(order);
+
+    const result = await processC2bConfirmation(c2bConfirmation(1500));
+
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(order.paymentStatus, 'Paid');
+    assert.strictEqual(result.transaction.overpayment, 0);
+});
+
+test('C2B payment short of the total leaves the balance due', async () => {
+    const order = makeOrder({ orderNumber: 'ORD2403010001', mpesaCheckoutId: undefined });
+    orders.push(order);
+
+    const result = await processC2bConfirmation(c2bConfirmation(1000));
+
+    assert.strictEqual(result.status, 'partial');
+    assert.strictEqual(order.paymentStatus, 'Pending');
+    assert.strictEqual(order.getBalanceDue(), 500);
+});
+
+test('C2B overpayment marks the order Paid and keeps the excess on the transaction', async () => {
+    const order = makeOrder({ orderNumber: 'ORD2403010001', mpesaCheckoutId: undefined });
+    orders.push(order);
+
+    const result = await processC2bConfirmation(c2bConfirmation(2000));
+
+    assert.strictEqual(result.status, 'overpaid');
+    assert.strictEqual(order.paymentStatus, 'Paid');
+    assert.strictEqual(result.transaction.overpayment, 500);
+    assert.strictEqual(notifications[0].type, 'warning');
+});
+
+test('C2B payment for an order that is already paid is recorded as an overpayment', async () => {
+    const order = makeOrder({ orderNumber: 'ORD2403010001', paymentStatus: 'Paid', mpesaReceipt: 'NLJ7RT61SV' });
+    orders.push(order);
+
+    const result = await processC2bConfirmation(c2bConfirmation(1500));
+
+    assert.strictEqual(result.status, 'overpaid');
+    assert.strictEqual(order.mpesaReceipt, 'NLJ7RT61SV');
+    assert.strictEqual(result.transaction.overpayment, 1500);
+    assert.match(notifications[0].message, /already paid/);
+});
+
+const b2cResult = (resultCode, resultDesc) => ({
+    Result: {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: resultDesc,
+        OriginatorConversationID: '10571-7910404-1',
+        ConversationID: 'AG_20191219_00004e48cf7e3533f581',
+        TransactionID: 'NLJ41HAY6Q'
+    }
+});
+
+const stubPayroll = () => {
+    const payroll = new Payroll({
+        employeeId: 'EMP001',
+        employeeName: 'John Otieno',
+        payPeriod: '2024-03',
+        baseSalary: 25000,
+        totalPay: 25000,
+        status: 'Pending',
+        disbursement: { status: 'Processing', conversationId: 'AG_20191219_00004e48cf7e3533f581' }
+    });
+    mock.method(Payroll, 'findOne', async () => payroll);
+    mock.method(Payroll.prototype, 'save', async function() {
+        return this;
+    });
+    return payroll;
+};
+
+test('B2C queue timeout leaves the disbursement unresolved until the result arrives', async () => {
+    const payroll = stubPayroll();
+
+    const timedOut = await processB2cResult(b2cResult(1, 'The service request timed out'), { timeout: true });
+    assert.strictEqual(timedOut.status, 'timeout');
+    assert.strictEqual(payroll.disbursement.status, 'Timeout');
+    assert.strictEqual(payroll.status, 'Pending');
+
+    const again = await processB2cResult(b2cResult(1, 'The service request timed out'), { timeout: true });
+    assert.strictEqual(again.status, 'duplicate');
+
+    const late = await processB2cResult(b2cResult(0, 'The service request is processed successfully.'));
+    assert.strictEqual(late.status, 'paid');
+    assert.strictEqual(payroll.status, 'Paid');
+    assert.strictEqual(payroll.disbursement.transactionId, 'NLJ41HAY6Q');
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseStatement } = require('../utils/mpesaStatement');
+
+test('reads a portal export below its account details', () => {
+    const csv = [
+        '\uFEFFOrganization Name:,Mama Oliech Restaurant',
+        'Short Code:,174379',
+        'Receipt No.,Completion Time,Details,Transaction Status,Paid In,Withdrawn,Other Party Info,A/C No.',
+        'nlj7rt61sv,2024-01-15 13:45:12,Pay Bill from 254708374149,Completed,"1,500.00",,254708374149 - JANE WANJIKU,ORD2401150001',
+        'NLJ7RT61SW,2024-01-15 14:02:00,Business Charges,Completed,,30.00,,',
+        'NLJ7RT61SX,2024-01-15 14:10:00,Pay Bill from 254711000222,Failed,800.00,,254711000222 - JOHN OTIENO,ORD2401150002'
+    ].join('\r\n');
+
+    const { rows, error } = parseStatement(csv);
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(rows, [{
+        line: 4,
+        receipt: 'NLJ7RT61SV',
+        completedAt: new Date(2024, 0, 15, 13, 45, 12),
+        details: 'Pay Bill from 254708374149',
+        amount: 1500,
+        otherParty: '254708374149 - JANE WANJIKU',
+        accountNumber: 'ORD2401150001'
+    }]);
+});
+
+test('falls back to other names for each column', () => {
+    const csv = [
+        'Transaction ID,Date,Description,Amount,Other Party,Bill Reference',
+        'NLJ7RT61SV,15/01/2024 13:45,Pay Bill Online,1500,254708374149,TAB2401150003'
+    ].join('\n');
+
+    const { rows } = parseStatement(csv);
+
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].receipt, 'NLJ7RT61SV');
+    assert.deepStrictEqual(rows[0].completedAt, new Date(2024, 0, 15, 13, 45));
+    assert.strictEqual(rows[0].details, 'Pay Bill Online');
+    assert.strictEqual(rows[0].amount, 1500);
+    assert.strictEqual(rows[0].otherParty, '254708374149');
+    assert.strictEqual(rows[0].accountNumber, 'TAB2401150003');
+});
+
+test('explains which required column is missing', () => {
+    assert.deepStrictEqual(
+        parseStatement('Date,Details,Paid In\n2024-01-15,Pay Bill,1500'),
+        { error: 'Could not find the "Receipt No." column in the statement' }
+    );
+    assert.deepStrictEqual(
+        parseStatement('Receipt No.,Details,Withdrawn\nNLJ7RT61SV,Pay Bill,1500'),
+        { error: 'Could not find the "Paid In" column in the statement' }
+    );
+});
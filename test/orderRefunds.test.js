@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Restaurant = require('../models/Restaurant');
+const Notification = require('../models/Notification');
+const { MpesaClient } = require('../utils/mpesa');
+const { makeOrder } = require('./helpers/stubs');
+
+// The orders router on a local port, with the models it touches stubbed
+let server;
+let baseUrl;
+let order;
+let reversals;
+
+const CUSTOMER_ID = '64b0000000000000000000c1';
+
+before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', require('../routes/orders'));
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+beforeEach(() => {
+    reversals = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Order.prototype, 'save', async function() {
+        return this;
+    });
+    mock.method(Customer, 'findByIdAndUpdate', async () => null);
+    mock.method(Restaurant, 'findOne', async () => null);
+    mock.method(Notification, 'create', async () => {});
+    mock.method(MpesaClient.prototype, 'reversal', async (request) => {
+        reversals.push(request);
+        return { ResponseCode: '0', ConversationID: 'AG_1', OriginatorConversationID: '1-1' };
+    });
+});
+
+const post = async (path, role, body = {}) => {
+    const token = jwt.sign({ id: role === 'customer' ? CUSTOMER_ID : '64b0000000000000000000a1', role }, process.env.JWT_SECRET);
+    const response = await fetch(`${baseUrl}/api/orders${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('a cancelled part-paid order refunds what was paid once staff approve', async () => {
+    order = makeOrder(undefined, {
+        customerId: CUSTOMER_ID,
+        total: 2000,
+        subtotal: 2000,
+        payments: [{ method: 'M-PESA', amount: 1500, reference: 'NLJ7RT61SV', status: 'Paid' }]
+    });
+
+    const cancelled = await post(`/${order._id}/cancel`, 'customer', { reason: 'Running late' });
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(cancelled.body.refund.amount, 1500);
+    assert.strictEqual(cancelled.body.refund.status, 'Requested');
+
+    const approved = await post(`/${order._id}/refund`, 'manager', { refundId: cancelled.body.refund._id });
+    assert.strictEqual(approved.status, 202);
+    assert.strictEqual(approved.body.refund.status, 'Pending');
+    assert.strictEqual(reversals[0].transactionId, 'NLJ7RT61SV');
+    assert.strictEqual(reversals[0].amount, 1500);
+    assert.strictEqual(order.getRefundableAmount(), 0);
+});
+
+test('staff cannot refund more than was collected', async () => {
+    order = makeOrder(undefined, {
+        orderStatus: 'Cancelled',
+        total: 2000,
+        subtotal: 2000,
+        payments: [{ method: 'Cash', amount: 500, status: 'Paid' }]
+    });
+
+    const refund = await post(`/${order._id}/refund`, 'manager', { amount: 800, method: 'Cash' });
+
+    assert.strictEqual(refund.status, 400);
+    assert.match(refund.body.message, /refundable balance of KES 500/);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ORDER_TRANSITIONS } = require('../models/Order');
+const { makeOrder } = require('./helpers/stubs');
+
+const ORDER_TYPES = Object.keys(ORDER_TRANSITIONS);
+
+test('completed and cancelled orders cannot move again', () => {
+    ORDER_TYPES.forEach(orderType => {
+        ['Completed', 'Cancelled'].forEach(orderStatus => {
+            const order = makeOrder(undefined, { orderType, orderStatus });
+            assert.deepStrictEqual(order.getAllowedTransitions(), [], `${orderType} ${orderStatus}`);
+        });
+    });
+});
+
+test('only delivery orders go out for delivery, and they cannot skip it', () => {
+    ['dine-in', 'takeaway'].forEach(orderType => {
+        const order = makeOrder(undefined, { orderType, orderStatus: 'Ready' });
+        assert.strictEqual(order.canTransitionTo('Out for Delivery'), false);
+        assert.strictEqual(order.canTransitionTo('Completed'), true);
+    });
+
+    const delivery = makeOrder(undefined, { orderType: 'delivery', orderStatus: 'Ready' });
+    assert.strictEqual(delivery.canTransitionTo('Completed'), false);
+    assert.strictEqual(delivery.canTransitionTo('Delivered'), false);
+});
+
+test('food that is ready or on its way can no longer be cancelled', () => {
+    ORDER_TYPES.forEach(orderType => {
+        const order = makeOrder(undefined, { orderType, orderStatus: 'Ready' });
+        assert.strictEqual(order.canTransitionTo('Cancelled'), false, orderType);
+    });
+
+    const outForDelivery = makeOrder(undefined, { orderType: 'delivery', orderStatus: 'Out for Delivery' });
+    assert.strictEqual(outForDelivery.canTransitionTo('Cancelled'), false);
+});
+
+test('scheduled orders are released to pending before the kitchen sees them', () => {
+    const order = makeOrder(undefined, { orderType: 'takeaway', orderStatus: 'Scheduled' });
+
+    assert.strictEqual(order.canTransitionTo('Preparing'), false);
+    assert.strictEqual(order.canTransitionTo('Pending'), true);
+});
+
+test('an illegal move throws a 409 and leaves the order as it was', () => {
+    const order = makeOrder(undefined, { orderType: 'delivery', orderStatus: 'Pending' });
+
+    assert.throws(
+        () => order.transitionTo('Delivered', { role: 'manager' }),
+        error => error.statusCode === 409 && /from Pending to Delivered/.test(error.message)
+    );
+    assert.strictEqual(order.orderStatus, 'Pending');
+    assert.strictEqual(order.statusHistory.length, 0);
+    assert.strictEqual(order.deliveredAt, undefined);
+});
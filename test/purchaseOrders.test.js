@@ -0,0 +1,100 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Inventory = require('../models/Inventory');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const { receiveGoods, reorderSuggestions } = require('../utils/purchaseOrders');
+
+// Inventory and expenses kept as plain stored documents; find hands out
+// fresh copies, like a real read
+let stored;
+let expenses;
+let failNextExpense;
+
+beforeEach(() => {
+    mock.restoreAll();
+    stored = new Map();
+    expenses = [];
+    failNextExpense = false;
+
+    mock.method(Notification, 'create', async () => {});
+    mock.method(Inventory, 'find', async (filter) => filter._id.$in
+        .filter(id => stored.has(String(id)))
+        .map(id => new Inventory(JSON.parse(JSON.stringify(stored.get(String(id)))))));
+    mock.method(Inventory.prototype, 'save', async function() {
+        stored.set(String(this._id), this.toObject());
+        return this;
+    });
+    mock.method(Expense, 'exists', async ({ _id }) => expenses.find(expense => String(expense._id) === String(_id)) || null);
+    mock.method(Expense.prototype, 'save', async function() {
+        if (failNextExpense) {
+            failNextExpense = false;
+            throw new Error('connection reset');
+        }
+        expenses.push(this);
+        return this;
+    });
+    mock.method(PurchaseOrder.prototype, 'save', async function() {
+        return this;
+    });
+});
+
+test('a delivery that failed part way is finished on retry without receiving it twice', async () => {
+    const beef = new Inventory({ name: 'Beef', category: 'Meat', unit: 'kg', quantity: 5, unitPrice: 800, reorderLevel: 2 });
+    stored.set(String(beef._id), beef.toObject());
+    const purchaseOrder = new PurchaseOrder({
+        poNumber: 'PO2403010001',
+        supplier: '64b0000000000000000000e1',
+        supplierName: 'Kariokor Meats',
+        status: 'Sent',
+        items: [{ inventoryItem: beef._id, name: 'Beef', quantity: 10, unit: 'kg', expectedPrice: 800 }]
+    });
+
+    failNextExpense = true;
+    await assert.rejects(receiveGoods(purchaseOrder, { createExpense: true, paymentMethod: 'M-PESA' }), /connection reset/);
+    assert.strictEqual(stored.get(String(beef._id)).quantity, 15);
+    assert.strictEqual(expenses.length, 0);
+
+    const { receipt } = await receiveGoods(purchaseOrder, { createExpense: true, paymentMethod: 'M-PESA' });
+
+    assert.strictEqual(purchaseOrder.receipts.length, 1);
+    assert.strictEqual(receipt.pending, undefined);
+    assert.strictEqual(purchaseOrder.status, 'Received');
+    assert.strictEqual(stored.get(String(beef._id)).quantity, 15);
+    assert.strictEqual(stored.get(String(beef._id)).batches.length, 1);
+    assert.strictEqual(expenses.length, 1);
+    assert.strictEqual(expenses[0].amount, 8000);
+    assert.strictEqual(expenses[0].paymentMethod, 'M-PESA');
+});
+
+const stubStock = (items) => {
+    mock.method(Inventory, 'find', () => ({ populate: async () => items }));
+    mock.method(PurchaseOrder, 'find', async () => []);
+};
+
+test('an item at its reorder level with no usage is still suggested', async () => {
+    const supplier = new Supplier({ name: 'Kariokor Meats', leadTimeDays: 1 });
+    const beef = new Inventory({ name: 'Beef', category: 'Meat', unit: 'kg', quantity: 2, unitPrice: 800, reorderLevel: 2 });
+    beef.supplier = supplier;
+    stubStock([beef]);
+
+    const [group] = await reorderSuggestions();
+
+    assert.strictEqual(group.supplier.name, 'Kariokor Meats');
+    assert.strictEqual(group.items[0].suggestedQuantity, 1);
+});
+
+test('items from an inactive supplier are suggested as unassigned', async () => {
+    const supplier = new Supplier({ name: 'Old Farm', leadTimeDays: 1, status: 'Inactive' });
+    const milk = new Inventory({ name: 'Milk', category: 'Dairy', unit: 'l', quantity: 1, unitPrice: 60, reorderLevel: 5 });
+    milk.supplier = supplier;
+    stubStock([milk]);
+
+    const groups = await reorderSuggestions();
+
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].supplier, null);
+    assert.strictEqual(groups[0].items[0].name, 'Milk');
+});
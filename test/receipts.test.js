@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const Restaurant = require('../models/Restaurant');
+const { orderReceipt, renderReceipt, renderKitchenTicket } = require('../utils/receipts');
+const { makeOrder } = require('./helpers/stubs');
+
+// Snapshots are the printer bytes with control codes written as <1b 40> so
+// changes show up readably in a diff. Run with UPDATE_SNAPSHOTS=1 to rewrite
+// them after an intended layout change.
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshots');
+
+const readable = (buffer) => Array.from(buffer)
+    .map(byte => (byte === 0x0a || (byte >= 0x20 && byte <= 0x7e)
+        ? String.fromCharCode(byte)
+        : `<${byte.toString(16).padStart(2, '0')}>`))
+    .join('')
+    .replace(/><(?=[0-9a-f]{2}>)/g, ' ');
+
+const assertSnapshot = (name, buffer) => {
+    const file = path.join(SNAPSHOT_DIR, `${name}.txt`);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, readable(buffer));
+    }
+    assert.strictEqual(readable(buffer), fs.readFileSync(file, 'utf8'));
+};
+
+const settings = new Restaurant({ name: 'Mama Oliech', phone: '+254 722 000111' });
+const printedAt = new Date('2024-03-01T12:30:00Z');
+
+const makeTableOrder = (fields) => makeOrder(undefined, {
+    orderNumber: 'ORD2403010001',
+    orderType: 'dine-in',
+    tableNumber: 7,
+    createdAt: new Date('2024-03-01T12:05:00Z'),
+    items: [
+        {
+            menuItemId: '64b000000000000000000001',
+            name: 'Nyama Choma',
+            quantity: 2,
+            price: 1650,
+            subtotal: 3300,
+            station: 'grill',
+            modifiers: [{ group: 'Size', option: 'Half kilo', priceDelta: 150 }]
+        },
+        { menuItemId: '64b000000000000000000002', name: 'Tusker Lager', quantity: 3, price: 300, subtotal: 900, station: 'bar' }
+    ],
+    subtotal: 4200,
+    total: 4200,
+    ...fields
+});
+
+test('renders a paid order receipt', () => {
+    const order = makeTableOrder({
+        paymentStatus: 'Paid',
+        mpesaReceipt: 'NLJ7RT61SV',
+        paidAt: new Date('2024-03-01T12:25:00Z')
+    });
+
+    assertSnapshot('receipt-paid', renderReceipt(orderReceipt(order), settings, { printedAt }));
+});
+
+test('renders a bill with tenders and the balance due on 58mm paper', () => {
+    const order = makeTableOrder({
+        payments: [{ method: 'Cash', amount: 1000, status: 'Paid' }]
+    });
+
+    assertSnapshot('receipt-balance-due', renderReceipt(orderReceipt(order), settings, { printedAt, columns: 32, copy: 'Customer copy' }));
+});
+
+test('renders a kitchen ticket for one station', () => {
+    const order = makeTableOrder({ notes: 'No chilli on the kachumbari' });
+
+    assertSnapshot('ticket-grill', renderKitchenTicket(order, settings, { station: 'grill', printedAt }));
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseOpeningHours, isOpenAt } = require('../utils/scheduledOrders');
+
+// Nairobi is UTC+3 all year. 1 March 2024 was a Friday.
+const settings = {
+    timezone: 'Africa/Nairobi',
+    openingHours: {
+        thursday: '8:00 AM - 10:00 PM',
+        friday: '6:00 PM - 2:00 AM',
+        saturday: 'Closed'
+    }
+};
+
+const nairobi = (local) => new Date(`${local}+03:00`);
+
+test('reads opening hours, with closing after midnight running into the next day', () => {
+    assert.deepStrictEqual(parseOpeningHours('8:00 AM - 10:00 PM'), { open: 480, close: 1320 });
+    assert.deepStrictEqual(parseOpeningHours('18:00 – 02:00'), { open: 1080, close: 1560 });
+    assert.deepStrictEqual(parseOpeningHours('12:00 AM - 12:00 AM'), { open: 0, close: 1440 });
+    assert.strictEqual(parseOpeningHours('Closed'), null);
+    assert.strictEqual(parseOpeningHours('8:00 AM'), null);
+});
+
+test('overnight hours stay open past midnight into a closed day', () => {
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-01T17:59:00')), false);
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-01T23:30:00')), true);
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-02T01:59:00')), true);
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-02T02:00:00')), false);
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-02T20:00:00')), false);
+});
+
+test('same-day hours do not carry over to the early morning', () => {
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-02-29T21:59:00')), true);
+    assert.strictEqual(isOpenAt(settings, nairobi('2024-03-01T01:00:00')), false);
+});
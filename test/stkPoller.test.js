@@ -0,0 +1,139 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const MpesaPayment = require('../models/MpesaPayment');
+const { MpesaClient, PATHS, generateTimestamp } = require('../utils/mpesa');
+const { createStkPoller } = require('../utils/stkPoller');
+const { stubOrderStore, makeOrder } = require('./helpers/stubs');
+
+const CHECKOUT_ID = 'ws_CO_191220191020363925';
+const MINUTE = 60 * 1000;
+
+let clock;
+let store;
+let payment;
+let settled;
+let queries;
+let darajaReply;
+
+// Daraja over a fake `http`: OAuth always succeeds and stkpushquery answers
+// with whatever darajaReply() returns or throws
+const fakeHttp = {
+    get: async () => ({ data: { access_token: 'test-token', expires_in: '3599' } }),
+    post: async (url, body) => {
+        assert.strictEqual(url, `https://sandbox.safaricom.co.ke${PATHS.stkQuery}`);
+        queries.push(body);
+        return { data: darajaReply() };
+    }
+};
+
+const darajaError = (data) => Object.assign(new Error('Request failed'), { response: { status: 500, data } });
+
+const createPoller = () => {
+    const client = new MpesaClient({
+        environment: 'sandbox',
+        consumerKey: 'key',
+        consumerSecret: 'secret',
+        http: fakeHttp,
+        now: () => clock
+    });
+
+    return createStkPoller({
+        query: (checkoutRequestId) => client.stkQuery(checkoutRequestId),
+        now: () => clock,
+        pendingAfterMinutes: 2,
+        timeoutMinutes: 15,
+        isReady: () => true
+    });
+};
+
+beforeEach(() => {
+    mock.restoreAll();
+    clock = new Date('2024-03-01T12:00:00Z');
+    queries = [];
+    settled = [];
+    store = stubOrderStore();
+    store.orders.push(makeOrder(CHECKOUT_ID));
+
+    payment = new MpesaPayment({
+        checkoutRequestId: CHECKOUT_ID,
+        merchantRequestId: '29115-34620561-1',
+        phone: '254708374149',
+        amount: 1500,
+        createdAt: new Date(clock.getTime() - 5 * MINUTE)
+    });
+
+    mock.method(MpesaPayment.prototype, 'save', async function() {
+        return this;
+    });
+    mock.method(MpesaPayment, 'find', (filter) => ({
+        sort: async () => (payment.status === 'Pending' && payment.createdAt <= filter.createdAt.$lte ? [payment] : [])
+    }));
+    mock.method(MpesaPayment, 'findOneAndUpdate', async (filter, update) => {
+        settled.push(update.$set);
+        Object.assign(payment, update.$set);
+        return payment;
+    });
+});
+
+test('pays the order when stkpushquery reports success', async () => {
+    darajaReply = () => ({ ResponseCode: '0', ResultCode: '0', ResultDesc: 'The service request is processed successfully.' });
+
+    const summary = await createPoller().runOnce();
+
+    assert.deepStrictEqual(summary, { checked: 1, paid: 1, failed: 0, timed_out: 0, pending: 0 });
+    assert.strictEqual(queries[0].CheckoutRequestID, CHECKOUT_ID);
+    assert.strictEqual(queries[0].Timestamp, generateTimestamp(clock));
+    assert.strictEqual(settled[0].resolvedBy, 'query');
+    assert.strictEqual(store.orders[0].paymentStatus, 'Paid');
+    assert.strictEqual(store.orders[0].mpesaAmount, 1500);
+    assert.strictEqual(payment.queryAttempts, 1);
+});
+
+test('marks the order Failed when stkpushquery reports a cancellation', async () => {
+    darajaReply = () => ({ ResponseCode: '0', ResultCode: '1032', ResultDesc: 'Request cancelled by user' });
+
+    const summary = await createPoller().runOnce();
+
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual(store.orders[0].paymentStatus, 'Failed');
+    assert.strictEqual(store.orders[0].mpesaResultDesc, 'Request cancelled by user');
+});
+
+test('leaves a push pending while Daraja is still processing, then times it out', async () => {
+    darajaReply = () => {
+        throw darajaError({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    };
+    const poller = createPoller();
+
+    const first = await poller.runOnce();
+    assert.strictEqual(first.pending, 1);
+    assert.strictEqual(settled.length, 0);
+    assert.strictEqual(store.orders[0].paymentStatus, 'Pending');
+
+    clock = new Date(clock.getTime() + 15 * MINUTE);
+    const second = await poller.runOnce();
+
+    assert.strictEqual(second.timed_out, 1);
+    assert.strictEqual(settled[0].resolvedBy, 'timeout');
+    assert.strictEqual(settled[0].resultCode, 1037);
+    assert.strictEqual(store.orders[0].paymentStatus, 'Failed');
+    assert.strictEqual(payment.queryAttempts, 2);
+});
+
+test('skips pushes younger than pendingAfterMinutes', async () => {
+    payment.createdAt = new Date(clock.getTime() - MINUTE);
+    darajaReply = () => assert.fail('should not query a fresh push');
+
+    const summary = await createPoller().runOnce();
+
+    assert.strictEqual(summary.checked, 0);
+});
+
+test('does nothing while the database is not ready', async () => {
+    darajaReply = () => assert.fail('should not query while offline');
+    const poller = createStkPoller({ query: async () => darajaReply(), now: () => clock, isReady: () => false });
+
+    const summary = await poller.runOnce();
+
+    assert.strictEqual(summary.checked, 0);
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Inventory = require('../models/Inventory');
+const MenuItem = require('../models/MenuItem');
+const Notification = require('../models/Notification');
+const { syncOrderStock } = require('../utils/stock');
+const { makeOrder } = require('./helpers/stubs');
+
+// Inventory kept as plain stored documents. findById hands out a fresh copy,
+// like a real read, and updateOne applies the compare-and-set filter.
+let stored;
+let failNextUpdate;
+
+const storedFor = (id) => stored.find(doc => String(doc._id) === String(id));
+
+const applyUpdate = (filter, update, options = {}) => {
+    const doc = storedFor(filter._id);
+    const source = Object.keys(filter).find(key => key.startsWith('usageHistory.'));
+    const field = source && source.split('.')[1];
+    const batchesMatch = (filter.$and || []).every(({ batches: { $elemMatch: { _id, quantity } } }) =>
+        doc.batches.some(batch => String(batch._id) === String(_id) && batch.quantity === quantity));
+
+    if (!doc || doc.quantity !== filter.quantity || !batchesMatch
+        || doc.usageHistory.some(entry => String(entry[field]) === String(filter[source].$ne))) {
+        return { modifiedCount: 0 };
+    }
+
+    Object.entries(update.$set).forEach(([path, value]) => {
+        const match = path.match(/^batches\.\$\[(b\d+)\]\.quantity$/);
+        if (!match) {
+            doc[path] = value;
+            return;
+        }
+        const arrayFilter = options.arrayFilters.find(f => f[`${match[1]}._id`]);
+        doc.batches.find(batch => String(batch._id) === String(arrayFilter[`${match[1]}._id`])).quantity = value;
+    });
+    doc.usageHistory.push(update.$push.usageHistory);
+    return { modifiedCount: 1 };
+};
+
+const addItem = (fields) => {
+    const item = new Inventory({ category: 'Meat', unit: 'kg', unitPrice: 800, reorderLevel: 2, ...fields });
+    stored.push(item.toObject());
+    return item;
+};
+
+beforeEach(() => {
+    mock.restoreAll();
+    stored = [];
+    failNextUpdate = null;
+
+    mock.method(console, 'error', () => {});
+    mock.method(Notification, 'create', async () => {});
+    mock.method(Inventory, 'findById', async (id) => {
+        const doc = storedFor(id);
+        return doc ? new Inventory(JSON.parse(JSON.stringify(doc))) : null;
+    });
+    mock.method(Inventory, 'updateOne', async (filter, update, options) => {
+        // Let the caller's read go stale before the write lands
+        await new Promise(resolve => setImmediate(resolve));
+        if (failNextUpdate && String(filter._id) === String(failNextUpdate)) {
+            failNextUpdate = null;
+            throw new Error('connection reset');
+        }
+        return applyUpdate(filter, update, options);
+    });
+});
+
+const stubRecipe = (menuItemId, ingredients) => {
+    const menuItem = {
+        _id: menuItemId,
+        name: 'Nyama Choma',
+        recipe: ingredients.map(([item, quantity]) => ({ inventoryItem: item, quantity }))
+    };
+    mock.method(MenuItem, 'find', () => ({
+        select: () => ({ populate: async () => [menuItem] })
+    }));
+};
+
+let orderCount = 0;
+const confirmedOrder = () => {
+    orderCount++;
+    const order = makeOrder(undefined, { orderNumber: `ORD240301000${orderCount}`, orderStatus: 'Confirmed' });
+    order.items[0].quantity = 2;
+    return order;
+};
+
+test('concurrent orders each take their own stock', async () => {
+    const beef = addItem({ name: 'Beef', quantity: 10 });
+    beef.addBatch({ quantity: 10, unitCost: 800 });
+    stored[0] = beef.toObject();
+    stubRecipe(makeOrder().items[0].menuItemId, [[beef, 0.5]]);
+
+    await Promise.all([syncOrderStock(confirmedOrder()), syncOrderStock(confirmedOrder())]);
+
+    const doc = storedFor(beef._id);
+    assert.strictEqual(doc.quantity, 8);
+    assert.strictEqual(doc.batches[0].quantity, 8);
+    assert.strictEqual(doc.usageHistory.length, 2);
+});
+
+test('a deduction that failed part way is finished without taking stock twice', async () => {
+    const beef = addItem({ name: 'Beef', quantity: 10 });
+    const charcoal = addItem({ name: 'Charcoal', quantity: 20 });
+    stubRecipe(makeOrder().items[0].menuItemId, [[beef, 0.5], [charcoal, 1]]);
+    const order = confirmedOrder();
+
+    failNextUpdate = charcoal._id;
+    assert.strictEqual(await syncOrderStock(order), false);
+    assert.strictEqual(order.stockDeductedAt, undefined);
+    assert.strictEqual(storedFor(beef._id).quantity, 9);
+    assert.strictEqual(storedFor(charcoal._id).quantity, 20);
+
+    assert.strictEqual(await syncOrderStock(order), true);
+    assert.strictEqual(storedFor(beef._id).quantity, 9);
+    assert.strictEqual(storedFor(beef._id).usageHistory.length, 1);
+    assert.strictEqual(storedFor(charcoal._id).quantity, 18);
+    assert.strictEqual(storedFor(charcoal._id).status, 'In Stock');
+});
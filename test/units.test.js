@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toStockUnit, compatibleUnits } = require('../utils/units');
+
+const beer = { name: 'Tusker Lager', unit: 'pcs', packs: [{ name: 'crate', quantity: 24, unit: 'pcs' }] };
+const flour = { name: 'Maize Flour', unit: 'kg', packs: [{ name: 'bale', quantity: 12, unit: 'kg' }] };
+const oil = { name: 'Cooking Oil', unit: 'L', packs: [{ name: 'jerrycan', quantity: 20000, unit: 'ml' }] };
+
+test('converts fixed units and packs to the stock unit', () => {
+    assert.deepStrictEqual(toStockUnit(2, 'crate', beer), { quantity: 48 });
+    assert.deepStrictEqual(toStockUnit(250, 'grams', flour), { quantity: 0.25 });
+    assert.deepStrictEqual(toStockUnit(1.5, 'bale', flour), { quantity: 18 });
+    assert.deepStrictEqual(toStockUnit(1, 'jerrycan', oil), { quantity: 20 });
+    assert.deepStrictEqual(toStockUnit('3', undefined, flour), { quantity: 3 });
+});
+
+test('refuses units that are unknown or measure something else', () => {
+    assert.deepStrictEqual(toStockUnit(1, 'sack', flour), { error: 'Unknown unit "sack" for Maize Flour' });
+    assert.deepStrictEqual(toStockUnit(2, 'kg', beer), { error: 'Cannot convert kg to pcs for Tusker Lager' });
+    assert.deepStrictEqual(toStockUnit(1, 'crate', flour), { error: 'Unknown unit "crate" for Maize Flour' });
+    assert.deepStrictEqual(toStockUnit(1, 'boxes', beer), { error: 'Cannot convert boxes to pcs for Tusker Lager' });
+});
+
+test('lists only the units an item can be counted in', () => {
+    assert.deepStrictEqual(compatibleUnits(beer), ['pcs', 'crate']);
+    assert.deepStrictEqual(compatibleUnits(oil), ['L', 'ml', 'jerrycan']);
+});
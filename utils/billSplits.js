@@ -0,0 +1,205 @@
+const SPLIT_MODES = ['even', 'items', 'custom'];
+const MAX_SHARES = 30;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Lines a bill can be split by: every item on the given orders, plus any
+// delivery fee. Cancelled orders are left out.
+const billLines = (orders) => {
+    const lines = [];
+    orders
+        .filter(order => order.orderStatus !== 'Cancelled')
+        .forEach(order => {
+            order.items.forEach(item => {
+                lines.push({
+                    line: item._id,
+                    name: item.name,
+                    quantity: item.quantity,
+                    amount: item.subtotal
+                });
+            });
+            if (order.deliveryFee > 0) {
+                lines.push({ line: order._id, name: 'Delivery fee', quantity: 1, amount: order.deliveryFee });
+            }
+        });
+    return lines;
+};
+
+// Payments (not failed) already taken against a bill
+const hasPayments = (doc) => (doc.payments || []).some(payment => payment.status !== 'Failed');
+
+// Work out the shares for one split:
+//   even   - { parts } equal shares, any odd cents go to the first shares
+//   items  - { shares: [{ label, items: [{ line, quantity }] }] }, every line
+//            must be assigned in full
+//   custom - { shares: [{ label, amount }] } adding up to the bill total
+// Returns { splits } or { error }.
+const calculateSplits = (total, lines, { mode, parts, shares }) => {
+    if (!SPLIT_MODES.includes(mode)) {
+        return { error: `Split mode must be one of ${SPLIT_MODES.join(', ')}` };
+    }
+
+    if (mode === 'even') {
+        const count = parseInt(parts);
+        if (!count || count < 2 || count > MAX_SHARES) {
+            return { error: `Even splits need between 2 and ${MAX_SHARES} parts` };
+        }
+
+        const cents = Math.round(total * 100);
+        const base = Math.floor(cents / count);
+        const extra = cents - base * count;
+        return {
+            splits: Array.from({ length: count }, (_, i) => ({
+                label: `Guest ${i + 1}`,
+                amount: (base + (i < extra ? 1 : 0)) / 100
+            }))
+        };
+    }
+
+    if (!Array.isArray(shares) || shares.length < 2 || shares.length > MAX_SHARES) {
+        return { error: `Provide between 2 and ${MAX_SHARES} shares` };
+    }
+
+    if (mode === 'custom') {
+        const splits = shares.map((share, i) => ({
+            label: share.label || `Guest ${i + 1}`,
+            amount: roundMoney(Number(share.amount))
+        }));
+        if (splits.some(split => !(split.amount > 0))) {
+            return { error: 'Every share needs an amount greater than 0' };
+        }
+
+        const sum = roundMoney(splits.reduce((s, split) => s + split.amount, 0));
+        if (sum !== roundMoney(total)) {
+            return { error: `Shares add up to KES ${sum.toLocaleString()} but the bill is KES ${roundMoney(total).toLocaleString()}` };
+        }
+        return { splits };
+    }
+
+    // By item
+    const remaining = new Map(lines.map(line => [String(line.line), line.quantity]));
+    const splits = [];
+
+    for (const [i, share] of shares.entries()) {
+        const split = { label: share.label || `Guest ${i + 1}`, amount: 0, items: [] };
+
+        for (const entry of share.items || []) {
+            const line = lines.find(l => String(l.line) === String(entry.line));
+            if (!line) {
+                return { error: `Item ${entry.line} is not on this bill` };
+            }
+
+            const quantity = Number(entry.quantity === undefined ? line.quantity : entry.quantity);
+            if (!quantity || quantity <= 0) {
+                return { error: `Invalid quantity for ${line.name}` };
+            }
+            if (quantity > remaining.get(String(line.line))) {
+                return { error: `More ${line.name} assigned than was ordered` };
+            }
+            remaining.set(String(line.line), remaining.get(String(line.line)) - quantity);
+
+            const amount = roundMoney(line.amount * quantity / line.quantity);
+            split.items.push({ line: line.line, name: line.name, quantity, amount });
+            split.amount = roundMoney(split.amount + amount);
+        }
+
+        if (split.items.length === 0) {
+            return { error: `${split.label} has no items` };
+        }
+        splits.push(split);
+    }
+
+    const unassigned = lines.filter(line => remaining.get(String(line.line)) > 0);
+    if (unassigned.length > 0) {
+        return { error: `Not assigned to anyone: ${unassigned.map(line => line.name).join(', ')}` };
+    }
+
+    // Per-unit rounding can leave a few cents over or under the bill
+    const difference = roundMoney(total - splits.reduce((s, split) => s + split.amount, 0));
+    splits[splits.length - 1].amount = roundMoney(splits[splits.length - 1].amount + difference);
+
+    return { splits };
+};
+
+// Split an order or tab into shares that are paid separately (caller saves
+// the document). A bill can only be split, or split again, before any
+// payment is taken. Resolves with { splits } or { error, statusCode }.
+const splitBill = (doc, lines, options) => {
+    if (doc.getBalanceDue() <= 0) {
+        return { statusCode: 400, error: 'Nothing left to pay on this bill' };
+    }
+
+    if (hasPayments(doc)) {
+        return { statusCode: 409, error: 'Payments have already been taken on this bill' };
+    }
+
+    const result = calculateSplits(doc.total, lines, options || {});
+    if (result.error) {
+        return { statusCode: 400, error: result.error };
+    }
+
+    doc.splits = result.splits;
+    return { splits: doc.splits };
+};
+
+// Undo a split so the bill can be paid in one go or split differently
+const clearSplits = (doc) => {
+    if (!doc.splits || doc.splits.length === 0) {
+        return { statusCode: 400, error: 'Bill is not split' };
+    }
+
+    if (hasPayments(doc)) {
+        return { statusCode: 409, error: 'Payments have already been taken on this bill' };
+    }
+
+    doc.splits = [];
+    return {};
+};
+
+// Bring a split back in line with its bill after the total changed (caller
+// saves the document). An unpaid split is dropped. Once shares are being
+// paid, the paid shares stand and the difference is spread over the others;
+// if that would leave a share owing less than was paid towards it, the split
+// is dropped and the rest of the bill is paid as one.
+const fitSplits = (doc) => {
+    if (!doc.splits || doc.splits.length === 0) {
+        return;
+    }
+
+    const splitTotal = roundMoney(doc.splits.reduce((sum, split) => sum + split.amount, 0));
+    if (splitTotal === roundMoney(doc.total)) {
+        return;
+    }
+
+    const open = doc.splits.filter(split => split.status !== 'Paid');
+    if (!hasPayments(doc) || open.length === 0) {
+        doc.splits = [];
+        return;
+    }
+
+    const openCents = open.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+    const difference = Math.round((doc.total - splitTotal) * 100);
+    const base = Math.trunc(difference / open.length);
+    const extra = difference - base * open.length;
+    const amounts = open.map((split, i) =>
+        (Math.round(split.amount * 100) + base + (i < Math.abs(extra) ? Math.sign(extra) : 0)) / 100);
+
+    if (openCents + difference < 0 || open.some((split, i) => amounts[i] < doc.getSplitPaid(split))) {
+        doc.splits = [];
+        return;
+    }
+
+    open.forEach((split, i) => {
+        split.amount = amounts[i];
+    });
+};
+
+module.exports = {
+    SPLIT_MODES,
+    billLines,
+    calculateSplits,
+    hasPayments,
+    splitBill,
+    clearSplits,
+    fitSplits
+};
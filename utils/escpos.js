@@ -0,0 +1,124 @@
+// Minimal ESC/POS command builder for 58mm/80mm thermal printers. Output is
+// a plain Buffer, so the same bytes can be downloaded, sent to a network
+// printer or compared against a stored snapshot.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Printers run in code page 437; anything outside ASCII is approximated
+const toPrintable = (text) => String(text === undefined || text === null ? '' : text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7e\n]/g, '?');
+
+// Break text into lines of at most `width` characters, on spaces where
+// possible. Leading spaces indent every line of the paragraph.
+const wrap = (text, width) => {
+    const lines = [];
+    toPrintable(text).split('\n').forEach(paragraph => {
+        const indent = paragraph.match(/^ */)[0].slice(0, Math.floor(width / 2));
+        const room = width - indent.length;
+        const push = (line) => lines.push(indent + line);
+
+        let line = '';
+        paragraph.trimStart().split(' ').forEach(word => {
+            while (word.length > room) {
+                if (line) {
+                    push(line);
+                    line = '';
+                }
+                push(word.slice(0, room));
+                word = word.slice(room);
+            }
+            if (!line) {
+                line = word;
+            } else if (line.length + 1 + word.length <= room) {
+                line += ` ${word}`;
+            } else {
+                push(line);
+                line = word;
+            }
+        });
+        push(line);
+    });
+    return lines;
+};
+
+// Chainable builder. `columns` is the characters per line at normal size
+// (48 for 80mm paper, 32 for 58mm).
+const createEscPos = ({ columns = 48 } = {}) => {
+    const chunks = [];
+    let doubleWidth = false;
+
+    const raw = (...bytes) => {
+        chunks.push(Buffer.from(bytes));
+        return builder;
+    };
+
+    const width = () => (doubleWidth ? Math.floor(columns / 2) : columns);
+
+    const builder = {
+        columns,
+
+        // Reset the printer and select code page 437
+        init: () => raw(ESC, 0x40, ESC, 0x74, 0x00),
+
+        align: (alignment) => raw(ESC, 0x61, ALIGNMENTS[alignment] || 0),
+
+        bold: (on = true) => raw(ESC, 0x45, on ? 1 : 0),
+
+        // White on black
+        invert: (on = true) => raw(GS, 0x42, on ? 1 : 0),
+
+        // Character size: 'normal', 'tall' (double height), 'wide' or 'large'
+        size: (value = 'normal') => {
+            const sizes = { normal: 0x00, tall: 0x01, wide: 0x10, large: 0x11 };
+            doubleWidth = value === 'wide' || value === 'large';
+            return raw(GS, 0x21, sizes[value] || 0x00);
+        },
+
+        text: (value) => {
+            chunks.push(Buffer.from(wrap(value, width()).join('\n') + '\n', 'ascii'));
+            return builder;
+        },
+
+        // Left and right text on one line, e.g. an item and its price
+        pair: (left, right) => {
+            const rightText = toPrintable(right);
+            const lines = wrap(left, Math.max(width() - rightText.length - 1, 1));
+            const last = lines.pop();
+            lines.forEach(line => builder.text(line));
+            const gap = Math.max(width() - last.length - rightText.length, 1);
+            chunks.push(Buffer.from(`${last}${' '.repeat(gap)}${rightText}\n`, 'ascii'));
+            return builder;
+        },
+
+        rule: (char = '-') => {
+            chunks.push(Buffer.from(char.repeat(width()) + '\n', 'ascii'));
+            return builder;
+        },
+
+        feed: (lines = 1) => raw(ESC, 0x64, lines),
+
+        // Feed past the cutter and make a partial cut
+        cut: () => raw(GS, 0x56, 0x42, 0x03),
+
+        // Open the cash drawer on pin 2
+        openDrawer: () => raw(ESC, 0x70, 0x00, 0x19, 0xfa),
+
+        build: () => Buffer.concat(chunks)
+    };
+
+    return builder;
+};
+
+module.exports = {
+    toPrintable,
+    wrap,
+    createEscPos
+};
@@ -0,0 +1,114 @@
+// In-process hub for Server-Sent Events. Routes publish events such as
+// 'order:created'; the part before the colon is the topic clients are
+// subscribed to. Staff receive topics by role, customers only events for
+// their own orders.
+
+// Topics each staff role is subscribed to
+const ROLE_TOPICS = {
+    admin: ['order', 'reservation', 'inventory', 'notification', 'table'],
+    manager: ['order', 'reservation', 'inventory', 'notification', 'table'],
+    cashier: ['order', 'reservation', 'notification', 'table'],
+    staff: ['order', 'reservation', 'inventory', 'table']
+};
+
+const CUSTOMER_TOPICS = ['order'];
+
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+let nextEventId = 1;
+
+const topicsForRole = (role) => (role === 'customer' ? CUSTOMER_TOPICS : ROLE_TOPICS[role] || []);
+
+const write = (client, event, data, id) => {
+    try {
+        client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+        console.error('❌ Failed to write event:', error.message);
+    }
+};
+
+// Register an open SSE response. `topics` optionally narrows what the role
+// may receive. Returns the client, or null when the role gets no topics.
+const addClient = (req, res, { role, userId, topics }) => {
+    let allowed = topicsForRole(role);
+    if (topics && topics.length > 0) {
+        allowed = allowed.filter(topic => topics.includes(topic));
+    }
+    if (allowed.length === 0) {
+        return null;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx and similar proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { res, role, userId: String(userId), topics: allowed };
+    client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    clients.add(client);
+
+    req.on('close', () => {
+        clearInterval(client.heartbeat);
+        clients.delete(client);
+    });
+
+    write(client, 'ready', { topics: allowed }, nextEventId++);
+    return client;
+};
+
+// Send an event to every subscribed client. Events for a customer's order
+// carry `customerId` so only that customer receives them. Never throws.
+const publish = (event, data, { customerId } = {}) => {
+    const topic = event.split(':')[0];
+    const id = nextEventId++;
+
+    clients.forEach(client => {
+        if (!client.topics.includes(topic)) return;
+        if (client.role === 'customer' && (!customerId || String(customerId) !== client.userId)) return;
+        write(client, event, data, id);
+    });
+};
+
+// Order fields pushed to listeners - enough to refresh a row or tracker
+const publishOrder = (event, order) => {
+    publish(event, {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        customerName: order.customerName,
+        orderType: order.orderType,
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+        total: order.total,
+        updatedAt: order.updatedAt
+    }, { customerId: order.customerId });
+};
+
+// Table fields pushed to listeners - enough to repaint the floor plan
+const publishTable = (table) => {
+    publish('table:status', {
+        _id: table._id,
+        number: table.number,
+        section: table.section,
+        status: table.status,
+        currentTab: table.currentTab,
+        statusChangedAt: table.statusChangedAt
+    });
+};
+
+const clientCount = () => clients.size;
+
+module.exports = {
+    ROLE_TOPICS,
+    addClient,
+    publish,
+    publishOrder,
+    publishTable,
+    clientCount
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const Notification = require('../models/Notification');
+const { expiringBatches, writeOffBatch } = require('./stock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (date) => date.toLocaleDateString('en-KE', { day: 'numeric', month: 'short' });
+
+// Write off every batch that expired before `now`. Returns
+// { batches, value, items: ['Milk (4 L)', ...] }.
+const writeOffExpired = async (now = new Date()) => {
+    const expired = await expiringBatches(now);
+    const summary = { batches: 0, value: 0, items: [] };
+
+    const changed = new Set();
+    expired.forEach(({ item, batch }) => {
+        const { quantity, value } = writeOffBatch(item, batch, `Written off: expired ${formatDay(batch.expiresAt)}`);
+        changed.add(item);
+        summary.batches++;
+        summary.value = Math.round((summary.value + value) * 100) / 100;
+        if (quantity > 0) {
+            summary.items.push(`${item.name} (${quantity} ${item.unit})`);
+        }
+    });
+
+    for (const item of changed) {
+        await item.save();
+    }
+
+    return summary;
+};
+
+// Daily check of stock batches: warn once about each batch expiring within
+// the restaurant's expiryWarningDays, and once more when it has expired -
+// or write expired stock off as waste when autoWriteOffExpired is set.
+//
+// Options (all optional):
+//   now        - () => Date, the clock
+//   days       - override the restaurant's expiryWarningDays
+//   intervalMs - how often start() runs a pass
+//   isReady    - () => boolean, skip passes while the DB is down
+const createExpiryMonitor = (options = {}) => {
+    const {
+        now = () => new Date(),
+        days,
+        intervalMs = (Number(process.env.EXPIRY_CHECK_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+        isReady = () => mongoose.connection.readyState === 1
+    } = options;
+
+    let timer = null;
+    let firstRun = null;
+    let running = false;
+
+    // Run a single pass over batches expiring soon
+    const runOnce = async () => {
+        const summary = { expiring: 0, expired: 0, writtenOff: 0 };
+
+        if (running || !isReady()) {
+            return summary;
+        }
+
+        running = true;
+        try {
+            const currentTime = now();
+            const settings = (await Restaurant.findOne()) || new Restaurant();
+            const warningDays = days !== undefined ? days : settings.expiryWarningDays;
+
+            if (settings.autoWriteOffExpired) {
+                const writtenOff = await writeOffExpired(currentTime);
+                summary.writtenOff = writtenOff.batches;
+                if (writtenOff.items.length > 0) {
+                    await Notification.create({
+                        title: '🗑️ Expired Stock Written Off',
+                        message: `${writtenOff.items.join(', ')} - KES ${writtenOff.value.toLocaleString()} recorded as waste`,
+                        type: 'warning'
+                    });
+                }
+            }
+
+            const batches = await expiringBatches(new Date(currentTime.getTime() + warningDays * DAY_MS));
+            const expired = [];
+            const expiring = [];
+            batches.forEach(({ item, batch }) => {
+                if (batch.expiresAt <= currentTime) {
+                    if (!batch.expiredNotifiedAt) {
+                        batch.expiredNotifiedAt = currentTime;
+                        expired.push({ item, batch });
+                    }
+                } else if (!batch.expiryNotifiedAt) {
+                    batch.expiryNotifiedAt = currentTime;
+                    expiring.push({ item, batch });
+                }
+            });
+
+            const describe = ({ item, batch }) => `${item.name} (${batch.quantity} ${item.unit}, ${formatDay(batch.expiresAt)})`;
+            if (expired.length > 0) {
+                await Notification.create({
+                    title: '⛔ Stock Expired',
+                    message: `Expired and still in stock: ${expired.map(describe).join(', ')}`,
+                    type: 'error'
+                });
+            }
+            if (expiring.length > 0) {
+                await Notification.create({
+                    title: '⏳ Stock Expiring Soon',
+                    message: `Use within ${warningDays} days: ${expiring.map(describe).join(', ')}`,
+                    type: 'warning'
+                });
+            }
+
+            for (const item of new Set([...expired, ...expiring].map(entry => entry.item))) {
+                await item.save();
+            }
+
+            summary.expiring = expiring.length;
+            summary.expired = expired.length;
+            if (summary.expiring || summary.expired || summary.writtenOff) {
+                console.log('⏳ Stock expiry pass:', summary);
+            }
+        } catch (error) {
+            console.error('❌ Stock expiry monitor error:', error);
+        } finally {
+            running = false;
+        }
+
+        return summary;
+    };
+
+    // Passes run once a day, so the first one runs shortly after start-up
+    // rather than a day later
+    const start = () => {
+        if (!timer) {
+            firstRun = setTimeout(runOnce, 60 * 1000);
+            timer = setInterval(runOnce, intervalMs);
+            if (firstRun.unref) firstRun.unref();
+            if (timer.unref) timer.unref();
+        }
+    };
+
+    const stop = () => {
+        if (timer) {
+            clearTimeout(firstRun);
+            clearInterval(timer);
+            timer = null;
+            firstRun = null;
+        }
+    };
+
+    return { runOnce, start, stop };
+};
+
+module.exports = {
+    writeOffExpired,
+    createExpiryMonitor
+};
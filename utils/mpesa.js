@@ -0,0 +1,252 @@
+const axios = require('axios');
+const { formatPhoneNumber } = require('./helpers');
+
+const BASE_URLS = {
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+};
+
+const PATHS = {
+    oauth: '/oauth/v1/generate?grant_type=client_credentials',
+    stkPush: '/mpesa/stkpush/v1/processrequest',
+    stkQuery: '/mpesa/stkpushquery/v1/query',
+    reversal: '/mpesa/reversal/v1/request',
+    b2c: '/mpesa/b2c/v1/paymentrequest',
+    c2bRegister: '/mpesa/c2b/v1/registerurl'
+};
+
+// Sandbox test passkey for shortcode 174379
+const SANDBOX_PASSKEY = 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919';
+
+// Timestamp in the YYYYMMDDHHmmss format Daraja expects
+const generateTimestamp = (date = new Date()) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const seconds = String(date.getSeconds()).padStart(2, '0');
+    return `${year}${month}${day}${hours}${minutes}${seconds}`;
+};
+
+// Where Safaricom should send async results, e.g. signedCallbackUrl('/b2c/result')
+const callbackUrl = (path = '') => {
+    const base = process.env.MPESA_CALLBACK_BASE_URL
+        || (process.env.MPESA_CALLBACK_URL || 'https://yourdomain.com/api/mpesa/callback').replace(/\/callback\/?$/, '');
+    return `${base.replace(/\/$/, '')}${path}`;
+};
+
+// callbackUrl() for the C2B, B2C and reversal routes, which only accept
+// requests carrying MPESA_CALLBACK_SECRET as the last path segment
+const signedCallbackUrl = (path) => {
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+    return secret ? `${callbackUrl(path)}/${encodeURIComponent(secret)}` : callbackUrl(path);
+};
+
+// Daraja API client.
+//
+// `http` is anything with axios-style get(url, config) and
+// post(url, body, config) methods, so tests can swap in a fake Daraja.
+// The OAuth token is cached until `tokenExpiryMarginSeconds` before it expires.
+class MpesaClient {
+    constructor(options = {}) {
+        this.environment = options.environment || process.env.MPESA_ENVIRONMENT || 'sandbox';
+        this.consumerKey = options.consumerKey || process.env.MPESA_CONSUMER_KEY;
+        this.consumerSecret = options.consumerSecret || process.env.MPESA_CONSUMER_SECRET;
+        this.shortCode = options.shortCode || process.env.MPESA_BUSINESS_SHORTCODE || '174379';
+        this.passkey = options.passkey || process.env.MPESA_PASSKEY || SANDBOX_PASSKEY;
+        this.initiatorName = options.initiatorName || process.env.MPESA_INITIATOR_NAME;
+        this.securityCredential = options.securityCredential || process.env.MPESA_SECURITY_CREDENTIAL;
+        this.b2cShortCode = options.b2cShortCode || process.env.MPESA_B2C_SHORTCODE || this.shortCode;
+        this.baseUrl = options.baseUrl || BASE_URLS[this.environment] || BASE_URLS.sandbox;
+        this.http = options.http || axios;
+        this.now = options.now || (() => new Date());
+        this.tokenExpiryMarginSeconds = options.tokenExpiryMarginSeconds !== undefined
+            ? options.tokenExpiryMarginSeconds
+            : 60;
+
+        this.token = null;
+        this.tokenExpiresAt = 0;
+        this.pendingToken = null;
+    }
+
+    timestamp() {
+        return generateTimestamp(this.now());
+    }
+
+    // Base64 of BusinessShortCode + Passkey + Timestamp
+    password(timestamp) {
+        return Buffer.from(this.shortCode + this.passkey + timestamp).toString('base64');
+    }
+
+    clearToken() {
+        this.token = null;
+        this.tokenExpiresAt = 0;
+    }
+
+    async getAccessToken() {
+        if (this.token && this.now().getTime() < this.tokenExpiresAt) {
+            return this.token;
+        }
+
+        // Concurrent callers share one OAuth request
+        if (!this.pendingToken) {
+            this.pendingToken = this.fetchAccessToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+
+        return this.pendingToken;
+    }
+
+    async fetchAccessToken() {
+        if (!this.consumerKey || !this.consumerSecret) {
+            throw new Error('M-PESA consumer key or secret not configured');
+        }
+
+        const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+        try {
+            const response = await this.http.get(`${this.baseUrl}${PATHS.oauth}`, {
+                headers: {
+                    Authorization: `Basic ${auth}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const expiresIn = Number(response.data.expires_in) || 3599;
+            this.token = response.data.access_token;
+            this.tokenExpiresAt = this.now().getTime() + Math.max(expiresIn - this.tokenExpiryMarginSeconds, 0) * 1000;
+
+            console.log('✅ M-PESA Access Token Generated');
+            return this.token;
+        } catch (error) {
+            console.error('❌ M-PESA Token Error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async post(path, body) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const response = await this.http.post(`${this.baseUrl}${path}`, body, {
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            // A revoked token gets a fresh one on the next call
+            if (error.response && error.response.status === 401) {
+                this.clearToken();
+            }
+            throw error;
+        }
+    }
+
+    buildStkPushRequest({ phone, amount, accountReference, transactionDesc, callbackUrl: stkCallbackUrl }) {
+        const timestamp = this.timestamp();
+        const formattedPhone = formatPhoneNumber(String(phone));
+
+        return {
+            BusinessShortCode: this.shortCode,
+            Password: this.password(timestamp),
+            Timestamp: timestamp,
+            TransactionType: 'CustomerPayBillOnline',
+            Amount: Math.round(amount),
+            PartyA: formattedPhone,
+            PartyB: this.shortCode,
+            PhoneNumber: formattedPhone,
+            CallBackURL: stkCallbackUrl || process.env.MPESA_CALLBACK_URL || callbackUrl('/callback'),
+            AccountReference: accountReference || 'RestoKe',
+            TransactionDesc: transactionDesc || 'Restaurant Payment'
+        };
+    }
+
+    // Lipa Na M-PESA Online (STK push)
+    async stkPush(params) {
+        return this.sendStkPush(this.buildStkPushRequest(params));
+    }
+
+    // Send a request from buildStkPushRequest(), for callers that keep a copy
+    async sendStkPush(stkRequest) {
+        return this.post(PATHS.stkPush, stkRequest);
+    }
+
+    // Status of an earlier STK push
+    async stkQuery(checkoutRequestId) {
+        const timestamp = this.timestamp();
+
+        return this.post(PATHS.stkQuery, {
+            BusinessShortCode: this.shortCode,
+            Password: this.password(timestamp),
+            Timestamp: timestamp,
+            CheckoutRequestID: checkoutRequestId
+        });
+    }
+
+    // Reverse a completed C2B/STK payment; the outcome arrives on resultUrl
+    async reversal({ transactionId, amount, remarks, occasion, resultUrl, queueTimeOutUrl }) {
+        return this.post(PATHS.reversal, {
+            Initiator: this.initiatorName,
+            SecurityCredential: this.securityCredential,
+            CommandID: 'TransactionReversal',
+            TransactionID: transactionId,
+            Amount: Math.round(amount),
+            ReceiverParty: this.shortCode,
+            RecieverIdentifierType: '11',
+            ResultURL: resultUrl || signedCallbackUrl('/reversal/result'),
+            QueueTimeOutURL: queueTimeOutUrl || signedCallbackUrl('/reversal/timeout'),
+            Remarks: remarks || 'Order refund',
+            Occasion: occasion || ''
+        });
+    }
+
+    // Business to customer payment (salaries, payouts)
+    async b2c({ phone, amount, commandId, remarks, occasion, resultUrl, queueTimeOutUrl }) {
+        return this.post(PATHS.b2c, {
+            InitiatorName: this.initiatorName,
+            SecurityCredential: this.securityCredential,
+            CommandID: commandId || 'SalaryPayment',
+            Amount: Math.round(amount),
+            PartyA: this.b2cShortCode,
+            PartyB: formatPhoneNumber(String(phone)),
+            Remarks: remarks || 'Salary payment',
+            QueueTimeOutURL: queueTimeOutUrl || signedCallbackUrl('/b2c/timeout'),
+            ResultURL: resultUrl || signedCallbackUrl('/b2c/result'),
+            Occasion: occasion || ''
+        });
+    }
+
+    // Register Paybill/Till confirmation and validation URLs
+    async c2bRegister({ responseType, confirmationUrl, validationUrl } = {}) {
+        return this.post(PATHS.c2bRegister, {
+            ShortCode: this.shortCode,
+            ResponseType: responseType || 'Completed',
+            ConfirmationURL: confirmationUrl || signedCallbackUrl('/c2b/confirmation'),
+            ValidationURL: validationUrl || signedCallbackUrl('/c2b/validation')
+        });
+    }
+}
+
+// Shared client so every route reuses the same cached token
+let defaultClient = null;
+
+const getMpesaClient = () => {
+    if (!defaultClient) {
+        defaultClient = new MpesaClient();
+    }
+    return defaultClient;
+};
+
+module.exports = {
+    MpesaClient,
+    getMpesaClient,
+    generateTimestamp,
+    callbackUrl,
+    signedCallbackUrl,
+    BASE_URLS,
+    PATHS
+};
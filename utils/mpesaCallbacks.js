@@ -0,0 +1,680 @@
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Tab = require('../models/Tab');
+const MpesaPayment = require('../models/MpesaPayment');
+const Payroll = require('../models/Payroll');
+const Notification = require('../models/Notification');
+const MpesaCallbackAudit = require('../models/MpesaCallbackAudit');
+const crypto = require('crypto');
+const { publishOrder } = require('./events');
+const { settleTabIfPaid } = require('./tabs');
+
+// Turn CallbackMetadata.Item ([{ Name, Value }]) into a plain object
+const metadataToObject = (items) => {
+    const metadata = {};
+    (items || []).forEach(item => {
+        if (item && item.Name) {
+            metadata[item.Name] = item.Value;
+        }
+    });
+    return metadata;
+};
+
+// Parse the Body.stkCallback payload sent by Safaricom
+const parseStkCallback = (body) => {
+    const callback = body && body.Body && body.Body.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+        return null;
+    }
+
+    const metadata = metadataToObject(callback.CallbackMetadata && callback.CallbackMetadata.Item);
+
+    return {
+        merchantRequestId: callback.MerchantRequestID,
+        checkoutRequestId: callback.CheckoutRequestID,
+        resultCode: Number(callback.ResultCode),
+        resultDesc: callback.ResultDesc,
+        success: Number(callback.ResultCode) === 0,
+        amount: metadata.Amount !== undefined ? Number(metadata.Amount) : undefined,
+        receipt: metadata.MpesaReceiptNumber,
+        phone: metadata.PhoneNumber !== undefined ? String(metadata.PhoneNumber) : undefined,
+        transactionDate: metadata.TransactionDate !== undefined ? String(metadata.TransactionDate) : undefined
+    };
+};
+
+// Record the callback outcome on the stored STK push attempt (first callback wins)
+const settleMpesaPayment = async (result, body, source) => {
+    const payment = await MpesaPayment.findOneAndUpdate(
+        { checkoutRequestId: result.checkoutRequestId, status: 'Pending' },
+        {
+            $set: {
+                status: result.success ? 'Paid' : 'Failed',
+                resultCode: result.resultCode,
+                resultDesc: result.resultDesc,
+                mpesaReceipt: result.receipt,
+                paidAmount: result.amount,
+                payerPhone: result.phone,
+                rawCallback: body,
+                resolvedBy: source,
+                completedAt: new Date(),
+                updatedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+
+    return payment || MpesaPayment.findOne({ checkoutRequestId: result.checkoutRequestId });
+};
+
+// Mirror a settled STK push onto a linked POS transaction. A success only
+// marks the transaction Paid when the amount covers its total.
+const settleLinkedTransaction = async (payment, result) => {
+    if (!payment || !payment.transaction) {
+        return null;
+    }
+
+    const filter = {
+        _id: payment.transaction,
+        paymentStatus: { $ne: 'Paid' },
+        'payments.mpesaCheckoutId': { $ne: result.checkoutRequestId }
+    };
+    let update = { paymentStatus: 'Failed' };
+    if (result.success) {
+        const amount = result.amount !== undefined ? result.amount : payment.amount;
+        filter.total = { $lte: amount };
+        update = { paymentStatus: 'Paid', mpesaReceipt: result.receipt };
+    }
+
+    // Split bills are settled entry by entry in settlePaymentEntry
+    return Transaction.findOneAndUpdate(filter, { $set: update }, { new: true });
+};
+
+// Settle the payments[] entry (split bill or table tab) that the STK push
+// was paying. Returns null when no order, transaction or tab has such an entry.
+const settlePaymentEntry = async (Model, result) => {
+    const doc = await Model.findOne({ 'payments.mpesaCheckoutId': result.checkoutRequestId });
+    if (!doc) {
+        return null;
+    }
+
+    const key = { Order: 'order', Transaction: 'transaction', Tab: 'tab' }[Model.modelName];
+    const entry = doc.payments.find(p => p.mpesaCheckoutId === result.checkoutRequestId);
+
+    if (entry.status === 'Paid' || (entry.status === 'Failed' && !result.success)) {
+        return { status: 'duplicate', [key]: doc };
+    }
+
+    entry.status = result.success ? 'Paid' : 'Failed';
+    if (result.success) {
+        entry.reference = result.receipt;
+        entry.paidAt = new Date();
+        // Only what was actually paid counts towards the bill
+        if (result.amount !== undefined && result.amount < entry.amount) {
+            entry.amount = result.amount;
+        }
+    }
+    await doc.save();
+
+    const split = entry.split && doc.splits.find(s => String(s._id) === String(entry.split));
+    const label = (split ? `${split.label}'s share of ` : '') + {
+        order: `order #${doc.orderNumber}`,
+        transaction: `transaction ${doc.transactionId}`,
+        tab: `table ${doc.tableNumber} tab ${doc.tabNumber}`
+    }[key];
+    await Notification.create({
+        title: result.success ? '💰 M-PESA Payment Received' : '⚠️ M-PESA Payment Failed',
+        message: result.success
+            ? `KES ${entry.amount.toLocaleString()} paid towards ${label}\nReceipt: ${result.receipt}\nBalance due: KES ${doc.getBalanceDue().toLocaleString()}`
+            : `M-PESA payment of KES ${entry.amount.toLocaleString()} towards ${label} failed\nReason: ${result.resultDesc}`,
+        type: result.success ? 'success' : 'warning'
+    });
+
+    if (key === 'order') {
+        publishOrder('order:payment', doc);
+    }
+
+    if (key === 'tab' && result.success) {
+        await settleTabIfPaid(doc);
+    }
+
+    return { status: result.success ? 'paid' : 'failed', [key]: doc };
+};
+
+// Build the update applying `amount` received via M-PESA to an order. The
+// order only becomes Paid when the amount covers its balance due. Short
+// payments, and orders already part-paid by other tenders, get an M-PESA
+// payments[] entry so the balance due stays correct.
+const mpesaOrderUpdate = (order, amount, { receipt, phone, checkoutRequestId }) => {
+    const covered = Math.round(amount) >= Math.round(order.getBalanceDue());
+    const update = {
+        $set: {
+            paymentStatus: covered ? 'Paid' : 'Pending',
+            mpesaReceipt: receipt,
+            mpesaAmount: amount,
+            mpesaPhone: phone,
+            updatedAt: new Date()
+        }
+    };
+
+    if (covered) {
+        update.$set.paidAt = new Date();
+    }
+
+    if (!covered || order.payments.length > 0) {
+        update.$push = {
+            payments: {
+                method: 'M-PESA',
+                amount,
+                reference: receipt,
+                mpesaCheckoutId: checkoutRequestId,
+                status: 'Paid',
+                paidAt: new Date()
+            }
+        };
+    }
+
+    return { covered, update };
+};
+
+// Result for a callback that found no order left to update
+const orderNotUpdated = async (result, payment) => {
+    const existing = await Order.findOne({ mpesaCheckoutId: result.checkoutRequestId });
+    return {
+        status: existing ? 'duplicate' : 'not_found',
+        callback: result,
+        payment,
+        order: existing
+    };
+};
+
+// Apply an STK callback to the stored payment attempt and to the order that
+// carries its CheckoutRequestID. Safe to call more than once for the same
+// callback: a paid order is never touched again and a failed order only
+// moves if the retry reports success. An order is only marked Paid when the
+// amount covers its balance due; a short payment is recorded as an M-PESA
+// tender and the order stays Pending. `source` records whether the outcome
+// came from Safaricom's callback, an stkpushquery or the poller timeout.
+const processStkCallback = async (body, { source = 'callback' } = {}) => {
+    const result = parseStkCallback(body);
+    if (!result) {
+        return { status: 'invalid' };
+    }
+
+    const { checkoutRequestId } = result;
+
+    const payment = await settleMpesaPayment(result, body, source);
+    await settleLinkedTransaction(payment, result);
+
+    const entryResult = await settlePaymentEntry(Order, result)
+        || await settlePaymentEntry(Transaction, result)
+        || await settlePaymentEntry(Tab, result);
+    if (entryResult) {
+        return { ...entryResult, callback: result, payment };
+    }
+
+    if (!result.success) {
+        const order = await Order.findOneAndUpdate(
+            { mpesaCheckoutId: checkoutRequestId, paymentStatus: 'Pending' },
+            {
+                $set: {
+                    paymentStatus: 'Failed',
+                    mpesaResultDesc: result.resultDesc,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!order) {
+            return orderNotUpdated(result, payment);
+        }
+
+        await Notification.create({
+            title: '⚠️ M-PESA Payment Failed',
+            message: `Payment for order #${order.orderNumber} failed\nReason: ${result.resultDesc}`,
+            type: 'warning'
+        });
+
+        publishOrder('order:payment', order);
+
+        return { status: 'failed', callback: result, payment, order };
+    }
+
+    const pending = { mpesaCheckoutId: checkoutRequestId, paymentStatus: { $in: ['Pending', 'Failed'] } };
+    const current = await Order.findOne(pending);
+    if (!current) {
+        return orderNotUpdated(result, payment);
+    }
+
+    // Query-resolved pushes carry no Amount; Safaricom charges what was requested
+    const amount = result.amount !== undefined ? result.amount : (payment ? payment.amount : 0);
+    const balanceDue = current.getBalanceDue();
+    const { covered, update } = mpesaOrderUpdate(current, amount, {
+        receipt: result.receipt,
+        phone: result.phone,
+        checkoutRequestId
+    });
+    update.$set.mpesaResultDesc = result.resultDesc;
+
+    const order = await Order.findOneAndUpdate(
+        { ...pending, _id: current._id, 'payments.mpesaCheckoutId': { $ne: checkoutRequestId } },
+        update,
+        { new: true }
+    );
+
+    if (!order) {
+        return orderNotUpdated(result, payment);
+    }
+
+    if (covered) {
+        await Notification.create({
+            title: '💰 M-PESA Payment Received',
+            message: `Order #${order.orderNumber} paid via M-PESA\nReceipt: ${result.receipt}\nAmount: KES ${amount.toLocaleString()}\nPhone: ${result.phone}`,
+            type: 'success'
+        });
+    } else {
+        await Notification.create({
+            title: '⚠️ M-PESA Underpayment',
+            message: `Order #${order.orderNumber} received KES ${amount.toLocaleString()} via M-PESA but KES ${balanceDue.toLocaleString()} was due\nReceipt: ${result.receipt}\nBalance due: KES ${order.getBalanceDue().toLocaleString()}`,
+            type: 'warning'
+        });
+    }
+
+    publishOrder('order:payment', order);
+
+    return {
+        status: covered ? 'paid' : 'partial',
+        callback: result,
+        payment,
+        order
+    };
+};
+
+// Account references accepted by C2B validation besides order numbers
+const getAcceptedAccountReferences = () => {
+    return (process.env.MPESA_C2B_ACCOUNT_REFERENCES || 'RestoKe')
+        .split(',')
+        .map(ref => ref.trim().toUpperCase())
+        .filter(Boolean);
+};
+
+// Decide whether a Paybill/Till payment should be accepted. Unknown account
+// references are only rejected when MPESA_C2B_REJECT_UNKNOWN=true, and Till
+// (Buy Goods) payments without a BillRefNumber are always accepted.
+const validateC2bPayment = async (body) => {
+    const amount = Number(body && body.TransAmount);
+    if (!amount || amount <= 0) {
+        return { accepted: false, ResultCode: 'C2B00013', ResultDesc: 'Rejected: invalid amount' };
+    }
+
+    const reference = String((body && body.BillRefNumber) || '').trim();
+    if (!reference || process.env.MPESA_C2B_REJECT_UNKNOWN !== 'true') {
+        return { accepted: true, ResultCode: '0', ResultDesc: 'Accepted' };
+    }
+
+    if (getAcceptedAccountReferences().includes(reference.toUpperCase())) {
+        return { accepted: true, ResultCode: '0', ResultDesc: 'Accepted' };
+    }
+
+    const order = await Order.findOne({ orderNumber: reference.toUpperCase() });
+    if (!order || order.orderStatus === 'Cancelled') {
+        return { accepted: false, ResultCode: 'C2B00012', ResultDesc: 'Rejected: unknown account number' };
+    }
+
+    return { accepted: true, ResultCode: '0', ResultDesc: 'Accepted' };
+};
+
+// Record a Paybill/Till confirmation as a Transaction and, when the
+// BillRefNumber is an order number, apply it to that order's balance due.
+// Money beyond the balance - an overpayment, or a second payment for an
+// order that was already paid or cancelled - is kept on the transaction as
+// `overpayment` so it can be refunded. Retries with the same TransID return
+// the existing transaction.
+const processC2bConfirmation = async (body) => {
+    const receipt = body && body.TransID;
+    if (!receipt) {
+        return { status: 'invalid' };
+    }
+
+    const existing = await Transaction.findOne({ mpesaReceipt: receipt });
+    if (existing) {
+        return { status: 'duplicate', transaction: existing };
+    }
+
+    const amount = Number(body.TransAmount) || 0;
+    const phone = body.MSISDN ? String(body.MSISDN) : undefined;
+    const reference = String(body.BillRefNumber || '').trim().toUpperCase();
+    const payerName = [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ');
+
+    const order = reference ? await Order.findOne({ orderNumber: reference }) : null;
+
+    let matchedOrder = null;
+    let applied = 0;
+    let covered = false;
+    const payable = order
+        && ['Pending', 'Failed'].includes(order.paymentStatus)
+        && order.orderStatus !== 'Cancelled';
+    if (payable) {
+        applied = Math.min(amount, order.getBalanceDue());
+        const orderUpdate = mpesaOrderUpdate(order, applied, { receipt, phone });
+        orderUpdate.update.$set.mpesaAmount = amount;
+        covered = orderUpdate.covered;
+
+        matchedOrder = await Order.findOneAndUpdate(
+            { _id: order._id, paymentStatus: { $in: ['Pending', 'Failed'] }, 'payments.reference': { $ne: receipt } },
+            orderUpdate.update,
+            { new: true }
+        );
+        if (!matchedOrder) {
+            applied = 0;
+        }
+    }
+    const overpayment = order ? Math.round((amount - applied) * 100) / 100 : 0;
+
+    const transaction = new Transaction({
+        customerName: payerName || (order ? order.customerName : 'Walk-in Customer'),
+        customerPhone: phone,
+        customer: order ? order.customerId : undefined,
+        items: [{
+            name: order ? `Payment for order #${order.orderNumber}` : 'M-PESA Paybill/Till payment',
+            quantity: 1,
+            price: amount,
+            subtotal: amount
+        }],
+        paymentMethod: 'M-PESA',
+        paymentStatus: 'Paid',
+        mpesaReceipt: receipt,
+        order: order ? order._id : undefined,
+        overpayment,
+        source: 'C2B',
+        notes: `C2B ${body.TransactionType || 'payment'} to ${body.BusinessShortCode || ''}${reference ? ` ref ${reference}` : ''} at ${body.TransTime || ''}`.trim()
+    });
+    await transaction.save();
+
+    let message;
+    if (!order) {
+        message = `KES ${amount.toLocaleString()} received from ${payerName || phone || 'customer'}\nReceipt: ${receipt}${reference ? `\nReference: ${reference}` : ''}`;
+    } else if (!matchedOrder) {
+        message = `KES ${amount.toLocaleString()} received for order #${order.orderNumber}, which is already ${order.orderStatus === 'Cancelled' ? 'cancelled' : 'paid'}\nReceipt: ${receipt}\nRefund or apply the KES ${overpayment.toLocaleString()}`;
+    } else if (overpayment > 0) {
+        message = `Order #${order.orderNumber} paid via Paybill/Till with KES ${overpayment.toLocaleString()} too much\nReceipt: ${receipt}\nAmount: KES ${amount.toLocaleString()}`;
+    } else if (!covered) {
+        message = `KES ${amount.toLocaleString()} paid towards order #${order.orderNumber} via Paybill/Till\nReceipt: ${receipt}\nBalance due: KES ${matchedOrder.getBalanceDue().toLocaleString()}`;
+    } else {
+        message = `Order #${order.orderNumber} paid via Paybill/Till\nReceipt: ${receipt}\nAmount: KES ${amount.toLocaleString()}`;
+    }
+
+    const clean = !order || (matchedOrder && covered && overpayment === 0);
+    await Notification.create({
+        title: clean ? '💰 M-PESA Paybill Payment' : '⚠️ M-PESA Paybill Payment Needs Attention',
+        message,
+        type: clean ? 'success' : 'warning'
+    });
+
+    if (matchedOrder) {
+        publishOrder('order:payment', matchedOrder);
+    }
+
+    let status = 'unmatched';
+    if (overpayment > 0) {
+        status = 'overpaid';
+    } else if (matchedOrder) {
+        status = covered ? 'matched' : 'partial';
+    }
+
+    return {
+        status,
+        transaction,
+        order: matchedOrder || order
+    };
+};
+
+// Parse the { Result: {...} } payload used by B2C, reversal and other
+// initiator-based APIs for both result and queue-timeout callbacks
+const parseResult = (body) => {
+    const result = body && body.Result;
+    if (!result || (!result.ConversationID && !result.OriginatorConversationID)) {
+        return null;
+    }
+
+    let items = result.ResultParameters && result.ResultParameters.ResultParameter;
+    if (items && !Array.isArray(items)) {
+        items = [items];
+    }
+
+    const parameters = {};
+    (items || []).forEach(item => {
+        if (item && item.Key) {
+            parameters[item.Key] = item.Value;
+        }
+    });
+
+    return {
+        resultCode: Number(result.ResultCode),
+        resultDesc: result.ResultDesc,
+        success: Number(result.ResultCode) === 0,
+        conversationId: result.ConversationID,
+        originatorConversationId: result.OriginatorConversationID,
+        transactionId: result.TransactionID,
+        parameters
+    };
+};
+
+// Apply a B2C salary result (or queue timeout) to its payroll record. Only a
+// successful result moves the payroll to Paid; a failure leaves it Pending
+// with the error recorded so it can be retried. A queue timeout leaves the
+// outcome unknown: the disbursement stays in Timeout, which blocks retries,
+// until a late result arrives or someone confirms it by hand.
+const processB2cResult = async (body, { timeout = false } = {}) => {
+    const result = parseResult(body);
+    if (!result) {
+        return { status: 'invalid' };
+    }
+
+    const match = [];
+    if (result.conversationId) match.push({ 'disbursement.conversationId': result.conversationId });
+    if (result.originatorConversationId) match.push({ 'disbursement.originatorConversationId': result.originatorConversationId });
+
+    const payroll = await Payroll.findOne({ $or: match });
+    if (!payroll) {
+        return { status: 'not_found', result };
+    }
+
+    const unresolved = payroll.disbursement.status === 'Processing'
+        || (payroll.disbursement.status === 'Timeout' && !timeout);
+    if (!unresolved) {
+        return { status: 'duplicate', result, payroll };
+    }
+
+    payroll.disbursement.resultCode = result.resultCode;
+    payroll.disbursement.resultDesc = result.resultDesc;
+    payroll.disbursement.completedAt = new Date();
+    payroll.disbursement.rawResult = body;
+
+    if (!timeout && result.success) {
+        payroll.status = 'Paid';
+        payroll.paymentDate = new Date();
+        payroll.paymentError = undefined;
+        payroll.disbursement.status = 'Completed';
+        payroll.disbursement.transactionId = result.transactionId || result.parameters.TransactionReceipt;
+    } else {
+        payroll.disbursement.status = timeout ? 'Timeout' : 'Failed';
+        payroll.paymentError = timeout
+            ? 'M-PESA B2C request timed out in the queue - check the M-PESA statement before paying again'
+            : (result.resultDesc || 'M-PESA B2C payment failed');
+    }
+
+    payroll.markModified('disbursement');
+    await payroll.save();
+
+    const paid = payroll.status === 'Paid';
+    let title = '⚠️ Salary Disbursement Failed';
+    let message = `${payroll.employeeName}'s ${payroll.payPeriod} salary was not sent\nReason: ${payroll.paymentError}`;
+    if (paid) {
+        title = '💸 Salary Disbursed';
+        message = `${payroll.employeeName}'s ${payroll.payPeriod} salary of KES ${payroll.totalPay.toLocaleString()} sent via M-PESA\nReceipt: ${payroll.disbursement.transactionId}`;
+    } else if (timeout) {
+        title = '⚠️ Salary Disbursement Unconfirmed';
+        message = `${payroll.employeeName}'s ${payroll.payPeriod} salary may or may not have been sent\n${payroll.paymentError}`;
+    }
+    await Notification.create({ title, message, type: paid ? 'success' : 'error' });
+
+    let status = 'failed';
+    if (paid) status = 'paid';
+    else if (timeout) status = 'timeout';
+    return { status, result, payroll };
+};
+
+// Apply a Transaction Reversal result (or queue timeout) to the pending
+// refund that requested it, then recalculate the order's refunded amount
+const processReversalResult = async (body, { timeout = false } = {}) => {
+    const result = parseResult(body);
+    if (!result) {
+        return { status: 'invalid' };
+    }
+
+    const match = [];
+    if (result.conversationId) match.push({ 'refunds.reversal.conversationId': result.conversationId });
+    if (result.originatorConversationId) match.push({ 'refunds.reversal.originatorConversationId': result.originatorConversationId });
+
+    const order = await Order.findOne({ $or: match });
+    if (!order) {
+        return { status: 'not_found', result };
+    }
+
+    const refund = order.refunds.find(r =>
+        (result.conversationId && r.reversal.conversationId === result.conversationId) ||
+        (result.originatorConversationId && r.reversal.originatorConversationId === result.originatorConversationId)
+    );
+
+    if (refund.status !== 'Pending') {
+        return { status: 'duplicate', result, order, refund };
+    }
+
+    refund.status = !timeout && result.success ? 'Completed' : 'Failed';
+    refund.completedAt = new Date();
+
+    // Record what was actually reversed if Safaricom reports another amount
+    const reversed = Number(result.parameters.Amount);
+    const requested = refund.amount;
+    if (refund.status === 'Completed' && reversed > 0 && Math.round(reversed) !== Math.round(requested)) {
+        refund.amount = reversed;
+    }
+    refund.reversal.resultCode = result.resultCode;
+    refund.reversal.resultDesc = timeout ? 'Reversal request timed out in the queue' : result.resultDesc;
+    refund.reversal.transactionId = result.transactionId;
+
+    order.applyRefunds();
+    await order.save();
+
+    const completed = refund.status === 'Completed';
+    await Notification.create({
+        title: completed ? '↩️ M-PESA Refund Completed' : '⚠️ M-PESA Refund Failed',
+        message: completed
+            ? `KES ${refund.amount.toLocaleString()} reversed for order #${order.orderNumber}${refund.amount !== requested ? ` (KES ${requested.toLocaleString()} was requested)` : ''}\nReversal: ${result.transactionId}`
+            : `Reversal of KES ${refund.amount.toLocaleString()} for order #${order.orderNumber} failed\nReason: ${refund.reversal.resultDesc}`,
+        type: completed ? 'success' : 'error'
+    });
+
+    return { status: completed ? 'completed' : 'failed', result, order, refund };
+};
+
+// Log a rejected callback. Never throws.
+const auditRejectedCallback = async (req, reason, details = {}) => {
+    try {
+        const stk = req.body && req.body.Body && req.body.Body.stkCallback;
+        // Route pattern rather than the URL, so tokens never reach the logs
+        const endpoint = req.baseUrl + (req.route ? req.route.path : req.path);
+        console.warn(`🚫 Rejected M-PESA callback on ${endpoint}: ${reason}`);
+        return await MpesaCallbackAudit.create({
+            endpoint,
+            reason,
+            ip: req.ip,
+            checkoutRequestId: stk ? stk.CheckoutRequestID : undefined,
+            body: req.body,
+            details
+        });
+    } catch (error) {
+        console.error('❌ Failed to audit M-PESA callback:', error.message);
+        return null;
+    }
+};
+
+const tokensMatch = (expected, actual) => {
+    if (!expected || !actual) return false;
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Check an STK callback before it is allowed to touch an order:
+//   1. the URL token must be the one generated for that STK push
+//   2. a success must report the amount we asked for
+//   3. a success must be confirmed by Safaricom's stkpushquery API
+// Whether that amount settles the bill is decided against the order,
+// transaction or tab itself when the callback is processed.
+// Resolves with { ok: true } or { ok: false, reason, retryable }.
+// `retryable` means the callback may be genuine but could not be confirmed
+// yet; the poller will settle it from the query API later.
+const verifyStkCallback = async (body, token, { query }) => {
+    const result = parseStkCallback(body);
+    if (!result) {
+        return { ok: false, reason: 'Missing Body.stkCallback' };
+    }
+
+    const payment = await MpesaPayment.findOne({ checkoutRequestId: result.checkoutRequestId })
+        .select('+callbackToken');
+    if (!payment) {
+        return { ok: false, reason: 'Unknown CheckoutRequestID' };
+    }
+
+    if (!tokensMatch(payment.callbackToken, token)) {
+        return { ok: false, reason: 'Invalid callback token' };
+    }
+
+    if (!result.success) {
+        return { ok: true };
+    }
+
+    if (Math.round(result.amount) !== Math.round(payment.amount)) {
+        return {
+            ok: false,
+            reason: 'Amount mismatch',
+            details: { expected: payment.amount, received: result.amount }
+        };
+    }
+
+    try {
+        const data = await query(result.checkoutRequestId);
+        if (String(data.ResultCode) !== '0') {
+            return {
+                ok: false,
+                reason: 'Payment not confirmed by STK query',
+                details: { resultCode: data.ResultCode, resultDesc: data.ResultDesc }
+            };
+        }
+    } catch (error) {
+        return {
+            ok: false,
+            retryable: true,
+            reason: 'STK query unavailable',
+            details: error.response?.data || error.message
+        };
+    }
+
+    return { ok: true };
+};
+
+module.exports = {
+    metadataToObject,
+    parseStkCallback,
+    processStkCallback,
+    validateC2bPayment,
+    processC2bConfirmation,
+    parseResult,
+    processB2cResult,
+    processReversalResult,
+    auditRejectedCallback,
+    tokensMatch,
+    verifyStkCallback
+};
@@ -0,0 +1,200 @@
+// Parse and reconcile Safaricom M-PESA organisation statements (CSV export
+// from the M-PESA org portal).
+
+// Split CSV text into rows of fields. Handles quoted fields, escaped quotes
+// ("") and newlines inside quotes.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Statement headers we read, normalised to lower case without punctuation
+const COLUMNS = {
+    receipt: ['receipt no', 'receipt number', 'receipt', 'transaction id'],
+    completedAt: ['completion time', 'completion date', 'transaction date', 'date'],
+    details: ['details', 'description'],
+    status: ['transaction status', 'status'],
+    paidIn: ['paid in', 'amount', 'credit'],
+    otherParty: ['other party info', 'other party'],
+    accountNumber: ['ac no', 'account no', 'account number', 'bill reference']
+};
+
+const normaliseHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+
+const parseAmount = (value) => {
+    const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+    return isNaN(amount) ? 0 : Math.abs(amount);
+};
+
+// Accepts "2024-01-15 13:45:12", "15/01/2024 13:45:12" and "15-01-2024 13:45"
+const parseStatementDate = (value) => {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+        const [, y, m, d, h = 0, min = 0, s = 0] = match;
+        return new Date(y, m - 1, d, h, min, s);
+    }
+
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+        const [, d, m, y, h = 0, min = 0, s = 0] = match;
+        return new Date(y, m - 1, d, h, min, s);
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+};
+
+// Parse a statement CSV into incoming payment rows. Portal exports start with
+// a few lines of account details, so the header row is located by its
+// "Receipt No." column. Withdrawals, charges and non-completed rows are skipped.
+// Returns { rows } or { error }.
+const parseStatement = (text) => {
+    const csv = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+
+    const headerIndex = csv.findIndex(row => row.some(value => COLUMNS.receipt.includes(normaliseHeader(value))));
+    if (headerIndex === -1) {
+        return { error: 'Could not find the "Receipt No." column in the statement' };
+    }
+
+    const headers = csv[headerIndex].map(normaliseHeader);
+    const columnIndex = {};
+    Object.entries(COLUMNS).forEach(([key, names]) => {
+        columnIndex[key] = headers.findIndex(header => names.includes(header));
+    });
+
+    if (columnIndex.paidIn === -1) {
+        return { error: 'Could not find the "Paid In" column in the statement' };
+    }
+
+    const read = (row, key) => (columnIndex[key] === -1 ? '' : String(row[columnIndex[key]] || '').trim());
+
+    const rows = [];
+    csv.slice(headerIndex + 1).forEach((row, index) => {
+        const receipt = read(row, 'receipt').toUpperCase();
+        const paidIn = parseAmount(read(row, 'paidIn'));
+        const status = read(row, 'status');
+
+        if (!receipt || paidIn <= 0) return;
+        if (status && status.toLowerCase() !== 'completed') return;
+
+        rows.push({
+            line: headerIndex + index + 2,
+            receipt,
+            completedAt: parseStatementDate(read(row, 'completedAt')),
+            details: read(row, 'details'),
+            amount: paidIn,
+            otherParty: read(row, 'otherParty'),
+            accountNumber: read(row, 'accountNumber')
+        });
+    });
+
+    return { rows };
+};
+
+// Match statement rows to sales by receipt number. `sales` are
+// { receipt, amount, ... } entries; a sale without a receipt can never match.
+// Sales flagged `confirmedByQuery` were paid but have no receipt on record,
+// so they are counted separately among the sales without a receipt.
+const reconcileStatement = (rows, sales) => {
+    const salesByReceipt = new Map();
+    sales.forEach(sale => {
+        if (sale.receipt) salesByReceipt.set(sale.receipt.toUpperCase(), sale);
+    });
+
+    const matched = [];
+    const amountMismatches = [];
+    const receiptsWithoutSale = [];
+    const seen = new Set();
+    const uniqueRows = [];
+
+    rows.forEach(row => {
+        // Statements occasionally repeat a receipt across pages
+        if (seen.has(row.receipt)) return;
+        seen.add(row.receipt);
+        uniqueRows.push(row);
+
+        const sale = salesByReceipt.get(row.receipt);
+        if (!sale) {
+            receiptsWithoutSale.push(row);
+        } else if (Math.abs(sale.amount - row.amount) >= 0.01) {
+            amountMismatches.push({
+                receipt: row.receipt,
+                statement: row,
+                sale,
+                difference: row.amount - sale.amount
+            });
+        } else {
+            matched.push({ receipt: row.receipt, statement: row, sale });
+        }
+    });
+
+    const salesWithoutReceipt = sales.filter(sale => !sale.receipt || !seen.has(sale.receipt.toUpperCase()));
+
+    const sum = (list, pick) => list.reduce((total, item) => total + pick(item), 0);
+
+    return {
+        summary: {
+            statementRows: uniqueRows.length,
+            statementTotal: sum(uniqueRows, r => r.amount),
+            salesTotal: sum(sales, s => s.amount),
+            matched: matched.length,
+            matchedTotal: sum(matched, m => m.statement.amount),
+            amountMismatches: amountMismatches.length,
+            mismatchDifference: sum(amountMismatches, m => m.difference),
+            receiptsWithoutSale: receiptsWithoutSale.length,
+            receiptsWithoutSaleTotal: sum(receiptsWithoutSale, r => r.amount),
+            salesWithoutReceipt: salesWithoutReceipt.length,
+            salesWithoutReceiptTotal: sum(salesWithoutReceipt, s => s.amount),
+            salesConfirmedByQuery: salesWithoutReceipt.filter(s => s.confirmedByQuery).length
+        },
+        matched,
+        receiptsWithoutSale,
+        salesWithoutReceipt,
+        amountMismatches
+    };
+};
+
+module.exports = {
+    parseCsv,
+    parseStatement,
+    parseStatementDate,
+    reconcileStatement
+};
@@ -0,0 +1,47 @@
+const MenuItem = require('../models/MenuItem');
+
+// Validate requested items against the menu and price them.
+// Returns { orderItems } or { error }.
+const buildOrderItems = async (items) => {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return { error: 'Order must contain at least one item' };
+    }
+
+    const orderItems = [];
+    for (const item of items) {
+        if (!item.menuItemId || !item.quantity) {
+            return { error: 'Each item must have menuItemId and quantity' };
+        }
+
+        const menuItem = await MenuItem.findById(item.menuItemId);
+        if (!menuItem) {
+            return { error: `Item with ID ${item.menuItemId} not found` };
+        }
+
+        if (!menuItem.available) {
+            return { error: `${menuItem.name} is not available` };
+        }
+
+        // Modifiers are priced here, never trusted from the client
+        const { modifiers, unitPrice, error } = menuItem.priceSelections(item.modifiers || []);
+        if (error) {
+            return { error };
+        }
+
+        orderItems.push({
+            menuItemId: menuItem._id,
+            name: menuItem.name,
+            quantity: item.quantity,
+            price: unitPrice,
+            modifiers,
+            subtotal: unitPrice * item.quantity,
+            station: menuItem.station || MenuItem.defaultStation(menuItem.category)
+        });
+    }
+
+    return { orderItems };
+};
+
+module.exports = {
+    buildOrderItems
+};
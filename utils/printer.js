@@ -0,0 +1,49 @@
+const net = require('net');
+
+const DEFAULT_PORT = 9100;
+
+// Send raw bytes to a network printer (JetDirect / raw TCP, usually port
+// 9100). Resolves once the printer has taken all the bytes; rejects if it
+// cannot be reached within `timeoutMs`.
+const sendToPrinter = (bytes, { host, port = DEFAULT_PORT, timeoutMs = Number(process.env.PRINTER_TIMEOUT_MS) || 5000 } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (!host) {
+            reject(new Error('Printer host is not configured'));
+            return;
+        }
+
+        const socket = new net.Socket();
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ host, port, bytes: bytes.length });
+            }
+        };
+
+        socket.setTimeout(timeoutMs);
+        socket.on('timeout', () => finish(new Error(`Printer ${host}:${port} timed out`)));
+        socket.on('error', (error) => finish(new Error(`Printer ${host}:${port} unreachable: ${error.message}`)));
+
+        socket.connect(port, host, () => {
+            socket.end(bytes, () => finish());
+        });
+    });
+};
+
+// The configured printer ('receipt' or 'kitchen') from restaurant settings
+const getPrinter = (settings, name) => {
+    const printer = (settings.printers && settings.printers[name]) || {};
+    return printer.host ? { host: printer.host, port: printer.port || DEFAULT_PORT } : null;
+};
+
+module.exports = {
+    DEFAULT_PORT,
+    sendToPrinter,
+    getPrinter
+};
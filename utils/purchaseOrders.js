@@ -0,0 +1,405 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { toStockUnit, compatibleUnits } = require('./units');
+const { receiveStock } = require('./stock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Check requested lines ([{ inventoryItem, quantity, unit?, expectedPrice? }])
+// against inventory. The unit defaults to the stock unit and the expected
+// price to the item's current price in that unit. Returns { items } or { error }.
+const buildPurchaseLines = async (lines) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { error: 'At least one item is required' };
+    }
+    if (lines.some(line => !line || !mongoose.isValidObjectId(line.inventoryItem))) {
+        return { error: 'Every item needs a valid inventoryItem' };
+    }
+
+    const stock = await Inventory.find({ _id: { $in: lines.map(line => line.inventoryItem) } });
+    const stockById = new Map(stock.map(item => [String(item._id), item]));
+
+    const items = [];
+    for (const line of lines) {
+        const item = stockById.get(String(line.inventoryItem));
+        if (!item) {
+            return { error: `Inventory item ${line.inventoryItem} not found` };
+        }
+
+        const quantity = Number(line.quantity);
+        if (!(quantity > 0)) {
+            return { error: `${item.name}: quantity must be greater than 0` };
+        }
+
+        const unit = line.unit || item.unit;
+        const perUnit = toStockUnit(1, unit, item);
+        if (perUnit.error) {
+            return { error: `${perUnit.error} - use one of ${compatibleUnits(item).join(', ')}` };
+        }
+
+        const expectedPrice = line.expectedPrice !== undefined && line.expectedPrice !== null && line.expectedPrice !== ''
+            ? Number(line.expectedPrice)
+            : roundMoney(item.unitPrice * perUnit.quantity);
+        if (!(expectedPrice >= 0)) {
+            return { error: `${item.name}: expected price cannot be negative` };
+        }
+
+        items.push({ inventoryItem: item._id, name: item.name, quantity, unit, expectedPrice });
+    }
+
+    return { items };
+};
+
+// Add lines to the supplier's open draft, or start a new draft.
+// Lines for an item already on the draft in the same unit are merged.
+const addToDraftOrder = async (supplier, items, { user, notes } = {}) => {
+    let purchaseOrder = await PurchaseOrder.findOne({ supplier: supplier._id, status: 'Draft' }).sort({ createdAt: -1 });
+    if (!purchaseOrder) {
+        purchaseOrder = new PurchaseOrder({
+            supplier: supplier._id,
+            supplierName: supplier.name,
+            items: [],
+            createdBy: user,
+            notes: notes || ''
+        });
+    }
+
+    items.forEach(item => {
+        const existing = purchaseOrder.items.find(line =>
+            String(line.inventoryItem) === String(item.inventoryItem) && line.unit === item.unit);
+        if (existing) {
+            existing.quantity = Math.round((existing.quantity + item.quantity) * 1000) / 1000;
+        } else {
+            purchaseOrder.items.push(item);
+        }
+    });
+
+    await purchaseOrder.save();
+    return purchaseOrder;
+};
+
+// The Supplier Payment booked for a delivery
+const deliveryExpense = (purchaseOrder, { _id, amount, paymentMethod, notes }) => new Expense({
+    _id,
+    type: 'Supplier Payment',
+    description: `Goods received on ${purchaseOrder.poNumber}`,
+    amount,
+    paymentMethod: paymentMethod || 'Cash',
+    supplier: purchaseOrder.supplier,
+    supplierName: purchaseOrder.supplierName,
+    notes: notes || ''
+});
+
+// Book a receipt already saved on its purchase order: stock goes up, the
+// expense is saved and the receipt is marked done. Safe to run again after
+// failing part way - an item already holding the receipt's batch and an
+// expense already saved are left alone.
+const applyReceipt = async (purchaseOrder, receipt) => {
+    const received = receipt.items
+        .filter(entry => entry.quantity > 0)
+        .map(entry => ({ entry, line: purchaseOrder.items.id(entry.line) }))
+        .filter(({ line }) => line);
+
+    const stock = await Inventory.find({ _id: { $in: received.map(({ line }) => line.inventoryItem) } });
+    for (const item of stock) {
+        if (item.batches.some(batch => String(batch.receipt) === String(receipt._id))) continue;
+
+        received
+            .filter(({ line }) => String(line.inventoryItem) === String(item._id))
+            .forEach(({ entry }) => {
+                receiveStock(item, entry.quantity, entry.unit, entry.unitPrice, {
+                    expiresAt: entry.expiresAt,
+                    reference: purchaseOrder.poNumber,
+                    purchaseOrder: purchaseOrder._id,
+                    receipt: receipt._id
+                });
+            });
+        await item.save();
+    }
+
+    if (receipt.expense && !(await Expense.exists({ _id: receipt.expense }))) {
+        await deliveryExpense(purchaseOrder, {
+            _id: receipt.expense,
+            amount: receipt.total,
+            paymentMethod: receipt.paymentMethod,
+            notes: receipt.notes
+        }).save();
+    }
+
+    receipt.pending = undefined;
+    await purchaseOrder.save();
+
+    const variances = receipt.items.filter(item => item.quantityVariance !== 0 || item.priceVariance !== 0);
+    if (variances.length > 0) {
+        await Notification.create({
+            title: '📦 Delivery Variance',
+            message: `${purchaseOrder.poNumber} from ${purchaseOrder.supplierName}: ` + variances.map(item => {
+                const parts = [];
+                if (item.quantityVariance !== 0) parts.push(`${item.quantityVariance > 0 ? '+' : ''}${item.quantityVariance} ${item.unit}`);
+                if (item.priceVariance !== 0) parts.push(`KES ${item.priceVariance > 0 ? '+' : ''}${item.priceVariance}`);
+                return `${item.name} (${parts.join(', ')})`;
+            }).join(', '),
+            type: 'warning'
+        });
+    }
+};
+
+// Book a delivery against a purchase order: stock goes up as a new batch
+// per line (with its expiry date when given), item prices follow the
+// delivered price, and quantity/price variances are recorded on the
+// receipt. `items` ([{ line, quantity, unitPrice?, expiresAt? }]) defaults
+// to everything outstanding at the expected price. `close` marks the order
+// Received even when lines are still short. With `createExpense` the
+// delivery's value is booked as a Supplier Payment.
+// The receipt is saved on the order before any stock moves, so a delivery
+// left half-booked by a failed request is finished by the next receive
+// rather than booked twice. Returns { receipt } or { statusCode, error }.
+const receiveGoods = async (purchaseOrder, { items, close, createExpense, paymentMethod, notes, user } = {}) => {
+    const unfinished = purchaseOrder.receipts.find(receipt => receipt.pending);
+    if (unfinished) {
+        await applyReceipt(purchaseOrder, unfinished);
+        return { receipt: unfinished };
+    }
+
+    if (!['Sent', 'Partially Received'].includes(purchaseOrder.status)) {
+        return {
+            statusCode: 409,
+            error: purchaseOrder.status === 'Draft'
+                ? 'Send the purchase order before receiving goods'
+                : `Purchase order is already ${purchaseOrder.status.toLowerCase()}`
+        };
+    }
+
+    const expenseMethods = Expense.schema.path('paymentMethod').enumValues;
+    if (createExpense && paymentMethod && !expenseMethods.includes(paymentMethod)) {
+        return { statusCode: 400, error: `Payment method must be one of: ${expenseMethods.join(', ')}` };
+    }
+
+    const requested = items || purchaseOrder.items
+        .filter(line => purchaseOrder.getOutstanding(line) > 0)
+        .map(line => ({ line: line._id, quantity: purchaseOrder.getOutstanding(line) }));
+    if (!Array.isArray(requested)) {
+        return { statusCode: 400, error: 'Items must be a list of received lines' };
+    }
+
+    const stock = await Inventory.find({ _id: { $in: purchaseOrder.items.map(line => line.inventoryItem) } });
+    const stockById = new Map(stock.map(item => [String(item._id), item]));
+
+    // Check everything before moving any stock
+    const deliveries = [];
+    for (const entry of requested) {
+        const line = entry && purchaseOrder.items.id(entry.line);
+        if (!line) {
+            return { statusCode: 400, error: `Line ${entry && entry.line} is not on this purchase order` };
+        }
+        if (deliveries.some(delivery => delivery.line === line)) {
+            return { statusCode: 400, error: `${line.name} is listed more than once` };
+        }
+
+        const quantity = Number(entry.quantity);
+        if (!(quantity >= 0)) {
+            return { statusCode: 400, error: `${line.name}: received quantity cannot be negative` };
+        }
+        const unitPrice = entry.unitPrice !== undefined && entry.unitPrice !== null && entry.unitPrice !== ''
+            ? Number(entry.unitPrice)
+            : line.expectedPrice;
+        if (!(unitPrice >= 0)) {
+            return { statusCode: 400, error: `${line.name}: unit price cannot be negative` };
+        }
+
+        const item = stockById.get(String(line.inventoryItem));
+        if (!item) {
+            return { statusCode: 400, error: `${line.name} is no longer in inventory` };
+        }
+        const converted = toStockUnit(quantity, line.unit, item);
+        if (converted.error) {
+            return { statusCode: 400, error: converted.error };
+        }
+        if (entry.expiresAt && isNaN(new Date(entry.expiresAt))) {
+            return { statusCode: 400, error: `${line.name}: expiresAt must be a valid date` };
+        }
+
+        deliveries.push({ line, item, quantity, unitPrice, expiresAt: entry.expiresAt });
+    }
+
+    if (deliveries.every(delivery => delivery.quantity === 0) && !close) {
+        return { statusCode: 400, error: 'Nothing to receive' };
+    }
+
+    const total = roundMoney(deliveries.reduce((sum, delivery) => sum + delivery.quantity * delivery.unitPrice, 0));
+
+    // Build the expense before anything changes so a bad one moves no stock
+    let expense = null;
+    if (createExpense && total > 0) {
+        expense = deliveryExpense(purchaseOrder, { amount: total, paymentMethod, notes });
+        const invalid = expense.validateSync();
+        if (invalid) {
+            return { statusCode: 400, error: Object.values(invalid.errors).map(e => e.message).join(', ') };
+        }
+    }
+
+    const receipt = { items: [], total, notes: notes || '', receivedBy: user, receivedAt: new Date(), pending: true };
+    if (expense) {
+        receipt.expense = expense._id;
+        receipt.paymentMethod = expense.paymentMethod;
+    }
+
+    deliveries.forEach(({ line, quantity, unitPrice, expiresAt }) => {
+        const outstanding = purchaseOrder.getOutstanding(line);
+        line.receivedQuantity = Math.round((line.receivedQuantity + quantity) * 1000) / 1000;
+        receipt.items.push({
+            line: line._id,
+            name: line.name,
+            quantity,
+            unit: line.unit,
+            unitPrice,
+            expiresAt,
+            quantityVariance: Math.round((quantity - (close ? outstanding : Math.min(quantity, outstanding))) * 1000) / 1000,
+            priceVariance: roundMoney((unitPrice - line.expectedPrice) * quantity)
+        });
+    });
+
+    // Closing short: whatever was never delivered is a variance too
+    if (close) {
+        purchaseOrder.items
+            .filter(line => !deliveries.some(delivery => delivery.line === line) && purchaseOrder.getOutstanding(line) > 0)
+            .forEach(line => {
+                receipt.items.push({
+                    line: line._id,
+                    name: line.name,
+                    quantity: 0,
+                    unit: line.unit,
+                    unitPrice: line.expectedPrice,
+                    quantityVariance: -purchaseOrder.getOutstanding(line),
+                    priceVariance: 0
+                });
+            });
+    }
+
+    purchaseOrder.receipts.push(receipt);
+    const complete = purchaseOrder.items.every(line => purchaseOrder.getOutstanding(line) === 0);
+    if (complete || close) {
+        purchaseOrder.status = 'Received';
+        purchaseOrder.receivedAt = receipt.receivedAt;
+    } else {
+        purchaseOrder.status = 'Partially Received';
+    }
+    await purchaseOrder.save();
+
+    const saved = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+    await applyReceipt(purchaseOrder, saved);
+
+    return { receipt: saved };
+};
+
+// Average daily consumption of an item over the last `days`, netting out
+// restorations. Written-off waste is not demand and is left out. Items
+// younger than the window are averaged over their age.
+const consumptionRate = (item, { days, now }) => {
+    const windowStart = new Date(now.getTime() - days * DAY_MS);
+    const since = item.createdAt && item.createdAt > windowStart ? item.createdAt : windowStart;
+    const observedDays = Math.max((now - since) / DAY_MS, 1);
+
+    const consumed = (item.usageHistory || [])
+        .filter(entry => entry.date >= since && !entry.waste)
+        .reduce((sum, entry) => sum + (entry.quantityUsed || 0), 0);
+    return Math.max(consumed, 0) / observedDays;
+};
+
+// Stock still to arrive per inventory item (in stock units) on purchase
+// orders that are drafted, sent or part-delivered
+const stockOnOrder = async (itemsById) => {
+    const open = await PurchaseOrder.find({ status: { $in: ['Draft', 'Sent', 'Partially Received'] } });
+    const onOrder = new Map();
+    open.forEach(purchaseOrder => {
+        purchaseOrder.items.forEach(line => {
+            const key = String(line.inventoryItem);
+            const item = itemsById.get(key);
+            const converted = item && toStockUnit(purchaseOrder.getOutstanding(line), line.unit, item);
+            if (converted && !converted.error) {
+                onOrder.set(key, (onOrder.get(key) || 0) + converted.quantity);
+            }
+        });
+    });
+    return onOrder;
+};
+
+// Reorder suggestions grouped by active supplier; items whose supplier is
+// inactive are listed as unassigned. An item is due when what is in stock
+// and on order would fall to its reorder level before a delivery could
+// arrive (the supplier's lead time at the average daily usage over the last
+// `days`), so an item already at its reorder level is due even with no
+// usage. The suggested quantity restores cover for the lead time plus
+// `coverDays`, on top of the reorder level, rounded up to whole packs when
+// the item has them and never less than one unit or pack.
+const reorderSuggestions = async ({ days = 30, coverDays = 7, now = new Date() } = {}) => {
+    const items = await Inventory.find().populate('supplier', 'name leadTimeDays status');
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+    const onOrder = await stockOnOrder(itemsById);
+
+    const groups = new Map();
+    items.forEach(item => {
+        const supplier = item.supplier && item.supplier._id && item.supplier.status === 'Active' ? item.supplier : null;
+        const leadTimeDays = supplier && supplier.leadTimeDays !== undefined ? supplier.leadTimeDays : 2;
+        const dailyUsage = consumptionRate(item, { days, now });
+        const pending = onOrder.get(String(item._id)) || 0;
+        const available = item.quantity + pending;
+
+        if (available > dailyUsage * leadTimeDays + item.reorderLevel) {
+            return;
+        }
+
+        const needed = dailyUsage * (leadTimeDays + coverDays) + item.reorderLevel - available;
+
+        // Order whole packs when the item is bought in them
+        const pack = (item.packs || [])
+            .map(p => ({ name: p.name, size: toStockUnit(1, p.name, item) }))
+            .find(p => !p.size.error && p.size.quantity > 0);
+        const orderUnit = pack ? pack.name : item.unit;
+        const orderQuantity = Math.max(pack ? Math.ceil(needed / pack.size.quantity) : Math.ceil(needed), 1);
+        const expectedPrice = roundMoney(item.unitPrice * (pack ? pack.size.quantity : 1));
+
+        const key = supplier ? String(supplier._id) : 'unassigned';
+        if (!groups.has(key)) {
+            groups.set(key, {
+                supplier: supplier ? { _id: supplier._id, name: supplier.name, leadTimeDays } : null,
+                items: [],
+                estimatedTotal: 0
+            });
+        }
+        const group = groups.get(key);
+        group.items.push({
+            inventoryItem: item._id,
+            name: item.name,
+            unit: item.unit,
+            quantity: item.quantity,
+            reorderLevel: item.reorderLevel,
+            onOrder: Math.round(pending * 1000) / 1000,
+            dailyUsage: Math.round(dailyUsage * 1000) / 1000,
+            daysOfCover: dailyUsage > 0 ? Math.round(item.quantity / dailyUsage * 10) / 10 : null,
+            suggestedQuantity: orderQuantity,
+            orderUnit,
+            expectedPrice,
+            estimatedCost: roundMoney(orderQuantity * expectedPrice)
+        });
+        group.estimatedTotal = roundMoney(group.estimatedTotal + orderQuantity * expectedPrice);
+    });
+
+    return [...groups.values()].sort((a, b) => {
+        if (!a.supplier) return 1;
+        if (!b.supplier) return -1;
+        return a.supplier.name.localeCompare(b.supplier.name);
+    });
+};
+
+module.exports = {
+    buildPurchaseLines,
+    addToDraftOrder,
+    receiveGoods,
+    reorderSuggestions
+};
@@ -0,0 +1,191 @@
+const { createEscPos } = require('./escpos');
+
+const money = (value) => Number(value || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// "19/10/2026, 14:05" in the restaurant's timezone
+const formatDate = (date, timeZone) => {
+    const options = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    try {
+        return new Date(date).toLocaleString('en-GB', { ...options, timeZone });
+    } catch (error) {
+        return new Date(date).toLocaleString('en-GB', options);
+    }
+};
+
+// Tenders that count on a receipt: paid payments[], or the bill's single
+// payment method when it predates payments[]
+const paidTenders = (doc) => {
+    const payments = (doc.payments || []).filter(payment => payment.status === 'Paid');
+    if (payments.length > 0) {
+        return payments.map(payment => ({ method: payment.method, amount: payment.amount, reference: payment.reference }));
+    }
+    if (doc.paymentStatus === 'Paid') {
+        return [{ method: doc.paymentMethod, amount: doc.total, reference: doc.mpesaReceipt }];
+    }
+    return [];
+};
+
+// What is still owed after the tenders above
+const balanceDue = (doc) => Math.max((doc.total || 0) - paidTenders(doc).reduce((sum, tender) => sum + tender.amount, 0), 0);
+
+const toLine = (item) => ({
+    name: item.name,
+    quantity: item.quantity,
+    price: item.price,
+    subtotal: item.subtotal !== undefined ? item.subtotal : item.price * item.quantity,
+    modifiers: (item.modifiers || []).map(m => m.option)
+});
+
+// Receipt contents for an order
+const orderReceipt = (order) => ({
+    number: order.orderNumber,
+    date: order.paidAt || order.createdAt,
+    customerName: order.customerName,
+    orderType: order.orderType,
+    tableNumber: order.tableNumber,
+    lines: order.items.map(toLine),
+    subtotal: order.subtotal,
+    charges: order.deliveryFee > 0 ? [{ label: 'Delivery fee', amount: order.deliveryFee }] : [],
+    total: order.total,
+    tenders: paidTenders(order),
+    balanceDue: balanceDue(order)
+});
+
+// Receipt contents for a POS transaction
+const transactionReceipt = (transaction) => ({
+    number: transaction.transactionId,
+    date: transaction.createdAt,
+    customerName: transaction.customerName,
+    lines: transaction.items.map(toLine),
+    subtotal: transaction.subtotal,
+    charges: [],
+    total: transaction.total,
+    tenders: paidTenders(transaction),
+    balanceDue: balanceDue(transaction)
+});
+
+// Receipt contents for a table tab: every round that was not cancelled
+const tabReceipt = (tab, orders) => {
+    const served = orders.filter(order => order.orderStatus !== 'Cancelled');
+    return {
+        number: tab.tabNumber,
+        date: tab.closedAt || new Date(),
+        customerName: tab.customerName,
+        orderType: 'dine-in',
+        tableNumber: tab.tableNumber,
+        guests: tab.guests,
+        lines: served.flatMap(order => order.items.map(toLine)),
+        subtotal: served.reduce((sum, order) => sum + order.subtotal, 0),
+        charges: [],
+        total: tab.total,
+        tenders: paidTenders(tab),
+        balanceDue: balanceDue(tab)
+    };
+};
+
+// Customer receipt as ESC/POS bytes. `printedAt` pins the print time so the
+// same input always renders the same bytes.
+const renderReceipt = (receipt, settings, { printedAt = new Date(), columns, copy } = {}) => {
+    const p = createEscPos({ columns: columns || settings.printerColumns || 48 });
+    const timeZone = settings.timezone;
+
+    p.init().align('center')
+        .bold().size('large').text(settings.name).size('normal').bold(false)
+        .text(settings.address)
+        .text(`Tel: ${settings.phone}`);
+    if (settings.kraPin) {
+        p.text(`KRA PIN: ${settings.kraPin}`);
+    }
+    if (copy) {
+        p.feed(1).bold().text(`*** ${copy} ***`).bold(false);
+    }
+
+    p.align('left').rule()
+        .pair(receipt.balanceDue > 0 ? 'BILL' : 'RECEIPT', receipt.number)
+        .pair('Date', formatDate(receipt.date, timeZone));
+    if (receipt.tableNumber) {
+        p.pair('Table', receipt.guests ? `${receipt.tableNumber} (${receipt.guests} guests)` : receipt.tableNumber);
+    } else if (receipt.orderType) {
+        p.pair('Type', receipt.orderType);
+    }
+    if (receipt.customerName) {
+        p.pair('Customer', receipt.customerName);
+    }
+    p.rule();
+
+    receipt.lines.forEach(line => {
+        p.text(line.name);
+        line.modifiers.forEach(modifier => p.text(`  + ${modifier}`));
+        p.pair(`  ${line.quantity} x ${money(line.price)}`, money(line.subtotal));
+    });
+
+    p.rule().pair('Subtotal', money(receipt.subtotal));
+    receipt.charges.forEach(charge => p.pair(charge.label, money(charge.amount)));
+    p.bold().size('tall').pair('TOTAL KES', money(receipt.total)).size('normal').bold(false);
+
+    if (receipt.tenders.length > 0) {
+        p.rule();
+        receipt.tenders.forEach(tender => {
+            p.pair(tender.reference ? `${tender.method} ${tender.reference}` : tender.method, money(tender.amount));
+        });
+    }
+    if (receipt.balanceDue > 0) {
+        p.bold().pair('BALANCE DUE', money(receipt.balanceDue)).bold(false);
+    }
+
+    p.rule().align('center');
+    if (settings.watermark) {
+        p.invert().text(` ${settings.watermark} `).invert(false);
+    }
+    p.text('Thank you for dining with us!')
+        .text(`Printed ${formatDate(printedAt, timeZone)}`)
+        .feed(3)
+        .cut();
+
+    return p.build();
+};
+
+// Kitchen ticket as ESC/POS bytes, optionally only the items for one station
+const renderKitchenTicket = (order, settings, { station, printedAt = new Date(), columns } = {}) => {
+    const p = createEscPos({ columns: columns || settings.printerColumns || 48 });
+    const timeZone = settings.timezone;
+    const items = station ? order.items.filter(item => item.station === station) : order.items;
+
+    p.init().align('center')
+        .bold().text(station ? station.toUpperCase() : 'KITCHEN').bold(false)
+        .size('large').bold().text(`#${order.orderNumber}`).bold(false).size('normal')
+        .size('wide').text(order.tableNumber ? `TABLE ${order.tableNumber}` : String(order.orderType).toUpperCase()).size('normal')
+        .align('left').rule()
+        .pair('Ordered', formatDate(order.releasedAt || order.createdAt, timeZone));
+    if (order.scheduledFor) {
+        p.bold().pair('Due', formatDate(order.scheduledFor, timeZone)).bold(false);
+    }
+    if (order.customerName) {
+        p.pair('Customer', order.customerName);
+    }
+    p.rule();
+
+    items.forEach(item => {
+        p.size('tall').bold().text(`${item.quantity} x ${item.name}`).bold(false).size('normal');
+        (item.modifiers || []).forEach(modifier => p.text(`    + ${modifier.option}`));
+    });
+
+    if (order.notes) {
+        p.rule().invert().text(` NOTE: ${order.notes} `).invert(false);
+    }
+
+    p.rule().align('center')
+        .text(`Printed ${formatDate(printedAt, timeZone)}`)
+        .feed(3)
+        .cut();
+
+    return p.build();
+};
+
+module.exports = {
+    orderReceipt,
+    transactionReceipt,
+    tabReceipt,
+    renderReceipt,
+    renderKitchenTicket
+};
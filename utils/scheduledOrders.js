@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const ScheduleSlot = require('../models/ScheduleSlot');
+const Notification = require('../models/Notification');
+const { publishOrder } = require('./events');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "8:00 AM", "8 PM" or "20:00" -> minutes after midnight, or null
+const parseTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3] && match[3].toLowerCase();
+
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 24 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+};
+
+// "8:00 AM - 10:00 PM" -> { open, close } in minutes, or null when closed or
+// unreadable. A close before the open runs past midnight.
+const parseOpeningHours = (value) => {
+    const [openText, closeText] = String(value || '').split(/\s*[-–]\s*/);
+    const open = parseTime(openText);
+    let close = parseTime(closeText);
+    if (open === null || close === null) return null;
+
+    if (close <= open) close += MINUTES_PER_DAY;
+    return { open, close };
+};
+
+// Day of week and minutes after midnight of `date` in the restaurant's timezone
+const localTime = (date, timeZone) => {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'long',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+    } catch (error) {
+        // Unknown timezone - fall back to the server's clock
+        return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const part = (type) => parts.find(p => p.type === type).value;
+    return {
+        day: DAYS.indexOf(part('weekday').toLowerCase()),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+};
+
+// Whether the restaurant is open at `date`, including the tail of the
+// previous day's hours when they run past midnight
+const isOpenAt = (settings, date) => {
+    const { day, minutes } = localTime(date, settings.timezone);
+    const hours = settings.openingHours || {};
+
+    const today = parseOpeningHours(hours[DAYS[day]]);
+    if (today && minutes >= today.open && minutes < today.close) {
+        return true;
+    }
+
+    const yesterday = parseOpeningHours(hours[DAYS[(day + 6) % 7]]);
+    return Boolean(yesterday && minutes + MINUTES_PER_DAY < yesterday.close);
+};
+
+// Restaurant settings, or the schema defaults when none are saved yet
+const getSchedulingSettings = async () => (await Restaurant.findOne()) || new Restaurant();
+
+// Start and end of the capacity slot `date` falls in
+const slotFor = (date, slotMinutes) => {
+    const slotMs = slotMinutes * 60 * 1000;
+    const start = new Date(Math.floor(date.getTime() / slotMs) * slotMs);
+    return { start, end: new Date(start.getTime() + slotMs) };
+};
+
+// Check a requested pickup/delivery time against notice and opening hours.
+// Returns { scheduledFor } or { error }. Capacity is taken by reserveSlot.
+const validateScheduledFor = async (value, { settings, now = new Date() } = {}) => {
+    const scheduledFor = new Date(value);
+    if (isNaN(scheduledFor)) {
+        return { error: 'scheduledFor must be a valid date and time' };
+    }
+
+    settings = settings || await getSchedulingSettings();
+    const leadMinutes = settings.scheduledOrderLeadMinutes;
+
+    if (scheduledFor.getTime() < now.getTime() + leadMinutes * 60 * 1000) {
+        return { error: `Scheduled orders need at least ${leadMinutes} minutes notice` };
+    }
+
+    if (scheduledFor.getTime() > now.getTime() + settings.scheduledOrderMaxDays * MINUTES_PER_DAY * 60 * 1000) {
+        return { error: `Orders can be scheduled at most ${settings.scheduledOrderMaxDays} days ahead` };
+    }
+
+    if (!isOpenAt(settings, scheduledFor)) {
+        return { error: 'The restaurant is closed at the requested time' };
+    }
+
+    return { scheduledFor };
+};
+
+// Book one place in the capacity slot `scheduledFor` falls in. Returns
+// { slotStart } or { error } when the slot is full.
+const reserveSlot = async (scheduledFor, { settings } = {}) => {
+    settings = settings || await getSchedulingSettings();
+    const slot = slotFor(scheduledFor, settings.scheduledOrderSlotMinutes);
+
+    // A new counter starts from the orders already booked into the slot
+    if (!(await ScheduleSlot.exists({ start: slot.start }))) {
+        const booked = await Order.countDocuments({
+            scheduledFor: { $gte: slot.start, $lt: slot.end },
+            orderStatus: { $ne: 'Cancelled' }
+        });
+        try {
+            await ScheduleSlot.updateOne(
+                { start: slot.start },
+                { $setOnInsert: { booked } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another booking created the counter first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    const reserved = await ScheduleSlot.findOneAndUpdate(
+        { start: slot.start, booked: { $lt: settings.scheduledOrdersPerSlot } },
+        { $inc: { booked: 1 } },
+        { new: true }
+    );
+    if (!reserved) {
+        return { error: 'The kitchen is fully booked at the requested time. Please choose another time.' };
+    }
+
+    return { slotStart: slot.start };
+};
+
+// Give back the place a scheduled order held, e.g. when it is cancelled
+const releaseSlot = async (scheduledFor, { settings } = {}) => {
+    settings = settings || await getSchedulingSettings();
+    const slot = slotFor(scheduledFor, settings.scheduledOrderSlotMinutes);
+
+    await ScheduleSlot.updateOne(
+        { start: slot.start, booked: { $gt: 0 } },
+        { $inc: { booked: -1 } }
+    );
+};
+
+// Release scheduled orders to the kitchen queue once they are within the
+// lead time of their pickup/delivery time.
+//
+// Options (all optional):
+//   now         - () => Date, the clock
+//   leadMinutes - override the restaurant's scheduledOrderLeadMinutes
+//   intervalMs  - how often start() runs a pass
+//   isReady     - () => boolean, skip passes while the DB is down
+const createScheduledOrderReleaser = (options = {}) => {
+    const {
+        now = () => new Date(),
+        leadMinutes,
+        intervalMs = (Number(process.env.SCHEDULED_RELEASE_INTERVAL_SECONDS) || 60) * 1000,
+        isReady = () => mongoose.connection.readyState === 1
+    } = options;
+
+    let timer = null;
+    let running = false;
+
+    // Run a single pass over scheduled orders that are due
+    const runOnce = async () => {
+        const summary = { released: 0, failed: 0 };
+
+        if (running || !isReady()) {
+            return summary;
+        }
+
+        running = true;
+        try {
+            const currentTime = now();
+            const lead = leadMinutes !== undefined
+                ? leadMinutes
+                : (await getSchedulingSettings()).scheduledOrderLeadMinutes;
+
+            const orders = await Order.find({
+                orderStatus: 'Scheduled',
+                scheduledFor: { $lte: new Date(currentTime.getTime() + lead * 60 * 1000) }
+            }).sort({ scheduledFor: 1 });
+
+            for (const order of orders) {
+                try {
+                    order.transitionTo('Pending', { role: 'system', reason: 'Released to kitchen' });
+                    order.releasedAt = currentTime;
+                    await order.save();
+
+                    await Notification.create({
+                        title: '⏰ Scheduled Order Released',
+                        message: `Order #${order.orderNumber} for ${order.customerName} is due at ${order.scheduledFor.toLocaleString('en-KE')}`,
+                        type: 'info'
+                    });
+
+                    publishOrder('order:status', order);
+                    summary.released++;
+                } catch (error) {
+                    console.error(`❌ Failed to release order ${order.orderNumber}:`, error.message);
+                    summary.failed++;
+                }
+            }
+
+            if (orders.length > 0) {
+                console.log('⏰ Scheduled order release pass:', summary);
+            }
+        } catch (error) {
+            console.error('❌ Scheduled order releaser error:', error);
+        } finally {
+            running = false;
+        }
+
+        return summary;
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(runOnce, intervalMs);
+            if (timer.unref) timer.unref();
+        }
+    };
+
+    const stop = () => {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return { runOnce, start, stop };
+};
+
+module.exports = {
+    parseOpeningHours,
+    isOpenAt,
+    validateScheduledFor,
+    reserveSlot,
+    releaseSlot,
+    createScheduledOrderReleaser
+};
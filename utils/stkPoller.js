@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const MpesaPayment = require('../models/MpesaPayment');
+const { getMpesaClient } = require('./mpesa');
+const { processStkCallback } = require('./mpesaCallbacks');
+
+// Daraja answers this while the customer is still on the PIN prompt
+const STILL_PROCESSING_CODE = '500.001.1001';
+
+// Safaricom's own "DS timeout" result code, reused when we give up
+const TIMEOUT_RESULT_CODE = 1037;
+
+const minutesAgo = (now, minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+// Build an stkCallback-shaped body so query results and timeouts go through
+// exactly the same reconciliation as a real callback
+const buildCallbackBody = (payment, resultCode, resultDesc) => {
+    const stkCallback = {
+        MerchantRequestID: payment.merchantRequestId,
+        CheckoutRequestID: payment.checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultDesc
+    };
+
+    if (Number(resultCode) === 0) {
+        stkCallback.CallbackMetadata = {
+            Item: [
+                { Name: 'Amount', Value: payment.amount },
+                { Name: 'PhoneNumber', Value: payment.phone }
+            ]
+        };
+    }
+
+    return { Body: { stkCallback } };
+};
+
+// Resolve STK pushes whose callback never arrived.
+//
+// Options (all optional):
+//   query               - async (checkoutRequestId) => stkpushquery response data
+//   now                 - () => Date, the clock
+//   pendingAfterMinutes - only look at pushes older than this
+//   timeoutMinutes      - mark the push Failed once it is older than this
+//   intervalMs          - how often start() runs a pass
+//   isReady             - () => boolean, skip passes while the DB is down
+const createStkPoller = (options = {}) => {
+    const {
+        query = (checkoutRequestId) => getMpesaClient().stkQuery(checkoutRequestId),
+        now = () => new Date(),
+        pendingAfterMinutes = Number(process.env.MPESA_POLL_PENDING_MINUTES) || 2,
+        timeoutMinutes = Number(process.env.MPESA_POLL_TIMEOUT_MINUTES) || 15,
+        intervalMs = (Number(process.env.MPESA_POLL_INTERVAL_SECONDS) || 60) * 1000,
+        isReady = () => mongoose.connection.readyState === 1
+    } = options;
+
+    let timer = null;
+    let running = false;
+
+    const resolvePayment = async (payment, currentTime) => {
+        payment.lastQueriedAt = currentTime;
+        payment.queryAttempts = (payment.queryAttempts || 0) + 1;
+        await payment.save();
+
+        try {
+            const data = await query(payment.checkoutRequestId);
+
+            if (data && data.ResultCode !== undefined) {
+                const result = await processStkCallback(
+                    buildCallbackBody(payment, data.ResultCode, data.ResultDesc),
+                    { source: 'query' }
+                );
+                return result.callback.success ? 'paid' : 'failed';
+            }
+        } catch (error) {
+            const errorData = error.response?.data;
+            if (!errorData || errorData.errorCode !== STILL_PROCESSING_CODE) {
+                console.error(`❌ STK query failed for ${payment.checkoutRequestId}:`, errorData || error.message);
+            }
+        }
+
+        if (payment.createdAt <= minutesAgo(currentTime, timeoutMinutes)) {
+            await processStkCallback(
+                buildCallbackBody(payment, TIMEOUT_RESULT_CODE, `No confirmation received within ${timeoutMinutes} minutes`),
+                { source: 'timeout' }
+            );
+            return 'timed_out';
+        }
+
+        return 'pending';
+    };
+
+    // Run a single pass over stale pending pushes
+    const runOnce = async () => {
+        const summary = { checked: 0, paid: 0, failed: 0, timed_out: 0, pending: 0 };
+
+        if (running || !isReady()) {
+            return summary;
+        }
+
+        running = true;
+        try {
+            const currentTime = now();
+            const payments = await MpesaPayment.find({
+                status: 'Pending',
+                checkoutRequestId: { $exists: true },
+                createdAt: { $lte: minutesAgo(currentTime, pendingAfterMinutes) }
+            }).sort({ createdAt: 1 });
+
+            for (const payment of payments) {
+                summary.checked++;
+                const outcome = await resolvePayment(payment, currentTime);
+                summary[outcome]++;
+            }
+
+            if (summary.checked > 0) {
+                console.log('🔎 STK poller pass:', summary);
+            }
+        } catch (error) {
+            console.error('❌ STK poller error:', error);
+        } finally {
+            running = false;
+        }
+
+        return summary;
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(runOnce, intervalMs);
+            if (timer.unref) timer.unref();
+        }
+    };
+
+    const stop = () => {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return { runOnce, start, stop };
+};
+
+module.exports = {
+    buildCallbackBody,
+    createStkPoller
+};
@@ -0,0 +1,91 @@
+const MpesaPayment = require('../models/MpesaPayment');
+const crypto = require('crypto');
+const { getMpesaClient, callbackUrl } = require('./mpesa');
+
+// Persist an STK push attempt. Callbacks and the status poller only know
+// pushes recorded here, so a failed write rejects.
+const recordStkPush = async ({ stkRequest, response, status, orderId, transactionId, callbackToken }) => {
+    const { Password, ...safeRequest } = stkRequest;
+    if (callbackToken) {
+        safeRequest.CallBackURL = safeRequest.CallBackURL.replace(callbackToken, '***');
+    }
+
+    return MpesaPayment.create({
+        merchantRequestId: response.MerchantRequestID,
+        checkoutRequestId: response.CheckoutRequestID,
+        phone: stkRequest.PhoneNumber,
+        amount: stkRequest.Amount,
+        accountReference: stkRequest.AccountReference,
+        callbackToken,
+        order: orderId || undefined,
+        transaction: transactionId || undefined,
+        status,
+        resultCode: status === 'Failed' ? Number(response.ResponseCode || response.errorCode || -1) : undefined,
+        resultDesc: status === 'Failed' ? (response.ResponseDescription || response.errorMessage) : undefined,
+        rawRequest: safeRequest,
+        rawResponse: response
+    });
+};
+
+// Send an STK push and record the attempt. Resolves with
+// { accepted, data, payment } or { accepted: false, error } - it does not throw
+// for Daraja errors, but does throw when an accepted push cannot be recorded
+// so the caller reports an error rather than a push nobody can match.
+// `orderId`/`transactionId` record which bill the push was sent for; callers
+// must have checked the caller may charge that bill.
+const initiateStkPush = async ({ phone, amount, accountReference, orderId, transactionId }) => {
+    const mpesa = getMpesaClient();
+
+    // Per-push secret in the callback URL so spoofed callbacks can be told apart
+    const callbackToken = crypto.randomBytes(24).toString('hex');
+    const baseCallbackUrl = (process.env.MPESA_CALLBACK_URL || callbackUrl('/callback')).replace(/\/$/, '');
+
+    const stkRequest = mpesa.buildStkPushRequest({
+        phone,
+        amount,
+        accountReference,
+        callbackUrl: `${baseCallbackUrl}/${callbackToken}`
+    });
+
+    console.log('📤 Sending STK Push:', { ...stkRequest, Password: '***', CallBackURL: `${baseCallbackUrl}/***` });
+
+    let data;
+    try {
+        data = await mpesa.sendStkPush(stkRequest);
+    } catch (error) {
+        console.error('❌ STK Push Error:', error.response?.data || error.message);
+        const response = error.response?.data || { errorMessage: error.message };
+        // Only kept for tracing - losing it must not hide the Daraja error
+        await recordStkPush({
+            stkRequest,
+            response,
+            status: 'Failed',
+            orderId,
+            transactionId,
+            callbackToken
+        }).catch(recordError => console.error('❌ Failed to record STK push:', recordError.message));
+        return { accepted: false, error: response };
+    }
+
+    console.log('📥 M-PESA Response:', data);
+
+    const accepted = data.ResponseCode === '0';
+    const recording = recordStkPush({
+        stkRequest,
+        response: data,
+        status: accepted ? 'Pending' : 'Failed',
+        orderId,
+        transactionId,
+        callbackToken
+    });
+    const payment = accepted
+        ? await recording
+        : await recording.catch(recordError => console.error('❌ Failed to record STK push:', recordError.message));
+
+    return { accepted, data, payment };
+};
+
+module.exports = {
+    recordStkPush,
+    initiateStkPush
+};
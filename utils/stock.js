@@ -0,0 +1,284 @@
+const Inventory = require('../models/Inventory');
+const MenuItem = require('../models/MenuItem');
+const Notification = require('../models/Notification');
+const { publish } = require('./events');
+const { toStockUnit } = require('./units');
+
+// Order statuses at which the kitchen has committed the ingredients
+const CONSUMED_STATUSES = ['Confirmed', 'Preparing', 'Ready', 'Out for Delivery', 'Delivered', 'Completed'];
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Warn the dashboard when an item is at or below its reorder level
+const notifyLowStock = async (item) => {
+    if (item.quantity > item.reorderLevel) {
+        return;
+    }
+
+    await Notification.create({
+        title: 'Low Stock Alert',
+        message: `${item.name} is now low in stock (${item.quantity} ${item.unit} left)`,
+        type: 'warning'
+    });
+    publish('inventory:low-stock', {
+        _id: item._id,
+        name: item.name,
+        quantity: item.quantity,
+        unit: item.unit,
+        reorderLevel: item.reorderLevel
+    });
+};
+
+// Ingredients needed for sold lines ([{ menuItemId, quantity }]), summed
+// per inventory item: Map of inventory id -> quantity in the stock unit.
+// Ingredients whose unit no longer converts (e.g. the stock unit changed)
+// are logged and skipped.
+const recipeRequirements = async (lines) => {
+    const ids = lines.map(line => line.menuItemId).filter(Boolean);
+    const menuItems = await MenuItem.find({ _id: { $in: ids } })
+        .select('name recipe')
+        .populate('recipe.inventoryItem', 'name unit packs');
+    const recipes = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem]));
+
+    const requirements = new Map();
+    lines.forEach(line => {
+        const menuItem = recipes.get(String(line.menuItemId));
+        (menuItem ? menuItem.recipe : []).forEach(ingredient => {
+            if (!ingredient.inventoryItem) return;
+
+            const converted = toStockUnit(ingredient.quantity, ingredient.unit, ingredient.inventoryItem);
+            if (converted.error) {
+                console.error(`❌ Recipe for ${menuItem.name}: ${converted.error}`);
+                return;
+            }
+
+            const key = String(ingredient.inventoryItem._id);
+            requirements.set(key, roundQuantity((requirements.get(key) || 0) + converted.quantity * line.quantity));
+        });
+    });
+    return requirements;
+};
+
+// Attempts at taking stock from an item that keeps changing underneath us
+const MAX_DEDUCT_ATTEMPTS = 3;
+
+// Take `needed` out of one item as a compare-and-set on its quantity and the
+// batches used, so two sales can never spend the same stock. An item that
+// already has a usage entry for the order or sale is skipped, which makes a
+// retried deduction safe. Resolves with { item, missing } or null if skipped.
+const deductItem = async (itemId, needed, { reason, order, transaction }) => {
+    const [sourceField, sourceId] = order ? ['order', order] : ['transaction', transaction];
+
+    for (let attempt = 0; attempt < MAX_DEDUCT_ATTEMPTS; attempt++) {
+        const item = await Inventory.findById(itemId);
+        if (!item || item.usageHistory.some(entry => String(entry[sourceField]) === String(sourceId))) {
+            return null;
+        }
+
+        const onHand = item.quantity;
+        const held = new Map(item.batches.map(batch => [String(batch._id), batch.quantity]));
+        const used = Math.min(needed, Math.max(onHand, 0));
+        const missing = roundQuantity(needed - used);
+        const batches = item.consumeBatches(used);
+        const quantity = roundQuantity(onHand - used);
+
+        const filter = { _id: item._id, quantity: onHand, [`usageHistory.${sourceField}`]: { $ne: sourceId } };
+        if (batches.length > 0) {
+            filter.$and = batches.map(({ batch }) => ({
+                batches: { $elemMatch: { _id: batch, quantity: held.get(String(batch)) } }
+            }));
+        }
+
+        const $set = { quantity, status: item.getStatusFor(quantity) };
+        batches.forEach(({ batch }, i) => {
+            $set[`batches.$[b${i}].quantity`] = item.batches.id(batch).quantity;
+        });
+
+        const result = await Inventory.updateOne(filter, {
+            $set,
+            $push: {
+                usageHistory: {
+                    quantityUsed: used,
+                    reason: missing > 0 ? `${reason} (short by ${missing} ${item.unit})` : reason,
+                    batches,
+                    order,
+                    transaction
+                }
+            }
+        }, batches.length > 0 ? { arrayFilters: batches.map(({ batch }, i) => ({ [`b${i}._id`]: batch })) } : {});
+
+        if (result.modifiedCount > 0) {
+            item.quantity = quantity;
+            return { item, missing };
+        }
+    }
+
+    throw new Error(`Stock of ${itemId} kept changing - ${reason} not deducted`);
+};
+
+// Take the required ingredients out of stock, writing one usageHistory entry
+// per item. Stock never goes below zero; a shortfall is noted on the entry
+// and raised as a notification.
+const deductIngredients = async (requirements, { reason, order, transaction }) => {
+    const shortfalls = [];
+
+    for (const [itemId, needed] of requirements) {
+        const deducted = await deductItem(itemId, needed, { reason, order, transaction });
+        if (!deducted) continue;
+
+        const { item, missing } = deducted;
+        if (missing > 0) {
+            shortfalls.push(`${item.name} (${missing} ${item.unit})`);
+        }
+        await notifyLowStock(item);
+    }
+
+    if (shortfalls.length > 0) {
+        await Notification.create({
+            title: '⚠️ Stock Shortfall',
+            message: `${reason}: not enough stock recorded for ${shortfalls.join(', ')}`,
+            type: 'warning'
+        });
+    }
+};
+
+// Return what was actually taken for an order, as recorded in usageHistory,
+// to the batches it came from. Restorations are written as negative usage
+// so consumption nets out.
+const restoreOrderStock = async (order) => {
+    const items = await Inventory.find({ 'usageHistory.order': order._id });
+
+    for (const item of items) {
+        const entries = item.usageHistory.filter(entry => String(entry.order) === String(order._id));
+        const taken = roundQuantity(entries.reduce((sum, entry) => sum + entry.quantityUsed, 0));
+        if (taken <= 0) continue;
+
+        const fromBatches = new Map();
+        entries.forEach(entry => (entry.batches || []).forEach(({ batch, quantity }) => {
+            fromBatches.set(String(batch), roundQuantity((fromBatches.get(String(batch)) || 0) + quantity));
+        }));
+
+        item.usageHistory.push({
+            quantityUsed: -taken,
+            reason: `Order #${order.orderNumber} cancelled - stock restored`,
+            batches: item.returnToBatches([...fromBatches].map(([batch, quantity]) => ({ batch, quantity }))),
+            order: order._id
+        });
+        item.quantity = roundQuantity(item.quantity + taken);
+        await item.save();
+    }
+};
+
+// Deduct an order's ingredients once it reaches the kitchen, or put them back
+// when a deducted order is cancelled (caller saves the order). Stock problems
+// are logged rather than blocking the order; a deduction that failed part way
+// is finished on the next status change without taking any item twice.
+// Resolves with true when stock moved.
+const syncOrderStock = async (order) => {
+    try {
+        if (CONSUMED_STATUSES.includes(order.orderStatus) && !order.stockDeductedAt) {
+            const requirements = await recipeRequirements(order.items);
+            await deductIngredients(requirements, { reason: `Order #${order.orderNumber}`, order: order._id });
+            order.stockDeductedAt = new Date();
+            return true;
+        }
+
+        if (order.orderStatus === 'Cancelled' && order.stockDeductedAt && !order.stockRestoredAt) {
+            await restoreOrderStock(order);
+            order.stockRestoredAt = new Date();
+            return true;
+        }
+    } catch (error) {
+        console.error(`❌ Stock update failed for order ${order.orderNumber}:`, error.message);
+    }
+    return false;
+};
+
+// Deduct the ingredients of a POS sale (caller saves the transaction).
+// Sales recorded against an order are covered by the order itself.
+const deductTransactionStock = async (transaction) => {
+    if (transaction.order || transaction.stockDeductedAt) {
+        return false;
+    }
+
+    try {
+        const lines = transaction.items.map(item => ({ menuItemId: item.menuItem, quantity: item.quantity }));
+        const requirements = await recipeRequirements(lines);
+        if (requirements.size === 0) {
+            return false;
+        }
+
+        await deductIngredients(requirements, { reason: `Sale ${transaction.transactionId}`, transaction: transaction._id });
+        transaction.stockDeductedAt = new Date();
+        return true;
+    } catch (error) {
+        console.error(`❌ Stock update failed for transaction ${transaction.transactionId}:`, error.message);
+        return false;
+    }
+};
+
+// Add delivered stock to an item as a new batch (caller saves it).
+// `quantity` and `unitPrice` are in `unit`; the price is stored per stock
+// unit. `batch` carries the batch's expiresAt, reference and purchaseOrder.
+// Returns { quantity } in the stock unit, or { error }.
+const receiveStock = (item, quantity, unit, unitPrice, batch = {}) => {
+    const converted = toStockUnit(quantity, unit, item);
+    if (converted.error) {
+        return converted;
+    }
+
+    item.quantity = roundQuantity(item.quantity + converted.quantity);
+    item.lastRestocked = new Date();
+    if (unitPrice !== undefined && unitPrice !== null && converted.quantity > 0) {
+        item.unitPrice = Math.round(Number(unitPrice) * quantity / converted.quantity * 100) / 100;
+    }
+    if (converted.quantity > 0) {
+        item.addBatch({ ...batch, quantity: converted.quantity, unitCost: item.unitPrice });
+    }
+    return converted;
+};
+
+// Throw away what is left of a batch (caller saves the item). The stock is
+// recorded as waste in usageHistory. Returns { quantity, value }.
+const writeOffBatch = (item, batch, reason) => {
+    const quantity = Math.min(batch.quantity, item.quantity);
+    batch.quantity = 0;
+    batch.writtenOffAt = new Date();
+    if (quantity <= 0) {
+        return { quantity: 0, value: 0 };
+    }
+
+    item.usageHistory.push({
+        quantityUsed: quantity,
+        reason: reason || `Written off: batch expired ${batch.expiresAt ? batch.expiresAt.toISOString().slice(0, 10) : ''}`.trim(),
+        waste: true,
+        batches: [{ batch: batch._id, quantity }]
+    });
+    item.quantity = roundQuantity(item.quantity - quantity);
+    return { quantity, value: Math.round(quantity * (batch.unitCost || 0) * 100) / 100 };
+};
+
+// Batches holding stock that expire before `before`, soonest first:
+// [{ item, batch }]
+const expiringBatches = async (before) => {
+    const items = await Inventory.find({
+        batches: { $elemMatch: { expiresAt: { $lte: before }, quantity: { $gt: 0 }, writtenOffAt: null } }
+    });
+
+    return items
+        .flatMap(item => item.getActiveBatches()
+            .filter(batch => batch.expiresAt && batch.expiresAt <= before)
+            .map(batch => ({ item, batch })))
+        .sort((a, b) => a.batch.expiresAt - b.batch.expiresAt);
+};
+
+module.exports = {
+    CONSUMED_STATUSES,
+    notifyLowStock,
+    receiveStock,
+    writeOffBatch,
+    expiringBatches,
+    recipeRequirements,
+    syncOrderStock,
+    deductTransactionStock
+};
@@ -0,0 +1,73 @@
+const Order = require('../models/Order');
+const Table = require('../models/Table');
+const Notification = require('../models/Notification');
+const { publishOrder, publishTable } = require('./events');
+const { fitSplits } = require('./billSplits');
+
+// Recalculate a tab's total from its orders that were not cancelled and fit
+// any split to it (caller saves the tab). Resolves with the tab's orders,
+// oldest round first.
+const refreshTabTotal = async (tab) => {
+    const orders = await Order.find({ _id: { $in: tab.orders } }).sort({ createdAt: 1 });
+    tab.total = orders
+        .filter(order => order.orderStatus !== 'Cancelled')
+        .reduce((sum, order) => sum + order.total, 0);
+
+    fitSplits(tab);
+    return orders;
+};
+
+// Close a fully paid tab: its orders are marked paid (served ones are
+// completed) and the table goes to cleaning. Resolves with true when the tab
+// was settled, false when a balance is still due.
+const settleTabIfPaid = async (tab, { user, role } = {}) => {
+    if (tab.status !== 'Open') {
+        return false;
+    }
+
+    const orders = await refreshTabTotal(tab);
+    if (tab.total <= 0 || tab.getAmountPaid() < tab.total) {
+        await tab.save();
+        return false;
+    }
+
+    const now = new Date();
+    tab.status = 'Settled';
+    tab.closedAt = now;
+    tab.closedBy = user;
+    await tab.save();
+
+    for (const order of orders) {
+        if (order.orderStatus === 'Cancelled') continue;
+
+        order.paymentStatus = 'Paid';
+        order.paymentMethod = tab.paymentMethod;
+        order.paidAt = now;
+        if (order.canTransitionTo('Completed')) {
+            order.transitionTo('Completed', { user, role: role || 'system', reason: `Tab ${tab.tabNumber} settled` });
+        }
+        await order.save();
+        publishOrder('order:payment', order);
+    }
+
+    const table = await Table.findById(tab.table);
+    if (table && String(table.currentTab) === String(tab._id)) {
+        table.currentTab = undefined;
+        table.status = 'cleaning';
+        await table.save();
+        publishTable(table);
+    }
+
+    await Notification.create({
+        title: '🧾 Tab Settled',
+        message: `Table ${tab.tableNumber} paid KES ${tab.total.toLocaleString()} (tab ${tab.tabNumber}, ${orders.length} round${orders.length === 1 ? '' : 's'})`,
+        type: 'success'
+    });
+
+    return true;
+};
+
+module.exports = {
+    refreshTabTotal,
+    settleTabIfPaid
+};
@@ -0,0 +1,142 @@
+const { initiateStkPush } = require('./stkPush');
+const { formatPhoneNumber } = require('./helpers');
+
+const PAYMENT_METHODS = ['M-PESA', 'Cash', 'Card', 'Bank Transfer'];
+
+// Amount not yet covered by paid or in-flight payments
+const getOutstanding = (doc) => {
+    const allocated = (doc.payments || [])
+        .filter(payment => payment.status !== 'Failed')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+    return Math.max((doc.total || 0) - allocated, 0);
+};
+
+// Amount of one bill share not yet covered by paid or in-flight payments
+const getSplitOutstanding = (doc, split) => {
+    const allocated = (doc.payments || [])
+        .filter(payment => payment.status !== 'Failed' && String(payment.split) === String(split._id))
+        .reduce((sum, payment) => sum + payment.amount, 0);
+    return Math.max(split.amount - allocated, 0);
+};
+
+// Add one tender to an order or transaction (caller saves the document).
+//   Cash may exceed what is outstanding; the excess comes back as `change`.
+//   M-PESA with `phone` sends an STK push and stays Pending until the
+//   callback; M-PESA with `reference` records a receipt taken at the till.
+//   `splitId` pays one share of a split bill; the amount defaults to what is
+//   left on that share.
+// Resolves with { payment, change } or { error, statusCode }.
+const addPayment = async (doc, { method, amount, reference, phone, receivedBy, splitId }, { orderId, transactionId, accountReference } = {}) => {
+    if (!PAYMENT_METHODS.includes(method)) {
+        return { statusCode: 400, error: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    let split = null;
+    if (splitId) {
+        split = (doc.splits || []).find(s => String(s._id) === String(splitId));
+        if (!split) {
+            return { statusCode: 404, error: 'Bill share not found' };
+        }
+        if (split.status === 'Paid') {
+            return { statusCode: 400, error: `${split.label} is already paid` };
+        }
+        if (getSplitOutstanding(doc, split) <= 0) {
+            return { statusCode: 409, error: `${split.label} has a payment in progress` };
+        }
+    }
+
+    const value = (amount === undefined || amount === '') && split ? getSplitOutstanding(doc, split) : Number(amount);
+    if (!value || value <= 0) {
+        return { statusCode: 400, error: 'Payment amount must be greater than 0' };
+    }
+
+    // Bills settled before payments[] existed carry only paymentStatus
+    if (doc.payments.length === 0 && !['Pending', 'Failed'].includes(doc.paymentStatus)) {
+        return { statusCode: 400, error: `Bill is already ${doc.paymentStatus}` };
+    }
+
+    const outstanding = split
+        ? Math.min(getSplitOutstanding(doc, split), getOutstanding(doc))
+        : getOutstanding(doc);
+    if (outstanding <= 0) {
+        return { statusCode: 400, error: 'Nothing left to pay on this bill' };
+    }
+
+    let change = 0;
+    let applied = value;
+    if (value > outstanding) {
+        if (method !== 'Cash') {
+            return { statusCode: 400, error: `Amount exceeds balance due of KES ${outstanding.toLocaleString()}` };
+        }
+        change = value - outstanding;
+        applied = outstanding;
+    }
+
+    const payment = {
+        method,
+        amount: applied,
+        reference: reference || undefined,
+        split: split ? split._id : undefined,
+        receivedBy,
+        status: 'Paid',
+        paidAt: new Date()
+    };
+
+    if (method === 'M-PESA' && !reference) {
+        if (!phone) {
+            return { statusCode: 400, error: 'M-PESA payments need a phone number or a receipt reference' };
+        }
+
+        const formattedPhone = formatPhoneNumber(String(phone));
+        if (formattedPhone.length !== 12) {
+            return { statusCode: 400, error: 'Invalid phone number format. Use 254XXXXXXXXX' };
+        }
+
+        const { accepted, data, error } = await initiateStkPush({
+            phone: formattedPhone,
+            amount: applied,
+            accountReference,
+            orderId,
+            transactionId
+        });
+
+        if (!accepted) {
+            return {
+                statusCode: 502,
+                error: (data && data.ResponseDescription) || (error && (error.errorMessage || error.message)) || 'STK push failed'
+            };
+        }
+
+        payment.status = 'Pending';
+        payment.paidAt = undefined;
+        payment.mpesaCheckoutId = data.CheckoutRequestID;
+    }
+
+    doc.payments.push(payment);
+    doc.applyPayments();
+
+    return { payment: doc.payments[doc.payments.length - 1], change };
+};
+
+// Balance summary returned by the payments endpoints
+const paymentSummary = (doc) => ({
+    total: doc.total,
+    amountPaid: doc.getAmountPaid(),
+    balanceDue: doc.getBalanceDue(),
+    paymentMethod: doc.paymentMethod,
+    paymentStatus: doc.paymentStatus,
+    payments: doc.payments,
+    splits: (doc.splits || []).map(split => ({
+        ...split.toObject(),
+        amountPaid: doc.getSplitPaid(split),
+        balanceDue: Math.max(split.amount - doc.getSplitPaid(split), 0)
+    }))
+});
+
+module.exports = {
+    PAYMENT_METHODS,
+    getOutstanding,
+    getSplitOutstanding,
+    addPayment,
+    paymentSummary
+};
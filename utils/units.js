@@ -0,0 +1,79 @@
+// Units inventory can be stocked in
+const UNITS = ['kg', 'g', 'L', 'ml', 'pcs', 'boxes'];
+
+// Fixed conversions: each unit's dimension and size in that dimension's base
+// unit (grams, millilitres, pieces). Boxes only convert through an item's
+// pack definition.
+const STANDARD_UNITS = {
+    kg: { dimension: 'mass', factor: 1000 },
+    g: { dimension: 'mass', factor: 1 },
+    L: { dimension: 'volume', factor: 1000 },
+    ml: { dimension: 'volume', factor: 1 },
+    pcs: { dimension: 'count', factor: 1 },
+    boxes: { dimension: 'boxes', factor: 1 }
+};
+
+// Common spellings accepted from callers
+const ALIASES = {
+    kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+    gram: 'g', grams: 'g', gm: 'g',
+    l: 'L', litre: 'L', litres: 'L', liter: 'L', liters: 'L',
+    millilitre: 'ml', millilitres: 'ml', milliliter: 'ml', milliliters: 'ml', mL: 'ml',
+    pc: 'pcs', piece: 'pcs', pieces: 'pcs',
+    box: 'boxes'
+};
+
+const normalizeUnit = (unit) => {
+    const value = String(unit || '').trim();
+    return ALIASES[value] || ALIASES[value.toLowerCase()] || value;
+};
+
+// Dimension and base-unit size of `unit` for an item, looking at the item's
+// pack definitions (e.g. 1 crate = 24 pcs) before the fixed units
+const resolveUnit = (unit, item = {}) => {
+    const name = normalizeUnit(unit);
+    const pack = (item.packs || []).find(p => normalizeUnit(p.name) === name);
+    if (pack) {
+        const inner = STANDARD_UNITS[normalizeUnit(pack.unit)];
+        return inner && { dimension: inner.dimension, factor: pack.quantity * inner.factor };
+    }
+    return STANDARD_UNITS[name] || null;
+};
+
+// Convert `quantity` in `unit` to the unit `item` is stocked in.
+// Returns { quantity } or { error } when the units are unknown or do not mix.
+const toStockUnit = (quantity, unit, item) => {
+    if (!unit || normalizeUnit(unit) === item.unit) {
+        return { quantity: Number(quantity) };
+    }
+
+    const from = resolveUnit(unit, item);
+    if (!from) {
+        return { error: `Unknown unit "${unit}" for ${item.name}` };
+    }
+
+    const to = resolveUnit(item.unit, item);
+    if (!to || from.dimension !== to.dimension) {
+        return { error: `Cannot convert ${unit} to ${item.unit} for ${item.name}` };
+    }
+
+    return { quantity: Math.round(Number(quantity) * from.factor / to.factor * 1000000) / 1000000 };
+};
+
+// Units an item's quantities may be given in
+const compatibleUnits = (item) => {
+    const stock = resolveUnit(item.unit, item);
+    const names = [...UNITS, ...(item.packs || []).map(p => p.name)];
+    return [...new Set(names)].filter(name => {
+        const resolved = resolveUnit(name, item);
+        return resolved && stock && resolved.dimension === stock.dimension;
+    });
+};
+
+module.exports = {
+    UNITS,
+    normalizeUnit,
+    resolveUnit,
+    toStockUnit,
+    compatibleUnits
+};